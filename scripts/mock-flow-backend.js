@@ -0,0 +1,79 @@
+/* global process */
+/**
+ * mock-flow-backend.js
+ * Local stand-in for the flow event backend (see src/flows/FlowTransport.js).
+ *
+ *   npm run mock:flows
+ *   VITE_FLOW_BACKEND_URL=http://localhost:8787/flow-events npm run dev
+ *
+ * Accepts POST /flow-events with { events: [...] }, drops events whose
+ * executionId it has already seen, and lists received events at
+ * GET /flow-events. Environment:
+ *   PORT       port to listen on (default 8787)
+ *   FAIL_RATE  share of requests answered with 503, 0..1 (default 0)
+ */
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+
+const received = new Map();
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  if (!req.url.startsWith('/flow-events')) return send(res, 404, { error: 'Not found' });
+
+  if (req.method === 'GET') {
+    return send(res, 200, { events: [...received.values()] });
+  }
+
+  if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+  let raw = '';
+  req.on('data', (chunk) => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    if (Math.random() < FAIL_RATE) {
+      console.log('[mock] simulated failure');
+      return send(res, 503, { error: 'Simulated failure' });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      return send(res, 400, { error: 'Invalid JSON' });
+    }
+
+    const accepted = [];
+    const duplicates = [];
+    (body.events || []).forEach((event) => {
+      if (received.has(event.executionId)) {
+        duplicates.push(event.executionId);
+      } else {
+        received.set(event.executionId, event);
+        accepted.push(event.executionId);
+        console.log(`[mock] ${event.eventType} → ${event.flowName} (${event.executionId})`);
+      }
+    });
+
+    send(res, 200, { accepted, duplicates });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock] Flow backend listening on http://localhost:${PORT}/flow-events`);
+});
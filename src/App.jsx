@@ -1,10 +1,11 @@
-import { useState, useCallback, useMemo } from 'react';
+import { useState, useCallback, useMemo, useRef, useEffect } from 'react';
 import { useConfig } from './contexts/ConfigContext';
 import { useHistory } from './hooks/useHistory';
+import { produce } from './utils/produce';
 import { useFlows } from './hooks/useFlows';
-import { createInitialSnapshot, INITIAL_FLOW_LIBRARY, pointsForDifficulty, inferDifficultyFromText } from './data/initialData';
-import { executeFlow } from './flows/FlowEngine';
+import { createInitialSnapshot, INITIAL_FLOW_LIBRARY, INITIAL_FLOW_BINDINGS, pointsForDifficulty, inferDifficultyFromText, nextTaskId } from './data/initialData';
 import { PERMISSIONS, roleHas } from './utils/permissions';
+import { commandEvents } from './flows/EventCatalog';
 
 // Layout Components
 import { LeftToolbar } from './components/LeftToolbar';
@@ -28,8 +29,12 @@ import {
 import './App.css';
 
 function App() {
-  const { config, toggleTheme, hasPermission } = useConfig();
+  const { config, setConfig, toggleTheme, hasPermission } = useConfig();
   const role = config?.user?.role || 'workspace_owner';
+  const userName = config?.user?.name;
+
+  // Member flows are saved and attached as (see flows/FlowPermissions.js)
+  const flowUser = useMemo(() => ({ name: userName, role }), [userName, role]);
 
   // History management
   const {
@@ -40,33 +45,30 @@ function App() {
     uncommittedSteps,
     canUndo,
     canRedo,
+    restoredFrom,
     applyChange,
     undo,
     redo,
     commit,
-    jump
+    jump,
+    branches,
+    switchBranch,
+    renameBranch,
+    cherryPick,
+    mergeBranch,
+    previewIndex,
+    previewSnapshot,
+    preview,
+    endPreview,
+    restore
   } = useHistory(createInitialSnapshot());
 
-  // Flow management
-  const {
-    flowLibrary,
-    flowBindings,
-    flowMode,
-    selectedFlowTarget,
-    saveFlow,
-    toggleFlowMode,
-    handleFlowTargetClick: onFlowTargetClick,
-    attachFlow,
-    detachFlow,
-    fireFlowsForEvent,
-    flowTargetKeyForTask,
-    getFlowBindingsForTarget
-  } = useFlows(INITIAL_FLOW_LIBRARY);
-
   // UI State
   const [showHistoryPanel, setShowHistoryPanel] = useState(false);
   const [showFlowPanel, setShowFlowPanel] = useState(false);
   const [editingFlow, setEditingFlow] = useState(null);
+  // Recorded execution replayed on a read-only canvas: { flow, execution }
+  const [replayedExecution, setReplayedExecution] = useState(null);
   const [aiMessages, setAiMessages] = useState([
     {
       id: 1,
@@ -76,27 +78,133 @@ function App() {
   ]);
   const [aiIsListening, setAiIsListening] = useState(false);
 
+  // Snapshot on the canvas: a step before the last commit while it is
+  // previewed (read-only), the current step otherwise
+  const shownSnapshot = previewSnapshot || currentSnapshot;
+
   // Current view from snapshot
-  const currentView = currentSnapshot?.view || 'Dashboard';
+  const currentView = shownSnapshot?.view || 'Dashboard';
+
+  // Tags and columns offered as pattern targets in the flow panel
+  const flowScopeOptions = useMemo(() => {
+    const tasks = currentSnapshot?.tasks || [];
+    return {
+      tags: [...new Set(tasks.flatMap(t => t.tags || []))].sort(),
+      columns: Object.keys(currentSnapshot?.wipLimits || {})
+    };
+  }, [currentSnapshot]);
+
+  // Chat messages, telling the team after the greeting when saved history
+  // was damaged and work since the last commit could not be restored
+  const shownAiMessages = useMemo(() => {
+    if (restoredFrom !== 'commit') return aiMessages;
+    const notice = {
+      id: 'history-restored',
+      role: 'system',
+      text: 'Saved history could not be read; restored the last committed snapshot.'
+    };
+    return [aiMessages[0], notice, ...aiMessages.slice(1)];
+  }, [aiMessages, restoredFrom]);
 
   // Add AI message helper
   const addAiMessage = useCallback((role, text) => {
     setAiMessages(prev => [...prev, { id: Date.now(), role, text }]);
   }, []);
 
+  // Latest command handler, read by flows so the actions they run always
+  // dispatch through the current runCommand
+  const runCommandRef = useRef(null);
+
+  // Latest workspace, advanced as soon as a command is applied so commands
+  // run back to back (a flow's actions) each start from the ones before
+  // them instead of the snapshot of the last render
+  const latestSnapshotRef = useRef(currentSnapshot);
+  useEffect(() => {
+    latestSnapshotRef.current = currentSnapshot;
+  }, [currentSnapshot]);
+
+  // Execution context handed to FlowEngine for every dispatched event
+  const buildFlowContext = useCallback(() => ({
+    runCommand: (cmd, options) => runCommandRef.current?.(cmd, options),
+    currentSnapshot,
+    addAiSystemMessage: (msg) => addAiMessage('system', msg)
+  }), [currentSnapshot, addAiMessage]);
+
+  // Flow management
+  const {
+    flowLibrary,
+    flowBindings,
+    flowMode,
+    selectedFlowTarget,
+    executionHistory,
+    pendingTimers,
+    deliveries,
+    flowIssues,
+    flowVersions,
+    saveFlow,
+    rollbackFlow,
+    toggleFlowMode,
+    handleFlowTargetClick: onFlowTargetClick,
+    attachFlow,
+    detachFlow,
+    pinBindingVersion,
+    fireFlowsForEvent,
+    clearExecutionHistory,
+    cancelPendingTimer,
+    retryFailedDeliveries,
+    clearDeliveredEvents,
+    exportFlows,
+    importFlows,
+    flowTargetKeyForTask,
+    getFlowBindingsForTarget
+  } = useFlows(INITIAL_FLOW_LIBRARY, INITIAL_FLOW_BINDINGS, {
+    getExecutionContext: buildFlowContext,
+    backendEndpoint: config?.flows?.backendEndpoint,
+    user: flowUser
+  });
+
+  // Backend endpoint for flow events (workspace setting)
+  const handleBackendEndpointChange = useCallback((endpoint) => {
+    setConfig((prev) => ({
+      ...prev,
+      flows: { ...prev.flows, backendEndpoint: endpoint }
+    }));
+  }, [setConfig]);
+
   // Command handler
-  const runCommand = useCallback((cmd) => {
+  // Every command fires the domain events the event catalog declares for it,
+  // with the workspace before and after the change (see commandEvents).
+  // Commands a flow runs come with the flow's execution as `cause`, which
+  // the events carry so the flows they trigger join its cascade.
+  const runCommand = useCallback((cmd, { cause = null } = {}) => {
     if (!cmd || !cmd.type) return;
 
+    const emitEvents = (before, after) => {
+      const context = { ...buildFlowContext(), currentSnapshot: after };
+      commandEvents(cmd, before, after).forEach(({ eventType, payload }) => {
+        fireFlowsForEvent(eventType, cause ? { ...payload, cause } : payload, context);
+      });
+    };
+
+    // Record a change in history and emit its events; the mutator runs on
+    // a draft of the latest workspace first to know the state after it
+    const applyCommand = (label, mutator) => {
+      const before = latestSnapshotRef.current || {};
+      const after = produce(before, mutator);
+      latestSnapshotRef.current = after;
+      applyChange(label, mutator);
+      emitEvents(before, after);
+    };
+
     switch (cmd.type) {
       case 'SetView':
-        applyChange(`Switch to ${cmd.view}`, snap => {
+        applyCommand(`Switch to ${cmd.view}`, snap => {
           snap.view = cmd.view;
         });
         break;
 
       case 'CreateTask': {
-        const taskId = 'T-' + (100 + (currentSnapshot?.tasks?.length || 0) + 1);
+        const taskId = nextTaskId(latestSnapshotRef.current?.tasks);
         const newTask = {
           id: taskId,
           title: cmd.title || 'New Task',
@@ -108,7 +216,7 @@ function App() {
           difficulty: cmd.difficulty || 'M',
           blocked: false
         };
-        applyChange(`Create task: ${newTask.title}`, snap => {
+        applyCommand(`Create task: ${newTask.title}`, snap => {
           snap.tasks = [...(snap.tasks || []), newTask];
         });
         addAiMessage('assistant', `Created task ${taskId}: ${newTask.title}`);
@@ -116,29 +224,17 @@ function App() {
       }
 
       case 'MoveTask': {
-        applyChange(`Move ${cmd.taskId} to ${cmd.toStatus}`, snap => {
+        applyCommand(`Move ${cmd.taskId} to ${cmd.toStatus}`, snap => {
           const task = snap.tasks?.find(t => t.id === cmd.taskId);
           if (task) {
             task.status = cmd.toStatus;
           }
         });
-        // Fire flow event
-        fireFlowsForEvent('task.dropped', {
-          eventType: 'task.dropped',
-          taskId: cmd.taskId,
-          fromStatus: cmd.fromStatus,
-          toStatus: cmd.toStatus,
-          timestamp: new Date().toISOString()
-        }, {
-          runCommand,
-          currentSnapshot,
-          addAiSystemMessage: (msg) => addAiMessage('system', msg)
-        });
         break;
       }
 
       case 'UpdateTaskField': {
-        applyChange(`Update ${cmd.taskId} ${cmd.field}`, snap => {
+        applyCommand(`Update ${cmd.taskId} ${cmd.field}`, snap => {
           const task = snap.tasks?.find(t => t.id === cmd.taskId);
           if (task) {
             task[cmd.field] = cmd.value;
@@ -148,31 +244,33 @@ function App() {
       }
 
       case 'UpdateBrief':
-        applyChange('Update project brief', snap => {
+        applyCommand('Update project brief', snap => {
           snap.projectBrief = cmd.text;
         });
         break;
 
       case 'LockBrief':
-        applyChange('Lock project brief', snap => {
+        applyCommand('Lock project brief', snap => {
           snap.briefLocked = true;
         });
         break;
 
       case 'UnlockBrief':
-        applyChange('Unlock project brief', snap => {
+        applyCommand('Unlock project brief', snap => {
           snap.briefLocked = false;
         });
         break;
 
       case 'GenerateTasksFromBrief': {
-        const brief = currentSnapshot?.projectBrief || '';
+        const brief = latestSnapshotRef.current?.projectBrief || '';
         const lines = brief.split('\n').filter(l => l.trim().startsWith('-'));
-        const newTasks = lines.map((line, i) => {
+        const existingTasks = latestSnapshotRef.current?.tasks || [];
+        // Each id follows the ones generated before it
+        const newTasks = lines.reduce((generated, line) => {
           const title = line.replace(/^-\s*/, '').trim();
           const diff = inferDifficultyFromText(title);
-          return {
-            id: 'T-' + (200 + i),
+          return [...generated, {
+            id: nextTaskId([...existingTasks, ...generated]),
             title,
             status: 'Backlog',
             assignee: 'Unassigned',
@@ -181,10 +279,10 @@ function App() {
             tags: ['Generated'],
             difficulty: diff,
             blocked: false
-          };
-        });
+          }];
+        }, []);
         if (newTasks.length > 0) {
-          applyChange(`Generate ${newTasks.length} tasks from brief`, snap => {
+          applyCommand(`Generate ${newTasks.length} tasks from brief`, snap => {
             snap.tasks = [...(snap.tasks || []), ...newTasks];
             snap.briefGeneratedTasksCount = (snap.briefGeneratedTasksCount || 0) + newTasks.length;
           });
@@ -196,7 +294,7 @@ function App() {
       }
 
       case 'UpdateTimeline':
-        applyChange('Update timeline item', snap => {
+        applyCommand('Update timeline item', snap => {
           const item = snap.schedule?.timeline?.find(t => t.id === cmd.itemId);
           if (item) {
             if (cmd.startOffset !== undefined) item.startOffset = cmd.startOffset;
@@ -205,36 +303,57 @@ function App() {
         });
         break;
 
-      case 'CreateDoc':
-        applyChange('Create document', snap => {
-          const newDoc = {
-            id: 'DOC-' + Date.now(),
-            title: cmd.title || 'New Document',
-            owner: config?.user?.name || 'Unknown',
-            updated: new Date().toISOString().split('T')[0],
-            summary: cmd.content || '# New Document\n\nStart writing here...'
-          };
+      case 'CreateDoc': {
+        const newDoc = {
+          id: 'DOC-' + Date.now(),
+          title: cmd.title || 'New Document',
+          owner: config?.user?.name || 'Unknown',
+          updated: new Date().toISOString().split('T')[0],
+          summary: cmd.content || '# New Document\n\nStart writing here...'
+        };
+        applyCommand('Create document', snap => {
           snap.docs = [...(snap.docs || []), newDoc];
         });
         break;
+      }
+
+      case 'ClickButton':
+        // Changes nothing by itself; flows bound to button.clicked react
+        emitEvents(latestSnapshotRef.current, latestSnapshotRef.current);
+        break;
 
       case 'Commit':
         commit();
         addAiMessage('system', 'Changes committed successfully.');
-        fireFlowsForEvent('workspace.committed', {
-          eventType: 'workspace.committed',
-          timestamp: new Date().toISOString()
-        }, {
-          runCommand,
-          currentSnapshot,
-          addAiSystemMessage: (msg) => addAiMessage('system', msg)
-        });
+        emitEvents(latestSnapshotRef.current, latestSnapshotRef.current);
         break;
 
       default:
         console.warn('Unknown command type:', cmd.type);
     }
-  }, [applyChange, currentSnapshot, addAiMessage, commit, fireFlowsForEvent, config]);
+  }, [applyChange, addAiMessage, commit, fireFlowsForEvent, buildFlowContext, config]);
+
+  useEffect(() => {
+    runCommandRef.current = runCommand;
+  }, [runCommand]);
+
+  // Events views fire that are not commands (task.dragstart)
+  const handleFlowEvent = useCallback((eventType, payload) => {
+    fireFlowsForEvent(eventType, payload, {
+      ...buildFlowContext(),
+      currentSnapshot: latestSnapshotRef.current
+    });
+  }, [fireFlowsForEvent, buildFlowContext]);
+
+  // Commands from the team; refused while a preview is shown, since it is
+  // read-only. Flows keep dispatching through runCommand.
+  const runUserCommand = useCallback((cmd) => {
+    if (previewSnapshot) {
+      addAiMessage('system', 'This is a read-only preview. Restore it as a new step or go back to the current state to make changes.');
+      return;
+    }
+    runCommand(cmd);
+  }, [previewSnapshot, addAiMessage, runCommand]);
 
   // AI message handler
   const handleAiSend = useCallback((text) => {
@@ -252,19 +371,19 @@ function App() {
         const [key, val] = p.split('=').map(s => s.trim());
         if (key && val) props[key] = val;
       });
-      runCommand({ type: 'CreateTask', title, ...props });
+      runUserCommand({ type: 'CreateTask', title, ...props });
     } else if (lower.includes('generate tasks')) {
-      runCommand({ type: 'GenerateTasksFromBrief' });
+      runUserCommand({ type: 'GenerateTasksFromBrief' });
     } else if (lower.includes('switch to') || lower.includes('go to')) {
       const views = ['dashboard', 'board', 'list', 'timeline', 'calendar', 'docs', 'files'];
       const found = views.find(v => lower.includes(v));
       if (found) {
         const view = found.charAt(0).toUpperCase() + found.slice(1);
-        runCommand({ type: 'SetView', view });
-        addAiMessage('assistant', `Switched to ${view} view.`);
+        runUserCommand({ type: 'SetView', view });
+        if (!previewSnapshot) addAiMessage('assistant', `Switched to ${view} view.`);
       }
     } else if (lower.includes('commit')) {
-      runCommand({ type: 'Commit' });
+      runUserCommand({ type: 'Commit' });
     } else if (lower.includes('undo')) {
       undo();
       addAiMessage('assistant', 'Undone last change.');
@@ -274,17 +393,18 @@ function App() {
     } else {
       addAiMessage('assistant', `I understood: "${text}". Try commands like "create task: Fix bug; difficulty=S" or "switch to Board".`);
     }
-  }, [addAiMessage, runCommand, undo, redo]);
+  }, [addAiMessage, runUserCommand, previewSnapshot, undo, redo]);
 
   // View change handler
   const handleViewChange = useCallback((view) => {
-    runCommand({ type: 'SetView', view });
-  }, [runCommand]);
+    runUserCommand({ type: 'SetView', view });
+  }, [runUserCommand]);
 
   // Task move handler
-  const handleMoveTask = useCallback((taskId, fromStatus, toStatus) => {
-    runCommand({ type: 'MoveTask', taskId, fromStatus, toStatus });
-  }, [runCommand]);
+  const handleMoveTask = useCallback(({ taskId, toStatus }) => {
+    const task = currentSnapshot?.tasks?.find(t => t.id === taskId);
+    runUserCommand({ type: 'MoveTask', taskId, fromStatus: task?.status, toStatus });
+  }, [currentSnapshot, runUserCommand]);
 
   // Flow target click handler
   const handleFlowTargetClick = useCallback((target) => {
@@ -297,8 +417,8 @@ function App() {
   // Render current view
   const renderView = () => {
     const viewProps = {
-      snapshot: currentSnapshot,
-      onCommand: runCommand,
+      snapshot: shownSnapshot,
+      onCommand: runUserCommand,
       flowMode,
       flowBindings,
       onFlowTargetClick: handleFlowTargetClick
@@ -312,6 +432,7 @@ function App() {
           <BoardView
             {...viewProps}
             onMoveTask={handleMoveTask}
+            onFlowEvent={previewSnapshot ? undefined : handleFlowEvent}
           />
         );
       case 'List':
@@ -337,10 +458,10 @@ function App() {
         uncommittedSteps={uncommittedSteps}
         canUndo={canUndo}
         canRedo={canRedo}
-        onRunCommand={runCommand}
+        onRunCommand={runUserCommand}
         onUndo={undo}
         onRedo={redo}
-        onCommit={() => runCommand({ type: 'Commit' })}
+        onCommit={() => runUserCommand({ type: 'Commit' })}
         onOpenHistory={() => setShowHistoryPanel(true)}
         onToggleFlowMode={toggleFlowMode}
       />
@@ -359,6 +480,21 @@ function App() {
           onOpenFlowPanel={() => setShowFlowPanel(true)}
         />
 
+        {/* Preview of a step before the last commit */}
+        {previewSnapshot && (
+          <div className="app-preview-banner" role="status">
+            <span>
+              Previewing #{previewIndex} · {previewSnapshot.label || 'Snapshot'} — read-only
+            </span>
+            <button type="button" onClick={() => restore(previewIndex)}>
+              Restore as new step
+            </button>
+            <button type="button" onClick={endPreview}>
+              Back to current
+            </button>
+          </div>
+        )}
+
         {/* Main Canvas / View */}
         <main className="app-canvas">
           {renderView()}
@@ -366,7 +502,7 @@ function App() {
 
         {/* AI Bar */}
         <AiBar
-          messages={aiMessages}
+          messages={shownAiMessages}
           onSendMessage={handleAiSend}
           isListening={aiIsListening}
           onToggleVoice={() => setAiIsListening(!aiIsListening)}
@@ -386,6 +522,16 @@ function App() {
           canRedo={canRedo}
           onUndo={undo}
           onRedo={redo}
+          isOpen={showHistoryPanel}
+          branches={branches}
+          onSwitchBranch={switchBranch}
+          onRenameBranch={renameBranch}
+          onCherryPick={cherryPick}
+          onMergeBranch={mergeBranch}
+          previewIndex={previewIndex}
+          onPreview={preview}
+          onEndPreview={endPreview}
+          onRestore={restore}
         />
       )}
 
@@ -394,13 +540,39 @@ function App() {
         <FlowPanel
           flowMode={flowMode}
           selectedTarget={selectedFlowTarget}
+          scopeOptions={flowScopeOptions}
+          onSelectTarget={onFlowTargetClick}
           flowBindings={flowBindings}
           flowLibrary={flowLibrary}
-          onAttachFlow={attachFlow}
+          flowIssues={flowIssues}
+          flowVersions={flowVersions}
+          executionHistory={executionHistory}
+          onClearHistory={clearExecutionHistory}
+          pendingTimers={pendingTimers}
+          onCancelTimer={cancelPendingTimer}
+          deliveries={deliveries}
+          backendEndpoint={config?.flows?.backendEndpoint || ''}
+          onBackendEndpointChange={
+            hasPermission('workspace.configure') ? handleBackendEndpointChange : undefined
+          }
+          onRetryDeliveries={retryFailedDeliveries}
+          onClearDeliveries={clearDeliveredEvents}
+          onExportFlows={exportFlows}
+          onImportFlows={(bundle, resolutions) =>
+            importFlows(bundle, resolutions, { author: config?.user?.name })
+          }
+          onRollbackFlow={(flowId, version) =>
+            rollbackFlow(flowId, version, { author: config?.user?.name })
+          }
+          onPinBindingVersion={pinBindingVersion}
+          onAttachFlow={roleHas(role, PERMISSIONS.ATTACH_FLOWS) ? attachFlow : undefined}
           onDetachFlow={detachFlow}
           onClose={() => setShowFlowPanel(false)}
           onCreateFlow={() => setEditingFlow({ id: null, name: '', actions: [] })}
+          onUseTemplate={(draft) => setEditingFlow(draft)}
+          snapshot={currentSnapshot}
           onEditFlow={(flow) => setEditingFlow(flow)}
+          onReplayExecution={(flow, execution) => setReplayedExecution({ flow, execution })}
         />
       )}
 
@@ -408,13 +580,26 @@ function App() {
       {editingFlow && (
         <FlowEditor
           flow={editingFlow}
+          snapshot={currentSnapshot}
+          userRole={role}
           onSave={(flow) => {
-            saveFlow(flow);
+            saveFlow(flow, { author: config?.user?.name });
             setEditingFlow(null);
           }}
           onCancel={() => setEditingFlow(null)}
         />
       )}
+
+      {/* Execution Replay */}
+      {replayedExecution && (
+        <FlowEditor
+          key={replayedExecution.execution.id}
+          flow={replayedExecution.flow}
+          snapshot={currentSnapshot}
+          replay={replayedExecution.execution}
+          onCancel={() => setReplayedExecution(null)}
+        />
+      )}
     </div>
   );
 }
@@ -4,13 +4,28 @@
  * Modern React Flow-based visual flow editor
  * Features:
  * - ReactFlow for node-based workflow editing
- * - Custom nodes: Trigger, Condition, Action
- * - Visual connection system
- * - Flow validation and persistence
+ * - Custom nodes: Trigger, Condition (true/false outputs), Action
+ * - Visual connection system, executed as drawn by FlowEngine
+ * - Flow validation (FlowValidator): problems listed per node, offending
+ *   nodes highlighted, save blocked on errors and confirmed on warnings
+ * - Persistence
+ * - Test runs against a sample payload (FlowEngine.dryRunFlow)
+ * - Read-only replay of a recorded execution, highlighting the path taken
+ * - Run-as role, up to the editing member's own (see FlowPermissions)
+ * - Structured editing: auto-layout (FlowLayout), "add next step" buttons on
+ *   output handles, multi-select, copy/paste and undo/redo
  * - Neumorphic styling
  */
 
-import React, { useState, useCallback, useMemo, useEffect } from 'react';
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState
+} from 'react';
 import ReactFlow, {
   useNodesState,
   useEdgesState,
@@ -22,10 +37,169 @@ import ReactFlow, {
   Position
 } from 'reactflow';
 import 'reactflow/dist/style.css';
+import {
+  CONDITION_TRUE_HANDLE,
+  CONDITION_FALSE_HANDLE,
+  normalizeEdges,
+  conditionFromNode
+} from '../../flows/FlowGraph';
+import { DEFAULT_ACTION_POLICY, dryRunFlow } from '../../flows/FlowEngine';
+import { getAction, listActions, defaultConfigFor } from '../../flows/ActionRegistry';
+import { parseSchedule, nextOccurrence } from '../../flows/FlowScheduler';
+import { TRIGGER_EVENTS, samplePayloadFor } from '../../flows/EventCatalog';
+import { validateFlow, hasBlockingIssues } from '../../flows/FlowValidator';
+import { getExecutionSteps, isEdgeTaken } from '../../flows/ExecutionTrace';
+import { assignableRoles, lowestRole } from '../../flows/FlowPermissions';
+import { layoutGraph, LAYOUT_ORIGIN, LAYOUT_SPACING } from '../../flows/FlowLayout';
+import {
+  CONDITION_OPERATORS,
+  VALUE_TYPES,
+  isConditionGroup,
+  describeCondition
+} from '../../flows/FlowConditions';
 import './FlowEditor.css';
 
+// Undo steps kept by the editor, and how close together changes recorded
+// under the same key must be to count as one step
+const GRAPH_HISTORY_LIMIT = 100;
+const GRAPH_HISTORY_COALESCE_MS = 800;
+
+// Offset of pasted nodes from the copied ones, per paste
+const PASTE_OFFSET = 40;
+
+// Nodes and edges last copied, shared by every editor on the page
+let graphClipboard = null;
+
+// Lets nodes on the canvas insert the step after them (null when read-only)
+const AddStepContext = createContext(null);
+
+// Edge between two nodes, labelled when it leaves a condition branch
+const makeEdge = (source, sourceHandle, target) => {
+  let label;
+  if (sourceHandle === CONDITION_TRUE_HANDLE) label = 'true';
+  if (sourceHandle === CONDITION_FALSE_HANDLE) label = 'false';
+  return {
+    id: `edge-${source}-${sourceHandle || 'out'}-${target}`,
+    source,
+    target,
+    ...(sourceHandle ? { sourceHandle } : {}),
+    ...(label ? { label } : {})
+  };
+};
+
+// What an undo step restores, without selection and measurement state
+const graphSignature = ({ nodes, edges }) =>
+  JSON.stringify([
+    nodes.map(({ id, type, position, data }) => [id, type, position, data]),
+    edges.map(({ id, source, sourceHandle, target }) => [id, source, sourceHandle, target])
+  ]);
+
+// Undo/redo of the canvas graph. record(key) saves the graph as it is before
+// a change; changes recorded under the same key in quick succession (typing
+// in a field, a deletion touching nodes and edges) make one step.
+const useGraphHistory = (nodes, edges, setNodes, setEdges) => {
+  const latest = useRef({ nodes, edges });
+  const stacks = useRef({ past: [], future: [], lastKey: null, lastAt: 0 });
+  const [counts, setCounts] = useState({ undo: 0, redo: 0, revision: 0 });
+
+  useEffect(() => {
+    latest.current = { nodes, edges };
+  });
+
+  // Publish stack sizes; `revision` counts undos and redos, so views holding
+  // their own copy of node data know to start over
+  const sync = useCallback((travelled = false) => {
+    const { past, future } = stacks.current;
+    setCounts((prev) => ({
+      undo: past.length,
+      redo: future.length,
+      revision: prev.revision + (travelled ? 1 : 0)
+    }));
+  }, []);
+
+  const record = useCallback((key = null) => {
+    const history = stacks.current;
+    const now = Date.now();
+    if (key && key === history.lastKey && now - history.lastAt < GRAPH_HISTORY_COALESCE_MS) {
+      history.lastAt = now;
+      return;
+    }
+    history.past = [...history.past, latest.current].slice(-GRAPH_HISTORY_LIMIT);
+    history.future = [];
+    history.lastKey = key;
+    history.lastAt = now;
+    sync();
+  }, [sync]);
+
+  // Move one step from one stack to the other, skipping steps that would
+  // not change anything (a node clicked but not dragged)
+  const travel = useCallback((from, to) => {
+    const history = stacks.current;
+    const current = latest.current;
+    const signature = graphSignature(current);
+    let target = null;
+    while (history[from].length > 0 && !target) {
+      const candidate = history[from].pop();
+      if (graphSignature(candidate) !== signature) target = candidate;
+    }
+    if (target) {
+      history[to].push(current);
+      history.lastKey = null;
+      setNodes(target.nodes);
+      setEdges(target.edges);
+    }
+    sync(Boolean(target));
+  }, [setNodes, setEdges, sync]);
+
+  const undo = useCallback(() => travel('past', 'future'), [travel]);
+  const redo = useCallback(() => travel('future', 'past'), [travel]);
+
+  return {
+    record,
+    undo,
+    redo,
+    canUndo: counts.undo > 0,
+    canRedo: counts.redo > 0,
+    revision: counts.revision
+  };
+};
+
+// "+" button beside an output handle, inserting a condition or action after
+// the node on that output
+const AddStepButton = ({ nodeId, handleId, top = '50%' }) => {
+  const onAddStep = useContext(AddStepContext);
+  const [open, setOpen] = useState(false);
+  if (!onAddStep) return null;
+
+  const add = (type) => {
+    setOpen(false);
+    onAddStep(nodeId, handleId, type);
+  };
+
+  return (
+    <div className="flow-node__add nodrag nopan" style={{ top }}>
+      <button
+        type="button"
+        className="flow-node__add-btn"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-label="Add next step"
+        title="Add next step"
+      >
+        +
+      </button>
+      {open && (
+        <div className="flow-node__add-menu">
+          <button type="button" onClick={() => add('condition')}>Condition</button>
+          <button type="button" onClick={() => add('action')}>Action</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Custom Node Components
-const TriggerNode = ({ data }) => {
+const TriggerNode = ({ id, data }) => {
   return (
     <div className="flow-node flow-node--trigger">
       <div className="flow-node__header">
@@ -34,6 +208,9 @@ const TriggerNode = ({ data }) => {
       </div>
       <div className="flow-node__body">
         <strong>{data.eventType || 'Event'}</strong>
+        {data.eventType === 'schedule' && data.schedule && (
+          <div className="flow-node__desc">{data.schedule}</div>
+        )}
         {data.description && (
           <div className="flow-node__desc">{data.description}</div>
         )}
@@ -44,11 +221,12 @@ const TriggerNode = ({ data }) => {
         id="trigger-out"
         className="flow-node__handle flow-node__handle--source"
       />
+      <AddStepButton nodeId={id} handleId="trigger-out" />
     </div>
   );
 };
 
-const ConditionNode = ({ data }) => {
+const ConditionNode = ({ id, data }) => {
   return (
     <div className="flow-node flow-node--condition">
       <Handle
@@ -62,10 +240,14 @@ const ConditionNode = ({ data }) => {
         <span className="flow-node__title">Condition</span>
       </div>
       <div className="flow-node__body">
-        <div>
-          <strong>{data.field}</strong> {data.operator}{' '}
-          <strong>{data.value}</strong>
-        </div>
+        {data.group ? (
+          <div>{describeCondition(data.group)}</div>
+        ) : (
+          <div>
+            <strong>{data.field}</strong> {data.operator}{' '}
+            <strong>{data.value}</strong>
+          </div>
+        )}
         {data.description && (
           <div className="flow-node__desc">{data.description}</div>
         )}
@@ -73,9 +255,21 @@ const ConditionNode = ({ data }) => {
       <Handle
         type="source"
         position={Position.Right}
-        id="condition-out"
-        className="flow-node__handle flow-node__handle--source"
+        id={CONDITION_TRUE_HANDLE}
+        className="flow-node__handle flow-node__handle--source flow-node__handle--true"
+        style={{ top: '35%' }}
+        title="True"
+      />
+      <Handle
+        type="source"
+        position={Position.Right}
+        id={CONDITION_FALSE_HANDLE}
+        className="flow-node__handle flow-node__handle--source flow-node__handle--false"
+        style={{ top: '75%' }}
+        title="False"
       />
+      <AddStepButton nodeId={id} handleId={CONDITION_TRUE_HANDLE} top="35%" />
+      <AddStepButton nodeId={id} handleId={CONDITION_FALSE_HANDLE} top="75%" />
     </div>
   );
 };
@@ -94,7 +288,7 @@ const ActionNode = ({ data }) => {
         <span className="flow-node__title">Action</span>
       </div>
       <div className="flow-node__body">
-        <strong>{data.actionType || 'Action'}</strong>
+        <strong>{getAction(data.actionType)?.label || data.actionType || 'Action'}</strong>
         {data.description && (
           <div className="flow-node__desc">{data.description}</div>
         )}
@@ -103,6 +297,19 @@ const ActionNode = ({ data }) => {
   );
 };
 
+// Human-readable preview of a schedule expression
+const describeSchedule = (expression) => {
+  if (!expression) return 'Runs on a schedule while the flow is enabled';
+  const spec = parseSchedule(expression);
+  if (!spec) return 'Unrecognised schedule';
+  if (spec.type === 'sprint') return `Runs on the sprint ${spec.field}`;
+  if (spec.type === 'interval') {
+    return `Runs every ${spec.amount} ${spec.unit}, counted from the previous run`;
+  }
+  const next = nextOccurrence(expression);
+  return next ? `Next run: ${next.toLocaleString()}` : 'No upcoming run';
+};
+
 // Node Properties Panel Components
 const TriggerProperties = ({ data, onChange }) => {
   return (
@@ -113,16 +320,25 @@ const TriggerProperties = ({ data, onChange }) => {
           value={data.eventType || ''}
           onChange={(e) => onChange({ eventType: e.target.value })}
         >
-          <option value="task.dropped">Task Dropped</option>
-          <option value="task.dragstart">Task Drag Start</option>
-          <option value="task.created">Task Created</option>
-          <option value="task.updated">Task Updated</option>
-          <option value="task.status_changed">Task Status Changed</option>
-          <option value="button.clicked">Button Clicked</option>
-          <option value="field.updated">Field Updated</option>
-          <option value="workspace.committed">Workspace Committed</option>
+          {TRIGGER_EVENTS.map((event) => (
+            <option key={event.type} value={event.type}>
+              {event.label}
+            </option>
+          ))}
         </select>
       </div>
+      {data.eventType === 'schedule' && (
+        <div className="flow-props__field">
+          <label>Schedule</label>
+          <input
+            type="text"
+            value={data.schedule || ''}
+            onChange={(e) => onChange({ schedule: e.target.value })}
+            placeholder="e.g., every weekday 09:00, on sprint endDate"
+          />
+          <div className="flow-props__hint">{describeSchedule(data.schedule)}</div>
+        </div>
+      )}
       <div className="flow-props__field">
         <label>Description</label>
         <input
@@ -136,41 +352,192 @@ const TriggerProperties = ({ data, onChange }) => {
   );
 };
 
-const ConditionProperties = ({ data, onChange }) => {
+// Placeholders for the value field, by operator input kind
+const CONDITION_VALUE_PLACEHOLDERS = {
+  value: 'Expected value',
+  list: 'e.g., Doing, Review',
+  regex: 'e.g., ^BUG- or /urgent/i',
+  date: 'e.g., 2025-03-31, today, now',
+  days: 'Number of days'
+};
+
+const MAX_CONDITION_DEPTH = 3;
+
+// One rule of a condition group
+const ConditionRuleEditor = ({ rule, onChange, onRemove }) => {
+  const operator = rule.operator || 'equals';
+  const input = CONDITION_OPERATORS.find((o) => o.value === operator)?.input || 'value';
+  const update = (changes) => onChange({ ...rule, ...changes });
+
   return (
-    <div className="flow-props">
-      <div className="flow-props__field">
-        <label>Field</label>
+    <div className="flow-cond__rule">
+      <div className="flow-cond__row">
         <input
           type="text"
-          value={data.field || ''}
-          onChange={(e) => onChange({ field: e.target.value })}
-          placeholder="e.g., status, toStatus"
+          value={rule.field || ''}
+          onChange={(e) => update({ field: e.target.value })}
+          placeholder="Field, e.g., toStatus"
+          aria-label="Field"
         />
+        {onRemove && (
+          <button
+            type="button"
+            className="flow-cond__remove"
+            onClick={onRemove}
+            aria-label="Remove condition"
+          >
+            ✕
+          </button>
+        )}
       </div>
-      <div className="flow-props__field">
-        <label>Operator</label>
+      <select
+        value={operator}
+        onChange={(e) => update({ operator: e.target.value })}
+        aria-label="Operator"
+      >
+        {CONDITION_OPERATORS.map((o) => (
+          <option key={o.value} value={o.value}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+      {input !== 'none' && (
+        <div className="flow-cond__row">
+          <input
+            type={input === 'days' ? 'number' : 'text'}
+            value={rule.value ?? ''}
+            onChange={(e) => update({ value: e.target.value })}
+            placeholder={CONDITION_VALUE_PLACEHOLDERS[input]}
+            aria-label="Value"
+          />
+          {(input === 'value' || input === 'list') && (
+            <select
+              className="flow-cond__type"
+              value={rule.valueType || 'auto'}
+              onChange={(e) => update({ valueType: e.target.value })}
+              aria-label="Value type"
+            >
+              {VALUE_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// AND/OR group of rules and nested groups
+const ConditionGroupEditor = ({ group, onChange, onRemove, depth = 0 }) => {
+  const conditions = group.conditions;
+
+  const updateAt = (index, condition) =>
+    onChange({ ...group, conditions: conditions.map((c, i) => (i === index ? condition : c)) });
+  const removeAt = (index) =>
+    onChange({ ...group, conditions: conditions.filter((_, i) => i !== index) });
+  const append = (condition) => onChange({ ...group, conditions: [...conditions, condition] });
+
+  return (
+    <div className={`flow-cond__group${depth > 0 ? ' flow-cond__group--nested' : ''}`}>
+      <div className="flow-cond__row">
         <select
-          value={data.operator || 'equals'}
-          onChange={(e) => onChange({ operator: e.target.value })}
+          value={group.combinator || 'and'}
+          onChange={(e) => onChange({ ...group, combinator: e.target.value })}
+          aria-label="Combine conditions"
         >
-          <option value="equals">Equals</option>
-          <option value="not_equals">Not Equals</option>
-          <option value="contains">Contains</option>
-          <option value="greater_than">Greater Than</option>
-          <option value="less_than">Less Than</option>
-          <option value="exists">Exists</option>
-          <option value="not_exists">Not Exists</option>
+          <option value="and">Match all (AND)</option>
+          <option value="or">Match any (OR)</option>
         </select>
+        {onRemove && (
+          <button
+            type="button"
+            className="flow-cond__remove"
+            onClick={onRemove}
+            aria-label="Remove group"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      {conditions.map((condition, index) =>
+        isConditionGroup(condition) ? (
+          <ConditionGroupEditor
+            key={index}
+            group={condition}
+            depth={depth + 1}
+            onChange={(g) => updateAt(index, g)}
+            onRemove={() => removeAt(index)}
+          />
+        ) : (
+          <ConditionRuleEditor
+            key={index}
+            rule={condition}
+            onChange={(r) => updateAt(index, r)}
+            onRemove={conditions.length > 1 || depth > 0 ? () => removeAt(index) : null}
+          />
+        )
+      )}
+
+      <div className="flow-cond__row">
+        <button
+          type="button"
+          className="flow-cond__add"
+          onClick={() => append({ field: '', operator: 'equals', value: '' })}
+        >
+          + Condition
+        </button>
+        {depth + 1 < MAX_CONDITION_DEPTH && (
+          <button
+            type="button"
+            className="flow-cond__add"
+            onClick={() =>
+              append({ combinator: 'or', conditions: [{ field: '', operator: 'equals', value: '' }] })
+            }
+          >
+            + Group
+          </button>
+        )}
       </div>
+    </div>
+  );
+};
+
+const ConditionProperties = ({ data, onChange }) => {
+  const { field = '', operator = 'equals', value = '', valueType } = data;
+  const group = data.group || {
+    combinator: 'and',
+    conditions: [{ field, operator, value, ...(valueType ? { valueType } : {}) }]
+  };
+
+  // A single AND rule is stored flat (field/operator/value) as before
+  const handleGroupChange = (newGroup) => {
+    const [only] = newGroup.conditions;
+    if (
+      newGroup.combinator !== 'or' &&
+      newGroup.conditions.length === 1 &&
+      !isConditionGroup(only)
+    ) {
+      onChange({
+        group: undefined,
+        field: only.field,
+        operator: only.operator,
+        value: only.value,
+        valueType: only.valueType
+      });
+    } else {
+      onChange({ group: newGroup });
+    }
+  };
+
+  return (
+    <div className="flow-props">
       <div className="flow-props__field">
-        <label>Value</label>
-        <input
-          type="text"
-          value={data.value || ''}
-          onChange={(e) => onChange({ value: e.target.value })}
-          placeholder="Expected value"
-        />
+        <label>Conditions</label>
+        <ConditionGroupEditor group={group} onChange={handleGroupChange} />
       </div>
       <div className="flow-props__field">
         <label>Description</label>
@@ -185,12 +552,121 @@ const ConditionProperties = ({ data, onChange }) => {
   );
 };
 
+// JSON config field; keeps the raw text while it is being edited, reports
+// values that parse through onChange and text that does not through
+// onInvalid(text, message). draft is the invalid text last reported.
+const JsonField = ({ value, draft, onChange, onInvalid, placeholder }) => {
+  const [text, setText] = useState(
+    () => draft ?? (value ? JSON.stringify(value, null, 2) : '{}')
+  );
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    try {
+      onChange(JSON.parse(e.target.value));
+    } catch (err) {
+      onInvalid(e.target.value, err.message);
+    }
+  };
+
+  return (
+    <>
+      <textarea value={text} onChange={handleChange} placeholder={placeholder} />
+      {draft !== undefined && (
+        <div className="flow-props__hint flow-props__hint--error">
+          Invalid JSON – the flow cannot be saved until this is fixed
+        </div>
+      )}
+    </>
+  );
+};
+
+// Input for one field of a registered action type
+const ActionConfigField = ({ field, value, draft, onChange, onInvalid }) => {
+  switch (field.type) {
+    case 'textarea':
+      return (
+        <textarea
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={field.placeholder}
+        />
+      );
+    case 'number':
+      return (
+        <input
+          type="number"
+          min="0"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+          placeholder={field.placeholder}
+        />
+      );
+    case 'select':
+      return (
+        <select value={value ?? field.default ?? ''} onChange={(e) => onChange(e.target.value)}>
+          {field.options.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      );
+    case 'json':
+      return (
+        <JsonField
+          value={value}
+          draft={draft}
+          onChange={onChange}
+          onInvalid={onInvalid}
+          placeholder={field.placeholder}
+        />
+      );
+    default:
+      return (
+        <input
+          type="text"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={field.placeholder}
+        />
+      );
+  }
+};
+
 const ActionProperties = ({ data, onChange }) => {
   const actionType = data.actionType || 'show_notification';
+  const definition = getAction(actionType);
+  const actionTypes = listActions();
 
+  // A parsed value replaces any invalid JSON text kept for the field
   const handleConfigChange = (key, value) => {
     const newConfig = { ...(data.config || {}), [key]: value };
-    onChange({ config: newConfig });
+    if (data.invalidJson?.[key]) {
+      const { [key]: _fixed, ...invalidJson } = data.invalidJson;
+      onChange({
+        config: newConfig,
+        invalidJson: Object.keys(invalidJson).length > 0 ? invalidJson : undefined
+      });
+    } else {
+      onChange({ config: newConfig });
+    }
+  };
+
+  // Keep JSON text that does not parse, so the validator can report it
+  const handleInvalidJson = (key, text, error) => {
+    onChange({ invalidJson: { ...(data.invalidJson || {}), [key]: { text, error } } });
+  };
+
+  // Error handling overrides; an empty field falls back to the engine default
+  const handlePolicyChange = (key, value) => {
+    const newPolicy = { ...(data.policy || {}) };
+    if (value === '' || value === undefined) {
+      delete newPolicy[key];
+    } else {
+      newPolicy[key] = value;
+    }
+    onChange({ policy: newPolicy });
   };
 
   return (
@@ -199,127 +675,76 @@ const ActionProperties = ({ data, onChange }) => {
         <label>Action Type</label>
         <select
           value={actionType}
-          onChange={(e) => onChange({ actionType: e.target.value, config: {} })}
+          onChange={(e) =>
+            onChange({
+              actionType: e.target.value,
+              config: defaultConfigFor(e.target.value),
+              invalidJson: undefined
+            })
+          }
         >
-          <option value="show_notification">Show Notification</option>
-          <option value="run_command">Run Command</option>
-          <option value="update_field">Update Field</option>
-          <option value="log_message">Log Message</option>
+          {!definition && <option value={actionType}>{actionType} (not registered)</option>}
+          {actionTypes.map((type) => (
+            <option key={type.id} value={type.id}>
+              {type.label}
+            </option>
+          ))}
         </select>
       </div>
 
-      {actionType === 'show_notification' && (
-        <>
-          <div className="flow-props__field">
-            <label>Title</label>
-            <input
-              type="text"
-              value={data.config?.title || ''}
-              onChange={(e) => handleConfigChange('title', e.target.value)}
-              placeholder="Notification title"
-            />
-          </div>
-          <div className="flow-props__field">
-            <label>Message</label>
-            <textarea
-              value={data.config?.message || ''}
-              onChange={(e) => handleConfigChange('message', e.target.value)}
-              placeholder="Use {{variable}} for dynamic values"
-            />
-          </div>
-        </>
-      )}
-
-      {actionType === 'run_command' && (
-        <>
-          <div className="flow-props__field">
-            <label>Command Type</label>
-            <input
-              type="text"
-              value={data.config?.commandType || ''}
-              onChange={(e) => handleConfigChange('commandType', e.target.value)}
-              placeholder="e.g., CreateTask"
-            />
-          </div>
-          <div className="flow-props__field">
-            <label>Parameters (JSON)</label>
-            <textarea
-              value={data.config?.params ? JSON.stringify(data.config.params, null, 2) : '{}'}
-              onChange={(e) => {
-                try {
-                  const params = JSON.parse(e.target.value);
-                  handleConfigChange('params', params);
-                } catch (err) {
-                  // Invalid JSON, ignore
-                }
-              }}
-              placeholder='{"key": "value"}'
-            />
-          </div>
-        </>
-      )}
+      {definition?.fields.map((field) => (
+        <div key={`${actionType}-${field.key}`} className="flow-props__field">
+          <label>{field.label}</label>
+          <ActionConfigField
+            field={field}
+            value={data.config?.[field.key]}
+            draft={data.invalidJson?.[field.key]?.text}
+            onChange={(value) => handleConfigChange(field.key, value)}
+            onInvalid={(text, error) => handleInvalidJson(field.key, text, error)}
+          />
+        </div>
+      ))}
 
-      {actionType === 'update_field' && (
+      {definition && !definition.pausesFlow && (
         <>
           <div className="flow-props__field">
-            <label>Target Type</label>
-            <select
-              value={data.config?.targetType || 'task'}
-              onChange={(e) => handleConfigChange('targetType', e.target.value)}
-            >
-              <option value="task">Task</option>
-              <option value="workspace">Workspace</option>
-            </select>
-          </div>
-          <div className="flow-props__field">
-            <label>Target ID</label>
+            <label>Timeout (ms)</label>
             <input
-              type="text"
-              value={data.config?.targetId || ''}
-              onChange={(e) => handleConfigChange('targetId', e.target.value)}
-              placeholder="e.g., {{taskId}}"
+              type="number"
+              min="0"
+              value={data.policy?.timeoutMs ?? ''}
+              onChange={(e) => handlePolicyChange('timeoutMs', e.target.value === '' ? '' : Number(e.target.value))}
+              placeholder={String(DEFAULT_ACTION_POLICY.timeoutMs)}
             />
           </div>
           <div className="flow-props__field">
-            <label>Field</label>
+            <label>Retries</label>
             <input
-              type="text"
-              value={data.config?.field || ''}
-              onChange={(e) => handleConfigChange('field', e.target.value)}
-              placeholder="e.g., status, assignee"
+              type="number"
+              min="0"
+              value={data.policy?.retries ?? ''}
+              onChange={(e) => handlePolicyChange('retries', e.target.value === '' ? '' : Number(e.target.value))}
+              placeholder={String(DEFAULT_ACTION_POLICY.retries)}
             />
           </div>
           <div className="flow-props__field">
-            <label>Value</label>
+            <label>Retry Backoff (ms)</label>
             <input
-              type="text"
-              value={data.config?.value || ''}
-              onChange={(e) => handleConfigChange('value', e.target.value)}
-              placeholder="New value"
-            />
-          </div>
-        </>
-      )}
-
-      {actionType === 'log_message' && (
-        <>
-          <div className="flow-props__field">
-            <label>Message</label>
-            <textarea
-              value={data.config?.message || ''}
-              onChange={(e) => handleConfigChange('message', e.target.value)}
-              placeholder="Log message"
+              type="number"
+              min="0"
+              value={data.policy?.backoffMs ?? ''}
+              onChange={(e) => handlePolicyChange('backoffMs', e.target.value === '' ? '' : Number(e.target.value))}
+              placeholder={String(DEFAULT_ACTION_POLICY.backoffMs)}
             />
           </div>
           <div className="flow-props__field">
-            <label>Level</label>
+            <label>On Error</label>
             <select
-              value={data.config?.level || 'info'}
-              onChange={(e) => handleConfigChange('level', e.target.value)}
+              value={data.policy?.onError || DEFAULT_ACTION_POLICY.onError}
+              onChange={(e) => handlePolicyChange('onError', e.target.value)}
             >
-              <option value="info">Info</option>
-              <option value="warn">Warning</option>
-              <option value="error">Error</option>
+              <option value="continue">Continue flow</option>
+              <option value="abort">Abort flow</option>
             </select>
           </div>
         </>
@@ -353,8 +778,238 @@ const NodePropertiesPanel = ({ node, onChange }) => {
   }
 };
 
+// Validation problems of one node, shown above its properties
+const NodeIssues = ({ issues }) => {
+  if (issues.length === 0) return null;
+
+  return (
+    <ul className="flow-issues flow-issues--node">
+      {issues.map((issue, index) => (
+        <li key={index} className={`flow-issues__item flow-issues__item--${issue.severity}`}>
+          {issue.message}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Validation summary under the toolbar; problems link to their nodes
+const FlowProblemsBar = ({ issues, expanded, onToggle, reviewing, onSelectNode }) => {
+  const errors = issues.filter((issue) => issue.severity === 'error').length;
+  const warnings = issues.length - errors;
+
+  const summary = [
+    errors > 0 && `${errors} ${errors === 1 ? 'error' : 'errors'}`,
+    warnings > 0 && `${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`
+  ].filter(Boolean).join(' • ');
+
+  return (
+    <div className={`flow-issues-bar flow-issues-bar--${errors > 0 ? 'error' : 'warning'}`}>
+      <div className="flow-issues-bar__summary">
+        <span>{summary}</span>
+        {reviewing && (
+          <span className="flow-issues-bar__note">
+            {errors > 0
+              ? 'Fix the errors before saving.'
+              : 'Save again to keep the flow with these warnings.'}
+          </span>
+        )}
+        <button type="button" className="flow-issues-bar__toggle" onClick={onToggle}>
+          {expanded ? 'Hide' : 'Show'}
+        </button>
+      </div>
+      {expanded && (
+        <ul className="flow-issues">
+          {issues.map((issue, index) => (
+            <li key={index} className={`flow-issues__item flow-issues__item--${issue.severity}`}>
+              {issue.nodeId ? (
+                <button type="button" onClick={() => onSelectNode(issue.nodeId)}>
+                  {issue.message}
+                </button>
+              ) : (
+                issue.message
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Readable value for the test results
+const formatPreviewValue = (value) =>
+  typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+
+// Test run panel: sample payload editor and what the flow would do with it
+const FlowTestPanel = ({ payloadText, onPayloadChange, onRun, onReset, result, error, nodes }) => {
+  const nodeLabel = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId);
+    return node?.data?.description || node?.data?.label || nodeId;
+  };
+  const log = result?.log;
+
+  return (
+    <div className="flow-props">
+      <div className="flow-props__field">
+        <label>Sample Payload (JSON)</label>
+        <textarea
+          className="flow-test__payload"
+          value={payloadText}
+          onChange={(e) => onPayloadChange(e.target.value)}
+          spellCheck={false}
+        />
+        <div className="flow-props__hint">
+          Conditions use this payload and the current workspace. Nothing is executed,
+          recorded or sent to the backend.
+        </div>
+      </div>
+      <div className="flow-test__actions">
+        <button type="button" className="flow-editor__btn flow-editor__btn--primary" onClick={onRun}>
+          Run Test
+        </button>
+        <button type="button" className="flow-editor__btn flow-editor__btn--secondary" onClick={onReset}>
+          Reset Sample
+        </button>
+      </div>
+
+      {error && <div className="flow-test__error">{error}</div>}
+
+      {log && (
+        <div className="flow-test__results">
+          <div className={`flow-test__status flow-test__status--${log.status}`}>
+            {log.status.replace(/_/g, ' ')}
+            {log.reason && ` – ${log.reason}`}
+          </div>
+
+          {log.conditionsEvaluated.length > 0 && (
+            <div className="flow-test__section">
+              <strong>Conditions</strong>
+              {log.conditionsEvaluated.map((c, i) => (
+                <div key={c.nodeId || i} className="flow-test__item">
+                  <span className={`flow-test__outcome flow-test__outcome--${c.result}`}>
+                    {c.result ? 'true' : 'false'}
+                  </span>
+                  {describeCondition(c)}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flow-test__section">
+            <strong>Actions that would fire</strong>
+            {log.actionsPerformed.length === 0 && (
+              <div className="flow-props__hint">None</div>
+            )}
+            {log.actionsPerformed.map((a) => (
+              <div key={a.nodeId || a.index} className="flow-test__item">
+                <div>
+                  {getAction(a.type)?.label || a.type}
+                  {a.nodeId && <span className="flow-props__hint"> · {nodeLabel(a.nodeId)}</span>}
+                </div>
+                {Object.entries(a.preview || {}).map(([key, value]) => (
+                  <pre key={key} className="flow-test__preview">
+                    {key}: {formatPreviewValue(value)}
+                  </pre>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          {log.errors.length > 0 && (
+            <div className="flow-test__section">
+              <strong>Problems</strong>
+              {log.errors.map((e, i) => (
+                <div key={i} className="flow-test__error">
+                  {e.type ? `${e.type}: ` : ''}{e.error}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Rules of a condition trace, flattened (see FlowConditions.explainCondition)
+const traceRules = (trace) =>
+  trace.conditions ? trace.conditions.flatMap(traceRules) : [trace];
+
+// Replay of a recorded execution: its steps in the order they ran, with the
+// values each one saw
+const FlowReplayPanel = ({ log, flow, selectedNodeId, onSelectNode }) => {
+  const steps = getExecutionSteps(log, flow);
+
+  return (
+    <div className="flow-props">
+      <div className={`flow-test__status flow-test__status--${log.status}`}>
+        {log.status.replace(/_/g, ' ')}
+        {log.reason && ` – ${log.reason}`}
+      </div>
+      <div className="flow-props__hint">
+        {log.eventType || 'manual'} • {new Date(log.startTime).toLocaleString()}
+        {log.duration !== undefined && ` • ${log.duration}ms`}
+      </div>
+
+      <div className="flow-test__section">
+        <strong>Steps</strong>
+        {steps.length === 0 && <div className="flow-props__hint">None</div>}
+        {steps.map((step) => {
+          const ok = ['passed', 'succeeded', 'previewed'].includes(step.status);
+          const selected = step.nodeId && step.nodeId === selectedNodeId;
+
+          return (
+            <div
+              key={step.key}
+              className={`flow-test__item${selected ? ' flow-test__item--selected' : ''}`}
+            >
+              <button
+                type="button"
+                className="flow-test__step"
+                onClick={() => onSelectNode(step.nodeId)}
+                disabled={!step.nodeId}
+              >
+                <span className={`flow-test__outcome flow-test__outcome--${ok}`}>{step.status}</span>
+                {step.label}
+              </button>
+              {step.offset !== undefined && (
+                <div className="flow-props__hint">
+                  +{step.offset}ms • {step.duration ?? 0}ms
+                </div>
+              )}
+              {step.trace && traceRules(step.trace).map((rule, index) => (
+                <div key={index} className="flow-test__preview">
+                  <span className={`flow-test__outcome flow-test__outcome--${rule.result}`}>
+                    {rule.result ? 'true' : 'false'}
+                  </span>
+                  {describeCondition(rule)} (actual: {rule.actual === undefined ? 'not set' : formatPreviewValue(rule.actual)})
+                </div>
+              ))}
+              {step.input !== undefined && (
+                <pre className="flow-test__preview">input: {formatPreviewValue(step.input)}</pre>
+              )}
+              {step.result !== undefined && (
+                <pre className="flow-test__preview">result: {formatPreviewValue(step.result)}</pre>
+              )}
+              {step.error && <div className="flow-test__error">{step.error}</div>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
 // Main FlowEditor Component
-const FlowEditor = ({ flow = null, onSave = () => {}, onCancel = () => {} }) => {
+const FlowEditor = ({
+  flow = null,
+  snapshot = null,
+  replay = null,
+  userRole = 'workspace_owner',
+  onSave = () => {},
+  onCancel = () => {}
+}) => {
   // Node types definition
   const nodeTypes = useMemo(
     () => ({
@@ -386,15 +1041,26 @@ const FlowEditor = ({ flow = null, onSave = () => {}, onCancel = () => {} }) =>
   }, [flow]);
 
   const initialEdges = useMemo(() => {
-    return flow?.edges || [];
+    return normalizeEdges(flow?.edges || []);
   }, [flow]);
 
   // State management
   const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes);
   const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
-  const [selectedNode, setSelectedNode] = useState(null);
+  const [selectedNodeId, setSelectedNodeId] = useState(null);
   const [flowName, setFlowName] = useState(flow?.name || '');
   const [flowDescription, setFlowDescription] = useState(flow?.description || '');
+  const [runAs, setRunAs] = useState(
+    () => lowestRole(flow?.runAs || flow?.owner?.role || userRole, userRole) || userRole
+  );
+  const [testOpen, setTestOpen] = useState(false);
+  const [testPayload, setTestPayload] = useState('');
+  const [testResult, setTestResult] = useState(null);
+  const [testError, setTestError] = useState(null);
+  const [problemsOpen, setProblemsOpen] = useState(false);
+  // Problems the user was shown on save; saving again with the same
+  // warnings confirms them
+  const [reviewedIssues, setReviewedIssues] = useState(null);
 
   // Update flow metadata when flow prop changes
   useEffect(() => {
@@ -404,32 +1070,213 @@ const FlowEditor = ({ flow = null, onSave = () => {}, onCancel = () => {} }) =>
     }
   }, [flow]);
 
+  const history = useGraphHistory(nodes, edges, setNodes, setEdges);
+  const { record } = history;
+
+  // Node shown in the properties panel, as currently on the canvas
+  const selectedNode = nodes.find((n) => n.id === selectedNodeId) || null;
+
+  // Nodes copied, pasted or deleted together: those selected on the canvas,
+  // or else the one in the properties panel
+  const selectedNodes = () => {
+    const selected = nodes.filter((n) => n.selected);
+    if (selected.length > 0) return selected;
+    return selectedNode ? [selectedNode] : [];
+  };
+
+  // Record removals (delete key) as undo steps
+  const handleNodesChange = useCallback(
+    (changes) => {
+      if (changes.some((change) => change.type === 'remove')) record('remove');
+      onNodesChange(changes);
+    },
+    [onNodesChange, record]
+  );
+
+  const handleEdgesChange = useCallback(
+    (changes) => {
+      if (changes.some((change) => change.type === 'remove')) record('remove');
+      onEdgesChange(changes);
+    },
+    [onEdgesChange, record]
+  );
+
+  const onNodeDragStart = useCallback(() => record(), [record]);
+
   // Handle edge connections
   const onConnect = useCallback(
     (params) => {
-      setEdges((eds) => addEdge(params, eds));
+      record();
+      // Label condition branches so the routing is visible on the canvas
+      let label;
+      if (params.sourceHandle === CONDITION_TRUE_HANDLE) label = 'true';
+      if (params.sourceHandle === CONDITION_FALSE_HANDLE) label = 'false';
+      setEdges((eds) => addEdge(label ? { ...params, label } : params, eds));
     },
-    [setEdges]
+    [setEdges, record]
   );
 
   // Handle node click
   const onNodeClick = useCallback((event, node) => {
-    setSelectedNode(node);
+    setSelectedNodeId(node.id);
+    setTestOpen(false);
   }, []);
 
-  // Handle adding new nodes
+  // Validate the graph as drawn
+  const issues = useMemo(() => validateFlow({ nodes, edges }, { snapshot }), [nodes, edges, snapshot]);
+  const issueSignature = issues.map((i) => `${i.nodeId}:${i.code}:${i.message}`).join('|');
+  const reviewing = reviewedIssues !== null && reviewedIssues === issueSignature;
+
+  // Execution whose path the canvas shows: the replayed one, or the last
+  // test run while the test panel is open
+  const highlightLog = replay || (testOpen ? testResult?.log : null);
+
+  // Highlight the path of the highlighted execution, otherwise nodes with
+  // problems
+  const displayNodes = useMemo(() => {
+    const log = highlightLog;
+    if (!log) {
+      const severityByNode = new Map();
+      issues.forEach((issue) => {
+        if (issue.nodeId && severityByNode.get(issue.nodeId) !== 'error') {
+          severityByNode.set(issue.nodeId, issue.severity);
+        }
+      });
+      if (severityByNode.size === 0) return nodes;
+
+      return nodes.map((node) =>
+        severityByNode.has(node.id)
+          ? { ...node, className: `flow-editor__node--${severityByNode.get(node.id) === 'error' ? 'invalid' : 'warning'}` }
+          : node
+      );
+    }
+
+    const failed = new Set(log.errors.map((e) => e.nodeId).filter(Boolean));
+    return nodes.map((node) => {
+      let className = 'flow-editor__node--idle';
+      if (failed.has(node.id)) className = 'flow-editor__node--failed';
+      else if (log.path.includes(node.id)) className = 'flow-editor__node--fired';
+      return { ...node, className };
+    });
+  }, [nodes, highlightLog, issues]);
+
+  const displayEdges = useMemo(() => {
+    if (!highlightLog) return edges;
+
+    return edges.map((edge) =>
+      isEdgeTaken(edge, highlightLog)
+        ? { ...edge, animated: true }
+        : { ...edge, className: 'flow-editor__edge--idle' }
+    );
+  }, [edges, highlightLog]);
+
+  // First free slot at or below a position, so new nodes don't land on
+  // existing ones
+  const freePosition = (position) => {
+    let { x, y } = position;
+    while (nodes.some((n) => Math.abs(n.position.x - x) < 40 && Math.abs(n.position.y - y) < 40)) {
+      y += LAYOUT_SPACING.y;
+    }
+    return { x, y };
+  };
+
+  // Add a node as `selected`, deselecting the rest
+  const appendSelected = (nds, added) => [
+    ...nds.map((n) => (n.selected ? { ...n, selected: false } : n)),
+    ...added.map((n) => ({ ...n, selected: true }))
+  ];
+
+  // Handle adding new nodes, in a column right of the graph
   const handleAddNode = (nodeType) => {
+    const right = nodes.length > 0 ? Math.max(...nodes.map((n) => n.position.x)) + LAYOUT_SPACING.x : LAYOUT_ORIGIN.x;
+    const newNode = {
+      id: `${nodeType}-${Date.now()}`,
+      type: nodeType,
+      position: freePosition({ x: right, y: LAYOUT_ORIGIN.y }),
+      data: getDefaultNodeData(nodeType)
+    };
+
+    record();
+    setNodes((nds) => appendSelected(nds, [newNode]));
+    setSelectedNodeId(newNode.id);
+    setTestOpen(false);
+  };
+
+  // Insert a node after a node's output. An inserted condition takes over
+  // what followed on that output, through its true branch; actions end a
+  // path, so an inserted action is added beside what followed.
+  const handleAddNext = (sourceId, sourceHandle, nodeType) => {
+    const source = nodes.find((n) => n.id === sourceId);
+    if (!source) return;
+
     const newNode = {
       id: `${nodeType}-${Date.now()}`,
       type: nodeType,
-      position: {
-        x: Math.random() * 300 + 200,
-        y: Math.random() * 300 + 200
-      },
+      position: freePosition({
+        x: source.position.x + LAYOUT_SPACING.x,
+        y: source.position.y + (sourceHandle === CONDITION_FALSE_HANDLE ? LAYOUT_SPACING.y : 0)
+      }),
       data: getDefaultNodeData(nodeType)
     };
+    const followsOutput = (edge) =>
+      edge.source === sourceId && (source.type !== 'condition' || edge.sourceHandle === sourceHandle);
 
-    setNodes((nds) => [...nds, newNode]);
+    record();
+    setNodes((nds) => appendSelected(nds, [newNode]));
+    setEdges((eds) => [
+      ...eds.map((edge) =>
+        nodeType === 'condition' && followsOutput(edge)
+          ? makeEdge(newNode.id, CONDITION_TRUE_HANDLE, edge.target)
+          : edge
+      ),
+      makeEdge(sourceId, sourceHandle, newNode.id)
+    ]);
+    setSelectedNodeId(newNode.id);
+    setTestOpen(false);
+  };
+
+  // Lay the graph out left to right
+  const handleAutoLayout = () => {
+    record();
+    setNodes((nds) => layoutGraph(nds, edges));
+  };
+
+  // Copy the selected nodes and the edges between them. Triggers stay behind:
+  // a flow has one.
+  const handleCopy = () => {
+    const copied = selectedNodes().filter((n) => n.type !== 'trigger');
+    if (copied.length === 0) return;
+    const ids = new Set(copied.map((n) => n.id));
+    graphClipboard = {
+      nodes: copied.map(({ id, type, position, data }) => ({ id, type, position, data })),
+      edges: edges.filter((e) => ids.has(e.source) && ids.has(e.target)),
+      pastes: 0
+    };
+  };
+
+  // Paste the copied nodes, offset further on each paste, and select them
+  const handlePaste = () => {
+    if (!graphClipboard) return;
+    graphClipboard.pastes += 1;
+    const offset = PASTE_OFFSET * graphClipboard.pastes;
+    const stamp = Date.now();
+    const newIds = new Map(
+      graphClipboard.nodes.map((n, index) => [n.id, `${n.type}-${stamp}-${index}`])
+    );
+    const pasted = graphClipboard.nodes.map((n) => ({
+      ...n,
+      id: newIds.get(n.id),
+      position: { x: n.position.x + offset, y: n.position.y + offset },
+      data: JSON.parse(JSON.stringify(n.data))
+    }));
+    const pastedEdges = graphClipboard.edges.map((e) =>
+      makeEdge(newIds.get(e.source), e.sourceHandle, newIds.get(e.target))
+    );
+
+    record();
+    setNodes((nds) => appendSelected(nds, pasted));
+    setEdges((eds) => [...eds, ...pastedEdges]);
+    setSelectedNodeId(pasted.length === 1 ? pasted[0].id : null);
   };
 
   // Get default data for node types
@@ -463,6 +1310,7 @@ const FlowEditor = ({ flow = null, onSave = () => {}, onCancel = () => {} }) =>
 
   // Handle node data changes
   const handleNodeDataChange = (nodeId, newData) => {
+    record(`data:${nodeId}`);
     setNodes((nds) =>
       nds.map((node) =>
         node.id === nodeId
@@ -470,41 +1318,94 @@ const FlowEditor = ({ flow = null, onSave = () => {}, onCancel = () => {} }) =>
           : node
       )
     );
-    if (selectedNode?.id === nodeId) {
-      setSelectedNode({
-        ...selectedNode,
-        data: { ...selectedNode.data, ...newData }
-      });
-    }
   };
 
-  // Handle save
-  const handleSave = () => {
-    const flowDefinition = {
+  // Build the flow definition from the canvas
+  const buildFlowDefinition = () => {
+    const trigger = extractTrigger(nodes);
+    return {
       id: flow?.id || `flow-${Date.now()}`,
       name: flowName || 'Untitled Flow',
       description: flowDescription || '',
+      defaultTrigger: trigger.type,
       nodes,
       edges,
       enabled: true,
       sendToBackend: true,
+      owner: flow?.owner,
+      runAs,
       // Convert nodes to legacy format for execution
-      trigger: extractTrigger(nodes),
+      trigger,
       conditions: extractConditions(nodes, edges),
       actions: extractActions(nodes, edges)
     };
+  };
+
+  // Handle save: errors block it, warnings are shown once and saving again
+  // confirms them
+  const handleSave = () => {
+    if (hasBlockingIssues(issues) || (issues.length > 0 && !reviewing)) {
+      setReviewedIssues(issueSignature);
+      setProblemsOpen(true);
+      return;
+    }
+    onSave(buildFlowDefinition());
+  };
+
+  // Select a node from the problems list
+  const handleSelectIssueNode = (nodeId) => {
+    if (nodes.some((n) => n.id === nodeId)) {
+      setSelectedNodeId(nodeId);
+      setTestOpen(false);
+    }
+  };
+
+  // Sample payload for the trigger's event type
+  const sampleTestPayload = () =>
+    JSON.stringify(samplePayloadFor(extractTrigger(nodes).type, snapshot), null, 2);
+
+  // Open or close the test panel, prefilling the payload the first time
+  const handleToggleTest = () => {
+    if (!testOpen && !testPayload) {
+      setTestPayload(sampleTestPayload());
+    }
+    setTestOpen(!testOpen);
+  };
+
+  const handleResetTestPayload = () => {
+    setTestPayload(sampleTestPayload());
+    setTestResult(null);
+    setTestError(null);
+  };
+
+  // Test-run the flow as currently drawn
+  const handleRunTest = () => {
+    let payload;
+    try {
+      payload = JSON.parse(testPayload);
+    } catch (e) {
+      setTestError('Invalid JSON: ' + e.message);
+      return;
+    }
 
-    onSave(flowDefinition);
+    setTestError(null);
+    dryRunFlow(buildFlowDefinition(), payload, { currentSnapshot: snapshot })
+      .then(setTestResult)
+      .catch((e) => setTestError(e.message || String(e)));
   };
 
   // Extract trigger information
   const extractTrigger = (nodes) => {
     const triggerNode = nodes.find((n) => n.type === 'trigger');
     if (triggerNode) {
-      return {
+      const trigger = {
         type: triggerNode.data.eventType,
         conditions: []
       };
+      if (triggerNode.data.eventType === 'schedule') {
+        trigger.schedule = triggerNode.data.schedule || '';
+      }
+      return trigger;
     }
     return { type: 'manual', conditions: [] };
   };
@@ -512,11 +1413,7 @@ const FlowEditor = ({ flow = null, onSave = () => {}, onCancel = () => {} }) =>
   // Extract conditions
   const extractConditions = (nodes, edges) => {
     const conditionNodes = nodes.filter((n) => n.type === 'condition');
-    return conditionNodes.map((node) => ({
-      field: node.data.field,
-      operator: node.data.operator,
-      value: node.data.value
-    }));
+    return conditionNodes.map(conditionFromNode);
   };
 
   // Extract actions
@@ -527,124 +1424,295 @@ const FlowEditor = ({ flow = null, onSave = () => {}, onCancel = () => {} }) =>
 
     return actionNodes.map((node) => ({
       type: node.data.actionType,
-      config: node.data.config
+      config: node.data.config,
+      ...(node.data.policy ? { policy: node.data.policy } : {})
     }));
   };
 
-  // Handle delete node
+  // Handle delete of the selected nodes
   const handleDeleteNode = () => {
-    if (selectedNode) {
-      setNodes((nds) => nds.filter((n) => n.id !== selectedNode.id));
+    const ids = new Set(selectedNodes().map((n) => n.id));
+    if (ids.size > 0) {
+      record();
+      setNodes((nds) => nds.filter((n) => !ids.has(n.id)));
       setEdges((eds) =>
         eds.filter(
-          (e) => e.source !== selectedNode.id && e.target !== selectedNode.id
+          (e) => !ids.has(e.source) && !ids.has(e.target)
         )
       );
-      setSelectedNode(null);
+      setSelectedNodeId(null);
     }
   };
 
+  // Keyboard shortcuts, outside of form fields: undo, redo, copy, paste
+  const shortcuts = useRef(null);
+  useEffect(() => {
+    shortcuts.current = {
+      z: history.undo,
+      y: history.redo,
+      c: handleCopy,
+      v: handlePaste
+    };
+  });
+
+  useEffect(() => {
+    if (replay) return undefined;
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      let key = event.key.toLowerCase();
+      if (key === 'z' && event.shiftKey) key = 'y';
+      const run = shortcuts.current?.[key];
+      if (!run) return;
+      event.preventDefault();
+      run();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [replay]);
+
+  const selectedCount = nodes.filter((n) => n.selected).length;
+
   return (
     <div className="flow-editor-overlay">
       <div className="flow-editor">
         {/* Header */}
         <div className="flow-editor__header">
           <div className="flow-editor__header-left">
-            <h3 className="flow-editor__title">Flow Editor</h3>
+            <h3 className="flow-editor__title">{replay ? 'Execution Replay' : 'Flow Editor'}</h3>
             <input
               type="text"
               className="flow-editor__name-input"
               value={flowName}
               onChange={(e) => setFlowName(e.target.value)}
               placeholder="Flow name"
+              readOnly={Boolean(replay)}
             />
+            {replay && flow?.version && (
+              <span className="flow-editor__version">v{flow.version}</span>
+            )}
+            {!replay && (
+              <label className="flow-editor__run-as">
+                Run as
+                <select value={runAs} onChange={(e) => setRunAs(e.target.value)}>
+                  {assignableRoles(userRole).map((role) => (
+                    <option key={role} value={role}>{role}</option>
+                  ))}
+                </select>
+              </label>
+            )}
           </div>
-          <div className="flow-editor__header-right">
+          {replay ? (
+            <div className="flow-editor__header-right">
+              <button
+                type="button"
+                className="flow-editor__btn flow-editor__btn--secondary"
+                onClick={onCancel}
+              >
+                Close
+              </button>
+            </div>
+          ) : (
+            <div className="flow-editor__header-right">
+              <button
+                type="button"
+                className="flow-editor__btn flow-editor__btn--secondary"
+                onClick={handleToggleTest}
+                aria-pressed={testOpen}
+              >
+                {testOpen ? 'Close Test' : 'Test Flow'}
+              </button>
+              <button
+                type="button"
+                className="flow-editor__btn flow-editor__btn--primary"
+                onClick={handleSave}
+              >
+                {reviewing && !hasBlockingIssues(issues) ? 'Save Anyway' : 'Save Flow'}
+              </button>
+              <button
+                type="button"
+                className="flow-editor__btn flow-editor__btn--secondary"
+                onClick={onCancel}
+              >
+                Cancel
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Toolbar */}
+        {!replay && (
+          <div className="flow-editor__toolbar">
+            <div className="flow-editor__toolbar-label">Add Node:</div>
             <button
               type="button"
-              className="flow-editor__btn flow-editor__btn--primary"
-              onClick={handleSave}
+              className="flow-editor__toolbar-btn"
+              onClick={() => handleAddNode('trigger')}
             >
-              Save Flow
+              + Trigger
             </button>
             <button
               type="button"
-              className="flow-editor__btn flow-editor__btn--secondary"
-              onClick={onCancel}
+              className="flow-editor__toolbar-btn"
+              onClick={() => handleAddNode('condition')}
             >
-              Cancel
+              + Condition
             </button>
-          </div>
-        </div>
-
-        {/* Toolbar */}
-        <div className="flow-editor__toolbar">
-          <div className="flow-editor__toolbar-label">Add Node:</div>
-          <button
-            type="button"
-            className="flow-editor__toolbar-btn"
-            onClick={() => handleAddNode('trigger')}
-          >
-            + Trigger
-          </button>
-          <button
-            type="button"
-            className="flow-editor__toolbar-btn"
-            onClick={() => handleAddNode('condition')}
-          >
-            + Condition
-          </button>
-          <button
-            type="button"
-            className="flow-editor__toolbar-btn"
-            onClick={() => handleAddNode('action')}
-          >
-            + Action
-          </button>
-          {selectedNode && (
             <button
               type="button"
-              className="flow-editor__toolbar-btn flow-editor__toolbar-btn--danger"
-              onClick={handleDeleteNode}
+              className="flow-editor__toolbar-btn"
+              onClick={() => handleAddNode('action')}
             >
-              Delete Node
+              + Action
             </button>
-          )}
-        </div>
+            <span className="flow-editor__toolbar-divider" />
+            <button
+              type="button"
+              className="flow-editor__toolbar-btn"
+              onClick={handleAutoLayout}
+              disabled={nodes.length === 0}
+              title="Lay the flow out left to right"
+            >
+              Auto Layout
+            </button>
+            <button
+              type="button"
+              className="flow-editor__toolbar-btn"
+              onClick={history.undo}
+              disabled={!history.canUndo}
+              title="Undo (Ctrl+Z)"
+            >
+              Undo
+            </button>
+            <button
+              type="button"
+              className="flow-editor__toolbar-btn"
+              onClick={history.redo}
+              disabled={!history.canRedo}
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              Redo
+            </button>
+            <button
+              type="button"
+              className="flow-editor__toolbar-btn"
+              onClick={handleCopy}
+              disabled={!selectedNode && selectedCount === 0}
+              title="Copy selected nodes (Ctrl+C)"
+            >
+              Copy
+            </button>
+            <button
+              type="button"
+              className="flow-editor__toolbar-btn"
+              onClick={handlePaste}
+              title="Paste nodes (Ctrl+V)"
+            >
+              Paste
+            </button>
+            {(selectedNode || selectedCount > 0) && (
+              <button
+                type="button"
+                className="flow-editor__toolbar-btn flow-editor__toolbar-btn--danger"
+                onClick={handleDeleteNode}
+              >
+                {selectedCount > 1 ? `Delete ${selectedCount} Nodes` : 'Delete Node'}
+              </button>
+            )}
+          </div>
+        )}
+
+        {!replay && issues.length > 0 && (
+          <FlowProblemsBar
+            issues={issues}
+            expanded={problemsOpen}
+            onToggle={() => setProblemsOpen(!problemsOpen)}
+            reviewing={reviewing}
+            onSelectNode={handleSelectIssueNode}
+          />
+        )}
 
         {/* Canvas and Properties */}
         <div className="flow-editor__main">
           <div className="flow-editor__canvas">
-            <ReactFlow
-              nodes={nodes}
-              edges={edges}
-              onNodesChange={onNodesChange}
-              onEdgesChange={onEdgesChange}
-              onConnect={onConnect}
-              onNodeClick={onNodeClick}
-              nodeTypes={nodeTypes}
-              fitView
-            >
-              <Background />
-              <Controls />
-              <MiniMap />
-            </ReactFlow>
+            <AddStepContext.Provider value={replay ? null : handleAddNext}>
+              <ReactFlow
+                nodes={displayNodes}
+                edges={displayEdges}
+                onNodesChange={handleNodesChange}
+                onEdgesChange={handleEdgesChange}
+                onConnect={onConnect}
+                onNodeClick={onNodeClick}
+                onNodeDragStart={onNodeDragStart}
+                nodeTypes={nodeTypes}
+                nodesDraggable={!replay}
+                nodesConnectable={!replay}
+                deleteKeyCode={replay ? null : ['Backspace', 'Delete']}
+                multiSelectionKeyCode={['Meta', 'Control']}
+                fitView
+              >
+                <Background />
+                <Controls />
+                <MiniMap />
+              </ReactFlow>
+            </AddStepContext.Provider>
           </div>
 
-          {selectedNode && (
+          {replay && (
+            <div className="flow-editor__properties">
+              <div className="flow-editor__properties-header">
+                <strong>Execution</strong>
+              </div>
+              <FlowReplayPanel
+                log={replay}
+                flow={flow}
+                selectedNodeId={selectedNodeId}
+                onSelectNode={setSelectedNodeId}
+              />
+            </div>
+          )}
+
+          {!replay && testOpen && (
+            <div className="flow-editor__properties">
+              <div className="flow-editor__properties-header">
+                <strong>Test Flow</strong>
+                <button
+                  type="button"
+                  className="flow-editor__properties-close"
+                  onClick={() => setTestOpen(false)}
+                  aria-label="Close test panel"
+                >
+                  ✕
+                </button>
+              </div>
+              <FlowTestPanel
+                payloadText={testPayload}
+                onPayloadChange={setTestPayload}
+                onRun={handleRunTest}
+                onReset={handleResetTestPayload}
+                result={testResult}
+                error={testError}
+                nodes={nodes}
+              />
+            </div>
+          )}
+
+          {!replay && selectedNode && !testOpen && (
             <div className="flow-editor__properties">
               <div className="flow-editor__properties-header">
                 <strong>Node Properties</strong>
                 <button
                   type="button"
                   className="flow-editor__properties-close"
-                  onClick={() => setSelectedNode(null)}
+                  onClick={() => setSelectedNodeId(null)}
                   aria-label="Close properties panel"
                 >
                   ✕
                 </button>
               </div>
+              <NodeIssues issues={issues.filter((issue) => issue.nodeId === selectedNode.id)} />
               <NodePropertiesPanel
+                key={`${selectedNode.id}-${history.revision}`}
                 node={selectedNode}
                 onChange={(newData) =>
                   handleNodeDataChange(selectedNode.id, newData)
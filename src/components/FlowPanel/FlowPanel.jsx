@@ -5,43 +5,462 @@
  * Features:
  * - Flow library display with enable/disable toggles
  * - Selected target display
+ * - Workspace-wide and pattern (tag, column, every task) binding scopes
  * - Attach/detach flow functionality
- * - Tabbed interface for bindings and library
+ * - Tabbed interface for bindings, library and execution history
+ * - Pending scheduled runs and delayed actions
+ * - Backend delivery status of flow events
+ * - Export and import of flow bundles (JSON) with conflict resolution
+ * - Flow version history with side-by-side diff and rollback; bindings
+ *   pinned to a version or following the latest
+ * - Execution inspector: trigger payload, condition values, action inputs,
+ *   results and timings, with a replay of the path on the canvas
+ * - Flow owners and run-as roles; attaching only when onAttachFlow is given
+ * - Template gallery: a parameter form builds a draft flow for FlowEditor
  * - Neumorphic styling
  */
 
 import React, { useState } from 'react';
+import {
+  WORKSPACE_TARGET_KEY,
+  ALL_TASKS_TARGET_KEY,
+  targetKeyForTag,
+  targetKeyForColumn,
+  describeTarget
+} from '../../flows/FlowTargets';
+import { getTransportMode } from '../../flows/FlowTransport';
+import {
+  CONFLICT_RESOLUTIONS,
+  parseFlowBundle,
+  analyzeFlowBundle
+} from '../../flows/FlowBundle';
+import { diffFlowVersions, isEmptyDiff } from '../../flows/FlowVersions';
+import { getExecutionSteps, getExecutedFlow } from '../../flows/ExecutionTrace';
+import { describeCondition } from '../../flows/FlowConditions';
+import {
+  FLOW_TEMPLATES,
+  templateFields,
+  defaultTemplateValues,
+  missingTemplateValues,
+  instantiateTemplate
+} from '../../flows/FlowGallery';
 import './FlowPanel.css';
 
+/**
+ * Save a bundle as a JSON file
+ */
+function downloadBundle(bundle, fileName) {
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Short description of a graph node for diffs
+ */
+function describeNode(node) {
+  const detail = node.data?.actionType || node.data?.eventType || node.data?.description;
+  return `${node.type}${detail ? `: ${detail}` : ''} (${node.id})`;
+}
+
+/**
+ * Side-by-side differences between two versions of a flow
+ */
+const FlowVersionDiff = ({ before, after }) => {
+  const diff = diffFlowVersions(before.flow, after.flow);
+
+  if (isEmptyDiff(diff)) {
+    return <div className="flow-panel__hint">No differences.</div>;
+  }
+
+  const renderChanges = (changes) =>
+    changes.map(change => (
+      <React.Fragment key={change.path}>
+        <div className="flow-diff__path">{change.path}</div>
+        <div className="flow-diff__cell flow-diff__cell--before">{change.before ?? '—'}</div>
+        <div className="flow-diff__cell flow-diff__cell--after">{change.after ?? '—'}</div>
+      </React.Fragment>
+    ));
+
+  return (
+    <div className="flow-diff">
+      <div className="flow-diff__heading">v{before.version}</div>
+      <div className="flow-diff__heading">v{after.version}</div>
+
+      {diff.settings.length > 0 && (
+        <>
+          <div className="flow-diff__section">Settings</div>
+          {renderChanges(diff.settings)}
+        </>
+      )}
+
+      {(diff.nodes.added.length > 0 || diff.nodes.removed.length > 0 || diff.nodes.changed.length > 0) && (
+        <div className="flow-diff__section">Nodes</div>
+      )}
+      {diff.nodes.removed.map(node => (
+        <React.Fragment key={`removed-${node.id}`}>
+          <div className="flow-diff__cell flow-diff__cell--before">− {describeNode(node)}</div>
+          <div className="flow-diff__cell" />
+        </React.Fragment>
+      ))}
+      {diff.nodes.added.map(node => (
+        <React.Fragment key={`added-${node.id}`}>
+          <div className="flow-diff__cell" />
+          <div className="flow-diff__cell flow-diff__cell--after">+ {describeNode(node)}</div>
+        </React.Fragment>
+      ))}
+      {diff.nodes.changed.map(change => (
+        <React.Fragment key={`changed-${change.id}`}>
+          <div className="flow-diff__path flow-diff__path--node">{describeNode(change.after)}</div>
+          {renderChanges(change.changes)}
+        </React.Fragment>
+      ))}
+
+      {(diff.edges.added.length > 0 || diff.edges.removed.length > 0) && (
+        <div className="flow-diff__section">Connections</div>
+      )}
+      {diff.edges.removed.map(key => (
+        <React.Fragment key={`removed-${key}`}>
+          <div className="flow-diff__cell flow-diff__cell--before">− {key}</div>
+          <div className="flow-diff__cell" />
+        </React.Fragment>
+      ))}
+      {diff.edges.added.map(key => (
+        <React.Fragment key={`added-${key}`}>
+          <div className="flow-diff__cell" />
+          <div className="flow-diff__cell flow-diff__cell--after">+ {key}</div>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * One-line description of an import summary
+ */
+function describeImport(summary) {
+  const parts = [`${summary.added} added`];
+  if (summary.replaced) parts.push(`${summary.replaced} replaced`);
+  if (summary.renamed.length) parts.push(`${summary.renamed.length} imported as copies`);
+  if (summary.kept) parts.push(`${summary.kept} kept`);
+  parts.push(`${summary.bindings} ${summary.bindings === 1 ? 'binding' : 'bindings'}`);
+  if (summary.skippedBindings) {
+    parts.push(`${summary.skippedBindings} not attached (your role cannot attach flows)`);
+  }
+  return `Imported: ${parts.join(' • ')}`;
+}
+
+/**
+ * Readable form of a logged value
+ */
+function formatValue(value) {
+  if (value === undefined) return 'not set';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * When a step started and how long it took, e.g. "+12ms • 3ms"
+ */
+function formatTiming(step) {
+  if (step.offset === undefined) return null;
+  return `+${step.offset}ms • ${step.duration ?? 0}ms`;
+}
+
+/**
+ * How a condition was decided: each rule with the actual value it saw
+ */
+const ConditionTrace = ({ trace }) => {
+  if (trace.conditions) {
+    return (
+      <div className="flow-inspector__group">
+        <div className="flow-inspector__group-label">
+          {trace.combinator === 'or' ? 'Any of' : 'All of'}
+          <span className={`flow-inspector__outcome flow-inspector__outcome--${trace.result}`}>
+            {trace.result ? 'true' : 'false'}
+          </span>
+        </div>
+        {trace.conditions.map((child, index) => (
+          <ConditionTrace key={index} trace={child} />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flow-inspector__rule">
+      <span className={`flow-inspector__outcome flow-inspector__outcome--${trace.result}`}>
+        {trace.result ? 'true' : 'false'}
+      </span>
+      <span>{describeCondition(trace)}</span>
+      <span className="flow-inspector__actual">actual: {formatValue(trace.actual)}</span>
+    </div>
+  );
+};
+
+/**
+ * Details of one recorded execution: what triggered it, how each condition
+ * was decided and what each action received and returned
+ */
+const ExecutionInspector = ({ execution, executed, parent, delivery, onBack, onInspect, onReplay }) => {
+  const flow = executed?.flow || null;
+  const causation = execution.causation;
+  const steps = getExecutionSteps(execution, flow);
+  const canReplay = Boolean(onReplay && flow?.nodes?.length);
+
+  return (
+    <div className="flow-inspector">
+      <button type="button" className="flow-inspector__back" onClick={onBack}>
+        ← All executions
+      </button>
+
+      <div className="flow-exec-item__header">
+        <strong>
+          {execution.flowName}
+          {execution.flowVersion && <span className="flow-exec-item__version"> v{execution.flowVersion}</span>}
+        </strong>
+        <span className={`flow-exec-status flow-exec-status--${execution.status}`}>
+          {execution.status}
+        </span>
+      </div>
+
+      <dl className="flow-inspector__meta">
+        <dt>Trigger</dt>
+        <dd>{execution.eventType || 'manual'}</dd>
+        {execution.targetKey && (
+          <>
+            <dt>Target</dt>
+            <dd>{describeTarget(execution.targetKey)?.label || execution.targetKey}</dd>
+          </>
+        )}
+        {execution.bindingKey && execution.bindingKey !== execution.targetKey && (
+          <>
+            <dt>Bound on</dt>
+            <dd>{describeTarget(execution.bindingKey)?.label || execution.bindingKey}</dd>
+          </>
+        )}
+        <dt>Started</dt>
+        <dd>{new Date(execution.startTime).toLocaleString()}</dd>
+        {execution.duration !== undefined && (
+          <>
+            <dt>Duration</dt>
+            <dd>{execution.duration}ms</dd>
+          </>
+        )}
+        {causation?.parentExecutionId && (
+          <>
+            <dt>Caused by</dt>
+            <dd>
+              {parent ? (
+                <button
+                  type="button"
+                  className="flow-inspector__link"
+                  onClick={() => onInspect(parent.id)}
+                >
+                  {parent.flowName}
+                </button>
+              ) : (
+                causation.parentExecutionId
+              )}
+            </dd>
+            <dt>Chain</dt>
+            <dd>{causation.chain.join(' → ')}</dd>
+          </>
+        )}
+        {execution.runAs && (
+          <>
+            <dt>Ran as</dt>
+            <dd>
+              {execution.runAs.role}
+              {execution.runAs.owner && ` (owner ${execution.runAs.owner})`}
+              {execution.runAs.attachedBy && `, attached by ${execution.runAs.attachedBy}`}
+            </dd>
+          </>
+        )}
+        {execution.resumedFrom && (
+          <>
+            <dt>Resumed</dt>
+            <dd>after a delay in {execution.resumedFrom}</dd>
+          </>
+        )}
+        {delivery && (
+          <>
+            <dt>Backend</dt>
+            <dd className={`flow-delivery-status--${delivery.status}`}>{delivery.status}</dd>
+          </>
+        )}
+      </dl>
+
+      {execution.reason && <div className="flow-exec-item__meta">{execution.reason}</div>}
+
+      {canReplay && (
+        <button
+          type="button"
+          className="flow-panel__create-btn"
+          onClick={() => onReplay(flow, execution)}
+        >
+          Replay on Canvas
+        </button>
+      )}
+      {canReplay && !executed.exact && (
+        <div className="flow-panel__hint">
+          {execution.flowVersion
+            ? `Version ${execution.flowVersion} is no longer kept; the replay uses the current definition.`
+            : 'This execution predates flow versions; the replay uses the current definition.'}
+        </div>
+      )}
+
+      <div className="flow-panel__label">Steps</div>
+      {steps.length === 0 && (
+        <div className="flow-panel__hint">No conditions or actions ran.</div>
+      )}
+      <ol className="flow-inspector__steps">
+        {steps.map(step => (
+          <li key={step.key} className={`flow-inspector__step flow-inspector__step--${step.status}`}>
+            <div className="flow-inspector__step-header">
+              <span className="flow-inspector__step-label">
+                {step.kind === 'condition' ? 'Condition' : step.kind === 'action' ? 'Action' : 'Error'}
+                {': '}
+                {step.label}
+              </span>
+              <span className="flow-inspector__step-status">{step.status}</span>
+            </div>
+            {formatTiming(step) && (
+              <div className="flow-exec-item__meta">{formatTiming(step)}</div>
+            )}
+
+            {step.trace && <ConditionTrace trace={step.trace} />}
+
+            {step.input !== undefined && (
+              <>
+                <div className="flow-inspector__field">Input</div>
+                <pre className="flow-inspector__value">{formatValue(step.input)}</pre>
+              </>
+            )}
+            {step.result !== undefined && (
+              <>
+                <div className="flow-inspector__field">Result</div>
+                <pre className="flow-inspector__value">{formatValue(step.result)}</pre>
+              </>
+            )}
+            {step.preview !== undefined && (
+              <>
+                <div className="flow-inspector__field">Preview</div>
+                <pre className="flow-inspector__value">{formatValue(step.preview)}</pre>
+              </>
+            )}
+            {step.error && <div className="flow-inspector__error">{step.error}</div>}
+            {step.attempts?.length > 1 && (
+              <ul className="flow-inspector__attempts">
+                {step.attempts.map(attempt => (
+                  <li key={attempt.attempt}>
+                    Attempt {attempt.attempt}: {attempt.status}
+                    {attempt.error && ` – ${attempt.error}`}
+                    {` (${attempt.duration}ms)`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      <details className="flow-inspector__payload">
+        <summary>Trigger payload</summary>
+        <pre className="flow-inspector__value">
+          {execution.payload !== undefined ? formatValue(execution.payload) : 'Not recorded'}
+        </pre>
+      </details>
+    </div>
+  );
+};
+
 const FlowPanel = ({
   flowMode = false,
   selectedTarget = null,
+  scopeOptions = { tags: [], columns: [] },
+  onSelectTarget = () => {},
   flowBindings = {},
   flowLibrary = [],
-  onAttachFlow = () => {},
+  flowIssues = {},
+  flowVersions = {},
+  onAttachFlow,
   onDetachFlow = () => {},
   onClose = () => {},
   onCreateFlow = () => {},
   onEditFlow = () => {},
-  executionHistory = []
+  onClearHistory = () => {},
+  executionHistory = [],
+  pendingTimers = [],
+  onCancelTimer = () => {},
+  deliveries = [],
+  backendEndpoint = '',
+  onBackendEndpointChange,
+  onRetryDeliveries = () => {},
+  onClearDeliveries = () => {},
+  onExportFlows,
+  onImportFlows,
+  onRollbackFlow,
+  onPinBindingVersion,
+  onReplayExecution,
+  onUseTemplate,
+  snapshot = null
 }) => {
   const [activeTab, setActiveTab] = useState('bindings');
+  // Bundle read from a file, awaiting confirmation:
+  // { bundle, fileName, conflicts, missingActions, resolutions }
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importMessage, setImportMessage] = useState(null);
+  // Flow whose version history is open, and the versions being compared:
+  // { flowId, from, to }
+  const [versionsFlowId, setVersionsFlowId] = useState(null);
+  const [versionDiff, setVersionDiff] = useState(null);
+  // Execution open in the inspector
+  const [inspectedExecutionId, setInspectedExecutionId] = useState(null);
+  // Template whose parameter form is open: { templateId, values }
+  const [templateDraft, setTemplateDraft] = useState(null);
 
   // Extract target information
   const targetKey = selectedTarget?.key;
   const targetLabel = selectedTarget?.label || 'No element selected';
   const bindings = targetKey ? (flowBindings[targetKey] || []) : [];
+  // Library flows attach to the selected target on click
+  const canAttach = Boolean(targetKey && onAttachFlow);
+  const inspectedExecution = inspectedExecutionId
+    ? executionHistory.find(exec => exec.id === inspectedExecutionId) || null
+    : null;
+
+  // Backend delivery state, by execution id
+  const deliveryById = new Map(deliveries.map(d => [d.id, d]));
+  const deliveryCounts = deliveries.reduce((counts, d) => {
+    counts[d.status] = (counts[d.status] || 0) + 1;
+    return counts;
+  }, {});
+  const transportMode = getTransportMode();
 
   // Handle flow attachment
   const handleAttachClick = (flowId, eventType) => {
-    if (targetKey) {
+    if (canAttach) {
       onAttachFlow(flowId, eventType);
     }
   };
 
+  // Select a workspace-wide or pattern target
+  const handleScopeSelect = (key) => {
+    if (key) {
+      onSelectTarget(describeTarget(key));
+    }
+  };
+
   // Render individual binding
   const renderBinding = (binding) => {
     const flow = flowLibrary.find(f => f.id === binding.flowId);
+    const versions = flowVersions[binding.flowId] || [];
 
     return (
       <div key={binding.id} className="flow-binding-row">
@@ -51,7 +470,25 @@ const FlowPanel = ({
           </div>
           <div className="flow-binding-row__meta">
             Trigger: {binding.eventType || 'manual'}
+            {binding.attachedBy?.name && ` • Attached by ${binding.attachedBy.name}`}
+            {!onPinBindingVersion && binding.flowVersion && ` • Pinned to v${binding.flowVersion}`}
           </div>
+          {onPinBindingVersion && flow && versions.length > 1 && (
+            <select
+              className="flow-panel__scope-select flow-panel__version-select"
+              value={binding.flowVersion || ''}
+              onChange={(e) => onPinBindingVersion(binding.id, Number(e.target.value) || null)}
+              aria-label="Flow version to run"
+            >
+              <option value="">Follow latest (v{flow.version})</option>
+              {versions.map(entry => (
+                <option key={entry.version} value={entry.version}>
+                  Pin to v{entry.version}
+                  {entry.savedAt && ` – ${new Date(entry.savedAt).toLocaleDateString()}`}
+                </option>
+              ))}
+            </select>
+          )}
         </div>
         <button
           type="button"
@@ -65,6 +502,503 @@ const FlowPanel = ({
     );
   };
 
+  // Render the validation problems of a library flow
+  const renderIssueBadge = (issues) => {
+    const errors = issues.filter(i => i.severity === 'error').length;
+    const warnings = issues.length - errors;
+
+    return (
+      <span
+        className={`flow-status-badge flow-status-badge--${errors > 0 ? 'invalid' : 'warning'}`}
+        title={issues.map(i => i.message).join('\n')}
+      >
+        {errors > 0
+          ? `${errors} ${errors === 1 ? 'error' : 'errors'} • not running`
+          : `${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`}
+      </span>
+    );
+  };
+
+  // Open or close a template's parameter form
+  const toggleTemplate = (template) => {
+    setTemplateDraft(templateDraft?.templateId === template.id
+      ? null
+      : { templateId: template.id, values: defaultTemplateValues(template, snapshot) });
+  };
+
+  // Build the draft flow of the open template and hand it to the editor
+  const handleUseTemplate = (template) => {
+    onUseTemplate(instantiateTemplate(template, templateDraft.values, snapshot));
+    setTemplateDraft(null);
+  };
+
+  // Render the parameter form of a template
+  const renderTemplateForm = (template) => {
+    const { values } = templateDraft;
+    const missing = missingTemplateValues(template, values);
+    const setValue = (key, value) => setTemplateDraft(prev => ({
+      ...prev,
+      values: { ...prev.values, [key]: value }
+    }));
+
+    return (
+      <div className="flow-panel__versions flow-panel__template-form">
+        {templateFields(template, snapshot, values).map(field => (
+          <label key={field.key} className="flow-panel__import-conflict">
+            <span>{field.label}</span>
+            {field.type === 'select' ? (
+              <select
+                className="flow-panel__scope-select"
+                value={values[field.key] ?? ''}
+                onChange={(e) => setValue(field.key, e.target.value)}
+              >
+                {field.options.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type={field.type === 'number' ? 'number' : 'text'}
+                min={field.type === 'number' ? 0 : undefined}
+                className="flow-panel__endpoint-input flow-panel__template-input"
+                value={values[field.key] ?? ''}
+                placeholder={field.placeholder}
+                onChange={(e) => setValue(
+                  field.key,
+                  field.type === 'number' && e.target.value !== '' ? Number(e.target.value) : e.target.value
+                )}
+              />
+            )}
+          </label>
+        ))}
+        {missing.length > 0 && (
+          <div className="flow-panel__hint">Fill in: {missing.join(', ')}</div>
+        )}
+        <div className="flow-panel__scopes">
+          <button
+            type="button"
+            className="flow-panel__scope-btn flow-panel__scope-btn--active"
+            onClick={() => handleUseTemplate(template)}
+            disabled={missing.length > 0}
+          >
+            Open in Editor
+          </button>
+          <button
+            type="button"
+            className="flow-panel__scope-btn"
+            onClick={() => setTemplateDraft(null)}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  // Render the template gallery
+  const renderTemplates = () => (
+    <div className="flow-panel__section">
+      <div className="flow-panel__label">Start from a Template</div>
+      <div className="flow-panel__catalog">
+        {FLOW_TEMPLATES.map(template => (
+          <React.Fragment key={template.id}>
+            <button
+              type="button"
+              className="flow-panel__catalog-item flow-panel__catalog-item--clickable flow-panel__template"
+              onClick={() => toggleTemplate(template)}
+              aria-expanded={templateDraft?.templateId === template.id}
+            >
+              <span className="flow-panel__catalog-name">{template.name}</span>
+              <span className="flow-panel__catalog-desc">{template.description}</span>
+            </button>
+            {templateDraft?.templateId === template.id && renderTemplateForm(template)}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+
+  // Open or close a flow's version history
+  const toggleVersions = (flowId) => {
+    setVersionsFlowId(versionsFlowId === flowId ? null : flowId);
+    setVersionDiff(null);
+  };
+
+  // Compare a version with the current one (or the current one with its
+  // predecessor)
+  const handleCompare = (flow, version) => {
+    const versions = flowVersions[flow.id] || [];
+    if (version === flow.version) {
+      const previous = versions.find(v => v.version < version);
+      setVersionDiff({ flowId: flow.id, from: previous?.version ?? version, to: version });
+    } else {
+      setVersionDiff({ flowId: flow.id, from: version, to: flow.version });
+    }
+  };
+
+  // Render the version history of a library flow
+  const renderVersions = (flow) => {
+    const versions = flowVersions[flow.id] || [];
+    const diff = versionDiff?.flowId === flow.id ? versionDiff : null;
+    const fromEntry = diff && versions.find(v => v.version === diff.from);
+    const toEntry = diff && versions.find(v => v.version === diff.to);
+    const pinnedCount = (version) => Object.values(flowBindings)
+      .flat()
+      .filter(b => b.flowId === flow.id && b.flowVersion === version).length;
+
+    return (
+      <div className="flow-panel__versions">
+        {versions.map(entry => {
+          const pins = pinnedCount(entry.version);
+          return (
+            <div key={entry.version} className="flow-version-row">
+              <div className="flow-binding-row__main">
+                <div className="flow-binding-row__name">
+                  v{entry.version}
+                  {entry.version === flow.version && (
+                    <span className="flow-version-row__current"> current</span>
+                  )}
+                </div>
+                <div className="flow-binding-row__meta">
+                  {entry.author || 'Unknown author'}
+                  {entry.savedAt && ` • ${new Date(entry.savedAt).toLocaleString()}`}
+                  {entry.restoredFrom && ` • restored from v${entry.restoredFrom}`}
+                  {pins > 0 && ` • pinned by ${pins} ${pins === 1 ? 'binding' : 'bindings'}`}
+                </div>
+              </div>
+              {versions.length > 1 && (
+                <button
+                  type="button"
+                  className="flow-panel__scope-btn"
+                  onClick={() => handleCompare(flow, entry.version)}
+                >
+                  Diff
+                </button>
+              )}
+              {onRollbackFlow && entry.version !== flow.version && (
+                <button
+                  type="button"
+                  className="flow-panel__scope-btn"
+                  onClick={() => {
+                    onRollbackFlow(flow.id, entry.version);
+                    setVersionDiff(null);
+                  }}
+                  title={`Save v${entry.version} as a new version`}
+                >
+                  Restore
+                </button>
+              )}
+            </div>
+          );
+        })}
+
+        {diff && (
+          <div className="flow-panel__version-diff">
+            <div className="flow-panel__scopes">
+              {['from', 'to'].map(side => (
+                <select
+                  key={side}
+                  className="flow-panel__scope-select"
+                  value={diff[side]}
+                  onChange={(e) => setVersionDiff({ ...diff, [side]: Number(e.target.value) })}
+                  aria-label={side === 'from' ? 'Compare from version' : 'Compare to version'}
+                >
+                  {versions.map(entry => (
+                    <option key={entry.version} value={entry.version}>v{entry.version}</option>
+                  ))}
+                </select>
+              ))}
+              <button
+                type="button"
+                className="flow-panel__scope-btn"
+                onClick={() => setVersionDiff(null)}
+              >
+                Close
+              </button>
+            </div>
+            {fromEntry && toEntry && <FlowVersionDiff before={fromEntry} after={toEntry} />}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Render pending timer (scheduled run or delayed resumption)
+  const renderTimer = (timer) => {
+    const flow = flowLibrary.find(f => f.id === timer.flowId);
+
+    return (
+      <div key={timer.id} className="flow-binding-row">
+        <div className="flow-binding-row__main">
+          <div className="flow-binding-row__name">
+            {flow?.name || timer.flowId}
+          </div>
+          <div className="flow-binding-row__meta">
+            {timer.kind === 'schedule' ? `Scheduled: ${timer.schedule}` : 'Resumes after delay'}
+            {' • '}
+            {new Date(timer.dueAt).toLocaleString()}
+          </div>
+        </div>
+        <button
+          type="button"
+          className="flow-binding-row__remove"
+          onClick={() => onCancelTimer(timer.id)}
+          aria-label={timer.kind === 'schedule' ? 'Skip scheduled run' : 'Cancel delayed action'}
+          title={timer.kind === 'schedule' ? 'Skip this run' : 'Cancel'}
+        >
+          ✕
+        </button>
+      </div>
+    );
+  };
+
+  // Render outbox entry that is not delivered yet
+  const renderDelivery = (delivery) => (
+    <div key={delivery.id} className="flow-binding-row">
+      <div className="flow-binding-row__main">
+        <div className="flow-binding-row__name">
+          {delivery.message.flowName || delivery.message.flowId}
+          {' '}
+          <span className={`flow-exec-status flow-delivery-status--${delivery.status}`}>
+            {delivery.status}
+          </span>
+        </div>
+        <div className="flow-binding-row__meta" title={delivery.lastError || ''}>
+          {delivery.attempts} {delivery.attempts === 1 ? 'attempt' : 'attempts'}
+          {delivery.lastError && ` • ${delivery.lastError}`}
+          {delivery.status === 'pending' && delivery.attempts > 0 &&
+            ` • next ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`}
+        </div>
+      </div>
+      {delivery.status === 'failed' && (
+        <button
+          type="button"
+          className="flow-binding-row__remove"
+          onClick={() => onRetryDeliveries([delivery.id])}
+          aria-label="Retry delivery"
+          title="Retry"
+        >
+          ↻
+        </button>
+      )}
+    </div>
+  );
+
+  // Render backend delivery status
+  const renderDeliveries = () => {
+    const undelivered = deliveries.filter(d => d.status !== 'delivered');
+
+    return (
+      <div className="flow-panel__section">
+        <div className="flow-panel__label">Backend Delivery</div>
+        <div className="flow-panel__hint">
+          {transportMode === 'client' && 'Sent through window.TasklyticsFlowClient'}
+          {transportMode === 'http' && `Posting to ${backendEndpoint || 'the default endpoint'}`}
+          {transportMode === 'console' && 'No endpoint configured; events are logged to the console.'}
+        </div>
+        {onBackendEndpointChange && (
+          <input
+            key={backendEndpoint}
+            type="url"
+            className="flow-panel__endpoint-input"
+            defaultValue={backendEndpoint}
+            placeholder="https://example.com/flow-events"
+            aria-label="Flow backend endpoint"
+            onBlur={(e) => {
+              const value = e.target.value.trim();
+              if (value !== backendEndpoint) onBackendEndpointChange(value);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.target.blur();
+            }}
+          />
+        )}
+        {deliveries.length > 0 && (
+          <div className="flow-exec-item__meta">
+            {deliveryCounts.delivered || 0} delivered
+            {' • '}{(deliveryCounts.pending || 0) + (deliveryCounts.sending || 0)} pending
+            {' • '}{deliveryCounts.failed || 0} failed
+          </div>
+        )}
+        {undelivered.length > 0 && (
+          <div className="flow-panel__bindings">
+            {undelivered.slice(0, 5).map(renderDelivery)}
+          </div>
+        )}
+        {(deliveryCounts.failed > 0 || deliveryCounts.delivered > 0) && (
+          <div className="flow-panel__scopes">
+            {deliveryCounts.failed > 0 && (
+              <button
+                type="button"
+                className="flow-panel__scope-btn"
+                onClick={() => onRetryDeliveries()}
+              >
+                Retry failed
+              </button>
+            )}
+            {deliveryCounts.delivered > 0 && (
+              <button
+                type="button"
+                className="flow-panel__scope-btn"
+                onClick={onClearDeliveries}
+              >
+                Clear delivered
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Export the whole library (with bindings), or a single flow
+  const handleExport = (flow) => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (flow) {
+      downloadBundle(onExportFlows([flow.id]), `flow-${flow.id}.json`);
+    } else {
+      downloadBundle(onExportFlows(), `tasklytics-flows-${date}.json`);
+    }
+  };
+
+  // Read a bundle file and hold it for review
+  const handleImportFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const bundle = parseFlowBundle(event.target.result);
+        const { conflicts, missingActions } = analyzeFlowBundle(bundle, flowLibrary);
+        setPendingImport({
+          bundle,
+          fileName: file.name,
+          conflicts,
+          missingActions,
+          resolutions: Object.fromEntries(conflicts.map(c => [c.id, 'rename']))
+        });
+        setImportMessage(null);
+      } catch (err) {
+        setPendingImport(null);
+        setImportMessage({ type: 'error', text: `${file.name}: ${err.message}` });
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const handleConfirmImport = () => {
+    const summary = onImportFlows(pendingImport.bundle, pendingImport.resolutions);
+    setPendingImport(null);
+    setImportMessage({ type: 'success', text: describeImport(summary) });
+  };
+
+  // Render export/import controls and the pending import
+  const renderSharing = () => {
+    const bundleBindingCount = pendingImport
+      ? Object.values(pendingImport.bundle.bindings).reduce((n, list) => n + list.length, 0)
+      : 0;
+
+    return (
+      <div className="flow-panel__section">
+        <div className="flow-panel__label">Share</div>
+        <div className="flow-panel__scopes">
+          <button
+            type="button"
+            className="flow-panel__scope-btn"
+            onClick={() => handleExport()}
+            disabled={flowLibrary.length === 0}
+          >
+            Export library
+          </button>
+          {onImportFlows && (
+            <label className="flow-panel__scope-btn">
+              Import bundle…
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="flow-panel__file-input"
+                onChange={handleImportFile}
+              />
+            </label>
+          )}
+        </div>
+
+        {importMessage && (
+          <div className={`flow-panel__hint flow-panel__import-message--${importMessage.type}`}>
+            {importMessage.text}
+          </div>
+        )}
+
+        {pendingImport && (
+          <div className="flow-panel__import">
+            <div className="flow-binding-row__name">{pendingImport.fileName}</div>
+            <div className="flow-binding-row__meta">
+              {pendingImport.bundle.flows.length} flows • {bundleBindingCount} bindings
+              {' • '}schema v{pendingImport.bundle.schemaVersion}
+              {pendingImport.bundle.exportedAt &&
+                ` • exported ${new Date(pendingImport.bundle.exportedAt).toLocaleString()}`}
+            </div>
+
+            {pendingImport.missingActions.length > 0 && (
+              <div className="flow-panel__import-message--error">
+                Needs action types not available here:
+                {' '}{pendingImport.missingActions.join(', ')}.
+                {' '}These actions will fail until they are registered.
+              </div>
+            )}
+
+            {pendingImport.conflicts.length > 0 && (
+              <>
+                <div className="flow-panel__hint">
+                  These flows already exist in the library:
+                </div>
+                {pendingImport.conflicts.map(conflict => (
+                  <div key={conflict.id} className="flow-panel__import-conflict">
+                    <span title={conflict.id}>{conflict.existingName}</span>
+                    <select
+                      className="flow-panel__scope-select"
+                      value={pendingImport.resolutions[conflict.id]}
+                      onChange={(e) => setPendingImport(prev => ({
+                        ...prev,
+                        resolutions: { ...prev.resolutions, [conflict.id]: e.target.value }
+                      }))}
+                      aria-label={`Resolve conflict for ${conflict.existingName}`}
+                    >
+                      {CONFLICT_RESOLUTIONS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </>
+            )}
+
+            <div className="flow-panel__scopes">
+              <button
+                type="button"
+                className="flow-panel__scope-btn flow-panel__scope-btn--active"
+                onClick={handleConfirmImport}
+              >
+                Import
+              </button>
+              <button
+                type="button"
+                className="flow-panel__scope-btn"
+                onClick={() => setPendingImport(null)}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // Render execution history
   const renderExecutionHistory = () => {
     if (!executionHistory || executionHistory.length === 0) {
@@ -79,25 +1013,53 @@ const FlowPanel = ({
       <div className="flow-execution-history">
         {executionHistory.slice(0, 10).map(exec => {
           const statusClass = `flow-exec-status--${exec.status}`;
+          const delivery = deliveryById.get(exec.id);
 
           return (
             <div key={exec.id} className="flow-exec-item">
               <div className="flow-exec-item__header">
-                <strong>{exec.flowName}</strong>
+                <strong>
+                  {exec.flowName}
+                  {exec.flowVersion && <span className="flow-exec-item__version"> v{exec.flowVersion}</span>}
+                </strong>
                 <span className={`flow-exec-status ${statusClass}`}>
                   {exec.status}
                 </span>
               </div>
+              <button
+                type="button"
+                className="flow-exec-item__inspect"
+                onClick={() => setInspectedExecutionId(exec.id)}
+              >
+                Details
+              </button>
+              {delivery && (
+                <div className="flow-exec-item__meta">
+                  Backend:{' '}
+                  <span className={`flow-delivery-status--${delivery.status}`}>
+                    {delivery.status}
+                  </span>
+                </div>
+              )}
               <div className="flow-exec-item__meta">
                 {exec.eventType} • {exec.startTime}
+                {exec.duration !== undefined && ` • ${exec.duration}ms`}
               </div>
+              {exec.reason && (
+                <div className="flow-exec-item__meta">
+                  {exec.reason}
+                </div>
+              )}
               {exec.actionsPerformed?.length > 0 && (
                 <div className="flow-exec-item__actions">
                   {exec.actionsPerformed.length} actions performed
                 </div>
               )}
               {exec.errors?.length > 0 && (
-                <div className="flow-exec-item__errors">
+                <div
+                  className="flow-exec-item__errors"
+                  title={exec.errors.map(e => e.error).join('\n')}
+                >
                   {exec.errors.length} errors
                 </div>
               )}
@@ -162,16 +1124,60 @@ const FlowPanel = ({
             {!targetKey && (
               <div className="flow-panel__hint">
                 Flow mode is active. Click a task, timeline bar, or other
-                element in the canvas to attach a flow.
+                element in the canvas to attach a flow, or pick a scope below.
               </div>
             )}
           </div>
 
+          <div className="flow-panel__section">
+            <div className="flow-panel__label">Scopes</div>
+            <div className="flow-panel__scopes">
+              <button
+                type="button"
+                className={`flow-panel__scope-btn ${targetKey === WORKSPACE_TARGET_KEY ? 'flow-panel__scope-btn--active' : ''}`}
+                onClick={() => handleScopeSelect(WORKSPACE_TARGET_KEY)}
+              >
+                Workspace
+              </button>
+              <button
+                type="button"
+                className={`flow-panel__scope-btn ${targetKey === ALL_TASKS_TARGET_KEY ? 'flow-panel__scope-btn--active' : ''}`}
+                onClick={() => handleScopeSelect(ALL_TASKS_TARGET_KEY)}
+              >
+                Every task
+              </button>
+              <select
+                className="flow-panel__scope-select"
+                value=""
+                onChange={(e) => handleScopeSelect(e.target.value && targetKeyForTag(e.target.value))}
+                aria-label="Bind to tasks with tag"
+              >
+                <option value="">Tagged…</option>
+                {scopeOptions.tags.map(tag => (
+                  <option key={tag} value={tag}>{tag}</option>
+                ))}
+              </select>
+              <select
+                className="flow-panel__scope-select"
+                value=""
+                onChange={(e) => handleScopeSelect(e.target.value && targetKeyForColumn(e.target.value))}
+                aria-label="Bind to tasks in column"
+              >
+                <option value="">In column…</option>
+                {scopeOptions.columns.map(column => (
+                  <option key={column} value={column}>{column}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
           <div className="flow-panel__section">
             <div className="flow-panel__label">Attached Flows</div>
             {bindings.length === 0 && (
               <div className="flow-panel__hint">
-                No flows attached yet. Use the library tab to add one.
+                {onAttachFlow
+                  ? 'No flows attached yet. Use the library tab to add one.'
+                  : 'No flows attached yet. Your role cannot attach flows.'}
               </div>
             )}
             {bindings.length > 0 && (
@@ -196,6 +1202,10 @@ const FlowPanel = ({
             </button>
           </div>
 
+          {onUseTemplate && renderTemplates()}
+
+          {onExportFlows && renderSharing()}
+
           <div className="flow-panel__section">
             <div className="flow-panel__label">Available Flows</div>
             {flowLibrary.length === 0 && (
@@ -205,41 +1215,76 @@ const FlowPanel = ({
             )}
             <div className="flow-panel__catalog">
               {flowLibrary.map(flow => (
-                <div key={flow.id} className="flow-panel__catalog-item-row">
-                  <div
-                    className={`flow-panel__catalog-item ${targetKey ? 'flow-panel__catalog-item--clickable' : ''}`}
-                    onClick={() => {
-                      if (targetKey) {
-                        handleAttachClick(flow.id, flow.defaultTrigger);
-                      }
-                    }}
-                    role={targetKey ? 'button' : 'presentation'}
-                    tabIndex={targetKey ? 0 : -1}
-                  >
-                    <div className="flow-panel__catalog-name">
-                      {flow.name}
-                    </div>
-                    <div className="flow-panel__catalog-desc">
-                      {flow.description}
-                    </div>
-                    {flow.enabled !== undefined && (
-                      <div className="flow-panel__catalog-status">
-                        <span className={`flow-status-badge flow-status-badge--${flow.enabled ? 'enabled' : 'disabled'}`}>
-                          {flow.enabled ? 'Enabled' : 'Disabled'}
-                        </span>
+                <React.Fragment key={flow.id}>
+                  <div className="flow-panel__catalog-item-row">
+                    <div
+                      className={`flow-panel__catalog-item ${canAttach ? 'flow-panel__catalog-item--clickable' : ''}`}
+                      onClick={() => {
+                        if (canAttach) {
+                          handleAttachClick(flow.id, flow.defaultTrigger);
+                        }
+                      }}
+                      role={canAttach ? 'button' : 'presentation'}
+                      tabIndex={canAttach ? 0 : -1}
+                    >
+                      <div className="flow-panel__catalog-name">
+                        {flow.name}
                       </div>
+                      <div className="flow-panel__catalog-desc">
+                        {flow.description}
+                      </div>
+                      {(flow.enabled !== undefined || flowIssues[flow.id] || flow.runAs) && (
+                        <div className="flow-panel__catalog-status">
+                          {flow.enabled !== undefined && (
+                            <span className={`flow-status-badge flow-status-badge--${flow.enabled ? 'enabled' : 'disabled'}`}>
+                              {flow.enabled ? 'Enabled' : 'Disabled'}
+                            </span>
+                          )}
+                          {flow.runAs && (
+                            <span
+                              className="flow-status-badge flow-status-badge--run-as"
+                              title={flow.owner?.name ? `Owner: ${flow.owner.name}` : undefined}
+                            >
+                              Runs as {flow.runAs}
+                            </span>
+                          )}
+                          {flowIssues[flow.id] && renderIssueBadge(flowIssues[flow.id])}
+                        </div>
+                      )}
+                    </div>
+                    <button
+                      type="button"
+                      className="flow-panel__edit-btn"
+                      onClick={() => onEditFlow(flow)}
+                      title="Edit flow"
+                      aria-label={`Edit ${flow.name}`}
+                    >
+                      ✎
+                    </button>
+                    <button
+                      type="button"
+                      className={`flow-panel__edit-btn ${versionsFlowId === flow.id ? 'flow-panel__edit-btn--active' : ''}`}
+                      onClick={() => toggleVersions(flow.id)}
+                      title="Version history"
+                      aria-label={`Version history of ${flow.name}`}
+                      aria-expanded={versionsFlowId === flow.id}
+                    >
+                      v{flow.version || 1}
+                    </button>
+                    {onExportFlows && (
+                      <button
+                        type="button"
+                        className="flow-panel__edit-btn"
+                        onClick={() => handleExport(flow)}
+                        title="Export flow"
+                        aria-label={`Export ${flow.name}`}
+                      >
+                        ⇩
+                      </button>
                     )}
                   </div>
-                  <button
-                    type="button"
-                    className="flow-panel__edit-btn"
-                    onClick={() => onEditFlow(flow)}
-                    title="Edit flow"
-                    aria-label={`Edit ${flow.name}`}
-                  >
-                    ✎
-                  </button>
-                </div>
+                  {versionsFlowId === flow.id && renderVersions(flow)}
+                </React.Fragment>
               ))}
             </div>
           </div>
@@ -249,10 +1294,48 @@ const FlowPanel = ({
       {/* History Tab Content */}
       {activeTab === 'history' && (
         <div className="flow-panel__content">
-          <div className="flow-panel__section">
-            <div className="flow-panel__label">Execution History</div>
-            {renderExecutionHistory()}
-          </div>
+          {pendingTimers.length > 0 && (
+            <div className="flow-panel__section">
+              <div className="flow-panel__label">Scheduled</div>
+              <div className="flow-panel__bindings">
+                {pendingTimers.map(renderTimer)}
+              </div>
+            </div>
+          )}
+
+          {renderDeliveries()}
+
+          {inspectedExecution ? (
+            <div className="flow-panel__section">
+              <ExecutionInspector
+                execution={inspectedExecution}
+                executed={getExecutedFlow(inspectedExecution, flowLibrary, flowVersions)}
+                parent={executionHistory.find(
+                  exec => exec.id === inspectedExecution.causation?.parentExecutionId
+                )}
+                delivery={deliveryById.get(inspectedExecution.id)}
+                onBack={() => setInspectedExecutionId(null)}
+                onInspect={setInspectedExecutionId}
+                onReplay={onReplayExecution}
+              />
+            </div>
+          ) : (
+            <div className="flow-panel__section">
+              <div className="flow-panel__label">Execution History</div>
+              {renderExecutionHistory()}
+            </div>
+          )}
+          {!inspectedExecution && executionHistory.length > 0 && (
+            <div className="flow-panel__section">
+              <button
+                type="button"
+                className="flow-panel__create-btn"
+                onClick={onClearHistory}
+              >
+                Clear History
+              </button>
+            </div>
+          )}
         </div>
       )}
     </aside>
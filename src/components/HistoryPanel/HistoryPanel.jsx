@@ -4,9 +4,281 @@
    3D Neumorphic Styling
    ========================================= */
 
-import React from 'react';
+import React, { useMemo, useState } from 'react';
+import { diffSnapshots, formatDiffValue } from '../../utils/snapshotDiff';
 import './HistoryPanel.css';
 
+// Unchanged lines kept around each change in a text diff
+const TEXT_DIFF_CONTEXT = 1;
+
+/**
+ * Line diff with long unchanged stretches collapsed
+ */
+function TextDiff({ lines }) {
+  const shown = lines.map((line, index) =>
+    line.type !== 'same' ||
+    lines
+      .slice(Math.max(0, index - TEXT_DIFF_CONTEXT), index + TEXT_DIFF_CONTEXT + 1)
+      .some((other) => other.type !== 'same')
+  );
+
+  const rows = [];
+  lines.forEach((line, index) => {
+    if (shown[index]) {
+      rows.push(
+        <div key={index} className={`history-diff__line history-diff__line--${line.type}`}>
+          <span className="history-diff__line-sign">
+            {line.type === 'added' ? '+' : line.type === 'removed' ? '−' : ' '}
+          </span>
+          {line.text || ' '}
+        </div>
+      );
+    } else if (index === 0 || shown[index - 1]) {
+      let hidden = 0;
+      while (index + hidden < lines.length && !shown[index + hidden]) hidden++;
+      rows.push(
+        <div key={index} className="history-diff__line history-diff__line--collapsed">
+          … {hidden} unchanged {hidden === 1 ? 'line' : 'lines'}
+        </div>
+      );
+    }
+  });
+
+  return <div className="history-diff__text">{rows}</div>;
+}
+
+/**
+ * Field changes of one entity, as before → after rows
+ */
+function FieldChanges({ fields }) {
+  return (
+    <ul className="history-diff__fields">
+      {fields.map(({ field, before, after, lines }) => (
+        <li key={field} className="history-diff__field">
+          <span className="history-diff__field-name">{field}</span>
+          {lines ? (
+            <TextDiff lines={lines} />
+          ) : (
+            <span className="history-diff__field-values">
+              <span className="history-diff__before">{formatDiffValue(before)}</span>
+              {' → '}
+              <span className="history-diff__after">{formatDiffValue(after)}</span>
+              {typeof before === 'number' && typeof after === 'number' && (
+                <span className="history-diff__delta">
+                  {' '}({after > before ? '+' : ''}{after - before})
+                </span>
+              )}
+            </span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Added, removed and changed entities of one kind
+ */
+function EntityChanges({ title, changes, describe }) {
+  const { added, removed, changed } = changes;
+  if (added.length + removed.length + changed.length === 0) return null;
+
+  return (
+    <section className="history-diff__section">
+      <h3 className="history-diff__section-title">
+        {title}
+        <span className="history-diff__counts">
+          {added.length > 0 && <span className="history-diff__count--added">+{added.length}</span>}
+          {removed.length > 0 && <span className="history-diff__count--removed">−{removed.length}</span>}
+          {changed.length > 0 && <span className="history-diff__count--changed">~{changed.length}</span>}
+        </span>
+      </h3>
+      {added.map((item) => (
+        <div key={`added-${item.id}`} className="history-diff__entity history-diff__entity--added">
+          <span className="history-diff__entity-mark">+</span> {describe(item)}
+        </div>
+      ))}
+      {removed.map((item) => (
+        <div key={`removed-${item.id}`} className="history-diff__entity history-diff__entity--removed">
+          <span className="history-diff__entity-mark">−</span> {describe(item)}
+        </div>
+      ))}
+      {changed.map((change) => (
+        <div key={`changed-${change.id}`} className="history-diff__entity history-diff__entity--changed">
+          <span className="history-diff__entity-mark">~</span> {describe(change.after)}
+          <FieldChanges fields={change.fields} />
+        </div>
+      ))}
+    </section>
+  );
+}
+
+/**
+ * Differences between two history entries, grouped by entity
+ */
+function HistoryDiff({ diff, from, to, onBack }) {
+  const { tasks, brief, timeline, docs, workspace, count } = diff;
+
+  return (
+    <div className="history-diff">
+      <div className="history-diff__header">
+        <button type="button" className="history-diff__back" onClick={onBack}>
+          ← Timeline
+        </button>
+        <div className="history-diff__range">
+          <span>#{from.index} · {from.label}</span>
+          <span className="history-diff__arrow">→</span>
+          <span>#{to.index} · {to.label}</span>
+        </div>
+        <div className="history-diff__summary">
+          {count === 0 ? 'No differences' : `${count} ${count === 1 ? 'change' : 'changes'}`}
+        </div>
+      </div>
+
+      <EntityChanges
+        title="Tasks"
+        changes={tasks}
+        describe={(task) => `${task.id} · ${task.title || 'Untitled'}`}
+      />
+
+      {(brief.changed || brief.locked) && (
+        <section className="history-diff__section">
+          <h3 className="history-diff__section-title">Project brief</h3>
+          {brief.locked && (
+            <div className="history-diff__entity history-diff__entity--changed">
+              {brief.locked.after ? 'Locked' : 'Unlocked'}
+            </div>
+          )}
+          {brief.changed && <TextDiff lines={brief.lines} />}
+        </section>
+      )}
+
+      <EntityChanges
+        title="Timeline"
+        changes={timeline}
+        describe={(item) => `${item.id} · ${item.label || item.taskId || ''}`}
+      />
+
+      <EntityChanges
+        title="Docs"
+        changes={docs}
+        describe={(doc) => doc.title || doc.id}
+      />
+
+      {workspace.length > 0 && (
+        <section className="history-diff__section">
+          <h3 className="history-diff__section-title">Workspace</h3>
+          <FieldChanges fields={workspace} />
+        </section>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Branch name, renamed in place
+ */
+function BranchName({ name, onRename }) {
+  const [draft, setDraft] = useState(null);
+
+  if (draft === null) {
+    return (
+      <span className="history-branch__name">
+        {name}
+        {onRename && (
+          <button
+            type="button"
+            className="history-branch__rename"
+            onClick={() => setDraft(name)}
+            aria-label={`Rename branch ${name}`}
+            title="Rename"
+          >
+            ✎
+          </button>
+        )}
+      </span>
+    );
+  }
+
+  const save = () => {
+    if (draft.trim() && draft.trim() !== name) onRename(draft.trim());
+    setDraft(null);
+  };
+
+  return (
+    <input
+      className="history-branch__name-input"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={save}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') save();
+        if (e.key === 'Escape') setDraft(null);
+      }}
+      aria-label="Branch name"
+      autoFocus
+    />
+  );
+}
+
+/**
+ * A branch leaving the current line: its name, its own steps and what can
+ * be done with them
+ */
+function BranchBlock({ branch, onSwitch, onRename, onCherryPick, onMerge }) {
+  return (
+    <div className={`history-branch ${branch.stale ? 'history-branch--stale' : ''}`}>
+      <div className="history-branch__header">
+        <span className="history-branch__icon" aria-hidden="true">⑂</span>
+        <BranchName name={branch.name} onRename={onRename && ((name) => onRename(branch.id, name))} />
+        <span className="history-branch__meta">
+          {branch.steps.length} {branch.steps.length === 1 ? 'step' : 'steps'}
+          {branch.stale && ' · before last commit'}
+        </span>
+      </div>
+      <div className="history-branch__actions">
+        {onSwitch && (
+          <button
+            type="button"
+            className="history-branch__action"
+            onClick={() => onSwitch(branch.id)}
+            disabled={branch.stale}
+            title={branch.stale ? 'Branches without the last commit cannot be switched to' : 'Continue on this branch'}
+          >
+            Switch
+          </button>
+        )}
+        {onMerge && branch.steps.length > 0 && (
+          <button
+            type="button"
+            className="history-branch__action"
+            onClick={() => onMerge(branch.id)}
+            title="Apply this branch's changes as a new step here"
+          >
+            Merge here
+          </button>
+        )}
+      </div>
+      {branch.steps.map((step) => (
+        <div key={step.id} className="history-branch__step">
+          <span className="history-branch__step-label">{step.label || 'Snapshot'}</span>
+          {step.timestamp && <span className="history-item__timestamp">{step.timestamp}</span>}
+          {onCherryPick && (
+            <button
+              type="button"
+              className="history-branch__action history-branch__action--small"
+              onClick={() => onCherryPick(step.id)}
+              title="Apply this step's changes as a new step here"
+            >
+              Cherry-pick
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 /**
  * HistoryPanel - A slide-out panel from the right side displaying history timeline
  *
@@ -16,9 +288,30 @@ import './HistoryPanel.css';
  * @param {number} props.commitIndex - Index of the last committed baseline
  * @param {Function} props.onJump - Callback when user jumps to a history point (index)
  * @param {Function} props.onClose - Callback to close the panel
+ * @param {boolean} props.canUndo - Whether undo is possible (defaults to
+ *   being after the commit point)
+ * @param {boolean} props.canRedo - Whether redo is possible
  * @param {Function} props.onUndo - Optional callback for undo action
  * @param {Function} props.onRedo - Optional callback for redo action
  * @param {boolean} props.isOpen - Whether the panel is open
+ * @param {Array} props.branches - Branches from useHistory, shown where they
+ *   leave the current line
+ * @param {Function} props.onSwitchBranch - Optional callback (branchId)
+ * @param {Function} props.onRenameBranch - Optional callback (branchId, name)
+ * @param {Function} props.onCherryPick - Optional callback (stepId)
+ * @param {Function} props.onMergeBranch - Optional callback (branchId)
+ * @param {number|null} props.previewIndex - Entry being previewed, or null
+ * @param {Function} props.onPreview - Optional callback to preview an entry
+ *   before the commit point (index)
+ * @param {Function} props.onEndPreview - Optional callback to end the preview
+ * @param {Function} props.onRestore - Optional callback to restore an entry
+ *   as a new step (index)
+ *
+ * Entries from the commit point on are jumped to; earlier entries are
+ * previewed read-only, and can be restored as a new step from the preview.
+ * "Compare" switches clicks from jumping to picking two entries, whose
+ * differences are then shown grouped by entity; "Changes since commit"
+ * compares the last commit with the current position.
  */
 export default function HistoryPanel({
   history = [],
@@ -26,24 +319,109 @@ export default function HistoryPanel({
   commitIndex = 0,
   onJump,
   onClose,
+  canUndo: canUndoProp,
+  canRedo: canRedoProp,
   onUndo,
   onRedo,
-  isOpen = false
+  isOpen = false,
+  branches = [],
+  onSwitchBranch,
+  onRenameBranch,
+  onCherryPick,
+  onMergeBranch,
+  previewIndex = null,
+  onPreview,
+  onEndPreview,
+  onRestore
 }) {
+  // Compare mode: entries picked so far (indexes), and the pair compared
+  const [comparing, setComparing] = useState(false);
+  const [picked, setPicked] = useState([]);
+  const [pair, setPair] = useState(null);
+
   const stepsSinceCommit = currentIndex - commitIndex;
-  const canUndo = currentIndex > 0;
-  const canRedo = currentIndex < history.length - 1;
+  const canUndo = canUndoProp ?? currentIndex > commitIndex;
+  const canRedo = canRedoProp ?? currentIndex < history.length - 1;
 
   const isCurrent = (idx) => idx === currentIndex;
   const isCommitted = (idx) => idx === commitIndex;
-  const canJumpTo = (idx) => idx >= 0 && idx <= commitIndex;
+  const isPreviewed = (idx) => idx === previewIndex;
+  // Undo, redo and jump stay between the commit point and the latest step;
+  // earlier entries are only previewed
+  const canJumpTo = (idx) => idx >= commitIndex && idx < history.length;
+  const canPreview = (idx) => idx >= 0 && idx < commitIndex && Boolean(onPreview);
+  const isActionable = (idx) => comparing || canJumpTo(idx) || canPreview(idx);
 
   const handleJump = (idx) => {
     if (canJumpTo(idx) && onJump) {
       onJump(idx);
+    } else if (canPreview(idx)) {
+      if (isPreviewed(idx) && onEndPreview) onEndPreview();
+      else onPreview(idx);
+    }
+  };
+
+  const itemAction = (idx) => {
+    if (comparing) return 'Compare';
+    return canJumpTo(idx) ? 'Jump to' : 'Preview';
+  };
+
+  const previewed = previewIndex !== null ? history[previewIndex] : null;
+
+  const toggleCompare = () => {
+    setComparing(!comparing);
+    setPicked([]);
+  };
+
+  // Pick an entry to compare; the second pick shows the differences
+  const handlePick = (idx) => {
+    if (picked.includes(idx)) {
+      setPicked(picked.filter((i) => i !== idx));
+      return;
+    }
+    const next = [...picked, idx];
+    if (next.length === 2) {
+      setPair({ from: Math.min(...next), to: Math.max(...next) });
+      setPicked([]);
+      setComparing(false);
+    } else {
+      setPicked(next);
     }
   };
 
+  const handleItemActivate = (idx) => {
+    if (comparing) handlePick(idx);
+    else handleJump(idx);
+  };
+
+  const showChangesSinceCommit = () => {
+    setComparing(false);
+    setPicked([]);
+    setPair({ from: commitIndex, to: currentIndex });
+  };
+
+  const diff = useMemo(() => {
+    if (!pair || !history[pair.from] || !history[pair.to]) return null;
+    return diffSnapshots(history[pair.from], history[pair.to]);
+  }, [pair, history]);
+
+  const currentBranch = branches.find((branch) => branch.current) || null;
+
+  // Other branches, shown under the step they leave the current line from
+  const renderBranchesFrom = (idx) =>
+    branches
+      .filter((branch) => !branch.current && (branch.forkIndex === idx || (idx === 0 && branch.forkIndex < 0)))
+      .map((branch) => (
+        <BranchBlock
+          key={branch.id}
+          branch={branch}
+          onSwitch={onSwitchBranch}
+          onRename={onRenameBranch}
+          onCherryPick={onCherryPick}
+          onMerge={onMergeBranch}
+        />
+      ));
+
   const handleUndo = () => {
     if (canUndo && onUndo) {
       onUndo();
@@ -68,7 +446,13 @@ export default function HistoryPanel({
       {isOpen && <div className="history-panel__backdrop" onClick={handleClose} />}
 
       {/* Panel */}
-      <aside className={`history-panel ${isOpen ? 'history-panel--open' : ''}`}>
+      <aside
+        className={[
+          'history-panel',
+          isOpen && 'history-panel--open',
+          diff && 'history-panel--wide'
+        ].filter(Boolean).join(' ')}
+      >
         {/* Header */}
         <div className="history-panel__header">
           <div className="history-panel__header-content">
@@ -80,6 +464,16 @@ export default function HistoryPanel({
                   ? 'all committed'
                   : `${stepsSinceCommit} since commit`}
               </div>
+              {currentBranch && branches.length > 1 && (
+                <div className="history-panel__branch">
+                  On branch{' '}
+                  <BranchName
+                    key={currentBranch.id}
+                    name={currentBranch.name}
+                    onRename={onRenameBranch && ((name) => onRenameBranch(currentBranch.id, name))}
+                  />
+                </div>
+              )}
             </div>
 
             {/* Navigation Controls */}
@@ -102,7 +496,31 @@ export default function HistoryPanel({
               >
                 ▶
               </button>
+              <button
+                type="button"
+                className={`history-panel__action ${comparing ? 'history-panel__action--active' : ''}`}
+                onClick={toggleCompare}
+                aria-pressed={comparing}
+                disabled={history.length < 2}
+              >
+                {comparing ? 'Cancel' : 'Compare'}
+              </button>
+              <button
+                type="button"
+                className="history-panel__action"
+                onClick={showChangesSinceCommit}
+                disabled={stepsSinceCommit === 0}
+              >
+                Changes since commit
+              </button>
             </div>
+            {comparing && (
+              <div className="history-panel__hint">
+                {picked.length === 0
+                  ? 'Pick two entries to compare.'
+                  : `Comparing #${picked[0]} with… pick another entry.`}
+              </div>
+            )}
           </div>
 
           {/* Close Button */}
@@ -115,76 +533,123 @@ export default function HistoryPanel({
           </button>
         </div>
 
-        {/* Timeline List */}
-        <div className="history-list">
-          {history.length === 0 ? (
-            <div className="history-list__empty">
-              <p>No history yet</p>
-              <span>Make some changes to see your history timeline</span>
+        {/* Read-only preview of an entry before the commit point */}
+        {previewed && (
+          <div className="history-preview" role="status">
+            <div className="history-preview__text">
+              Previewing #{previewIndex} · {previewed.label || 'Snapshot'}
+              <span className="history-preview__note">Read-only</span>
             </div>
-          ) : (
-            history.map((snap, idx) => {
-              const itemClasses = [
-                'history-item',
-                isCurrent(idx) && 'history-item--current',
-                isCommitted(idx) && 'history-item--committed',
-                canJumpTo(idx) ? 'history-item--clickable' : 'history-item--disabled'
-              ]
-                .filter(Boolean)
-                .join(' ');
-
-              return (
-                <div
-                  key={snap.id != null ? snap.id : idx}
-                  className={itemClasses}
-                  onClick={() => handleJump(idx)}
-                  role="button"
-                  tabIndex={canJumpTo(idx) ? 0 : -1}
-                  aria-label={`Jump to ${snap.label || 'Snapshot'} at index ${idx}`}
-                  onKeyPress={(e) => {
-                    if ((e.key === 'Enter' || e.key === ' ') && canJumpTo(idx)) {
-                      handleJump(idx);
-                    }
-                  }}
+            <div className="history-preview__actions">
+              {onRestore && (
+                <button
+                  type="button"
+                  className="history-panel__action"
+                  onClick={() => onRestore(previewIndex)}
+                  title="Record this workspace as a new step; the commit stays in history"
                 >
-                  {/* Current Position Indicator */}
-                  {isCurrent(idx) && (
-                    <div className="history-item__indicator" aria-hidden="true">
-                      <div className="history-item__indicator-pulse" />
-                    </div>
-                  )}
-
-                  {/* Timeline Dot */}
-                  <div className="history-item__dot" aria-hidden="true">
-                    {isCommitted(idx) && <div className="history-item__dot-inner" />}
-                  </div>
-
-                  {/* Content */}
-                  <div className="history-item__main">
-                    <div className="history-item__header">
-                      <div className="history-item__label">
-                        #{idx} · {snap.label || 'Snapshot'}
-                      </div>
-                      {snap.timestamp && (
-                        <div className="history-item__timestamp">
-                          {snap.timestamp}
+                  Restore as new step
+                </button>
+              )}
+              {onEndPreview && (
+                <button type="button" className="history-panel__action" onClick={onEndPreview}>
+                  Back to current
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Differences between two entries */}
+        {diff && (
+          <div className="history-list">
+            <HistoryDiff
+              diff={diff}
+              from={{ index: pair.from, label: history[pair.from].label || 'Snapshot' }}
+              to={{ index: pair.to, label: history[pair.to].label || 'Snapshot' }}
+              onBack={() => setPair(null)}
+            />
+          </div>
+        )}
+
+        {/* Timeline List */}
+        {!diff && (
+          <div className="history-list">
+            {history.length === 0 ? (
+              <div className="history-list__empty">
+                <p>No history yet</p>
+                <span>Make some changes to see your history timeline</span>
+              </div>
+            ) : (
+              history.map((snap, idx) => {
+                const itemClasses = [
+                  'history-item',
+                  isCurrent(idx) && 'history-item--current',
+                  isCommitted(idx) && 'history-item--committed',
+                  picked.includes(idx) && 'history-item--picked',
+                  isPreviewed(idx) && 'history-item--previewed',
+                  idx < commitIndex && 'history-item--past',
+                  isActionable(idx) ? 'history-item--clickable' : 'history-item--disabled'
+                ]
+                  .filter(Boolean)
+                  .join(' ');
+
+                return (
+                  <React.Fragment key={snap.id != null ? snap.id : idx}>
+                    <div
+                      className={itemClasses}
+                      onClick={() => handleItemActivate(idx)}
+                      role="button"
+                      tabIndex={isActionable(idx) ? 0 : -1}
+                      aria-label={`${itemAction(idx)} ${snap.label || 'Snapshot'} at index ${idx}`}
+                      aria-pressed={comparing ? picked.includes(idx) : canPreview(idx) ? isPreviewed(idx) : undefined}
+                      onKeyPress={(e) => {
+                        if ((e.key === 'Enter' || e.key === ' ') && isActionable(idx)) {
+                          handleItemActivate(idx);
+                        }
+                      }}
+                    >
+                      {/* Current Position Indicator */}
+                      {isCurrent(idx) && (
+                        <div className="history-item__indicator" aria-hidden="true">
+                          <div className="history-item__indicator-pulse" />
                         </div>
                       )}
-                    </div>
 
-                    {/* Commit Badge */}
-                    {isCommitted(idx) && (
-                      <div className="history-item__badge">
-                        <span className="history-item__badge-icon">✓</span>
-                        Committed Baseline
+                      {/* Timeline Dot */}
+                      <div className="history-item__dot" aria-hidden="true">
+                        {isCommitted(idx) && <div className="history-item__dot-inner" />}
                       </div>
-                    )}
-                  </div>
-                </div>
-              );
-            })
-          )}
-        </div>
+
+                      {/* Content */}
+                      <div className="history-item__main">
+                        <div className="history-item__header">
+                          <div className="history-item__label">
+                            #{idx} · {snap.label || 'Snapshot'}
+                          </div>
+                          {snap.timestamp && (
+                            <div className="history-item__timestamp">
+                              {snap.timestamp}
+                            </div>
+                          )}
+                        </div>
+
+                        {/* Commit Badge */}
+                        {isCommitted(idx) && (
+                          <div className="history-item__badge">
+                            <span className="history-item__badge-icon">✓</span>
+                            Committed Baseline
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                    {renderBranchesFrom(idx)}
+                  </React.Fragment>
+                );
+              })
+            )}
+          </div>
+        )}
       </aside>
     </>
   );
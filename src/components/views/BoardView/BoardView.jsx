@@ -16,7 +16,8 @@ import './BoardView.css';
  * @param {Object} props.flowBindings - Map of flow target bindings
  * @param {Function} props.onMoveTask - Handler for task status changes
  * @param {Function} props.onFlowTargetClick - Handler for flow target clicks
- * @param {Function} props.onFlowEvent - Handler for flow events
+ * @param {Function} props.onFlowEvent - Handler for flow events that are not
+ *   commands (eventType, payload); drops fire task.dropped through onMoveTask
  */
 export function BoardView({
   snapshot = {},
@@ -59,10 +60,11 @@ export function BoardView({
   // Drag and drop handlers
   const handleDragStart = (task) => {
     setDraggingTaskId(task.id);
-    if (flowMode && onFlowEvent) {
+    if (onFlowEvent) {
       onFlowEvent('task.dragstart', {
         taskId: task.id,
-        status: task.status,
+        fromStatus: task.status,
+        timestamp: new Date().toISOString(),
         targetKey: `task:${task.id}`
       });
     }
@@ -85,13 +87,6 @@ export function BoardView({
     if (onMoveTask) {
       onMoveTask({ taskId: draggingTaskId, toStatus: status });
     }
-    if (onFlowEvent) {
-      onFlowEvent('task.dropped', {
-        taskId: draggingTaskId,
-        toStatus: status,
-        targetKey: `task:${draggingTaskId}`
-      });
-    }
     setDraggingTaskId(null);
     setDropTargetStatus(null);
   };
@@ -50,6 +50,9 @@ const defaultConfig = {
     canChangeWorkspace: true,
     canCommit: false,
     voiceEnabled: true
+  },
+  flows: {
+    backendEndpoint: '' // HTTP endpoint for flow events; empty uses VITE_FLOW_BACKEND_URL
   }
 };
 
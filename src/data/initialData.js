@@ -92,6 +92,19 @@ export const INITIAL_FLOW_LIBRARY = [
   }
 ];
 
+/**
+ * Initial flow bindings, keyed by target key (see flows/FlowTargets.js)
+ */
+export const INITIAL_FLOW_BINDINGS = {
+  workspace: [
+    {
+      id: 'binding-metrics-on-commit',
+      flowId: 'flow-metrics-on-commit',
+      eventType: 'workspace.committed'
+    }
+  ]
+};
+
 export function pointsForDifficulty(diff) {
   switch (diff) {
     case 'XS': return 1;
@@ -110,6 +123,16 @@ export function inferDifficultyFromText(line) {
   return 'L';
 }
 
+// Next free task id: one past the highest numbered T-id, so ids stay unique
+// after deletes
+export function nextTaskId(tasks = []) {
+  const highest = tasks.reduce((max, task) => {
+    const match = /^T-(\d+)$/.exec(task?.id || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 100);
+  return `T-${highest + 1}`;
+}
+
 export function createInitialSnapshot() {
   const now = () => new Date().toLocaleTimeString();
 
@@ -421,6 +444,7 @@ def process_task(task_id):
 
 export default {
   INITIAL_FLOW_LIBRARY,
+  INITIAL_FLOW_BINDINGS,
   createInitialSnapshot,
   pointsForDifficulty,
   inferDifficultyFromText
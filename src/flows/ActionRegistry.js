@@ -0,0 +1,162 @@
+/**
+ * ActionRegistry.js
+ * Registry of flow action types.
+ *
+ * Each action type declares:
+ * - id: unique type id stored in flows (e.g. "show_notification")
+ * - label: name shown in FlowEditor
+ * - fields: property-editor fields, in display order
+ *     { key, label, type: 'text'|'textarea'|'number'|'select'|'json',
+ *       options?, placeholder?, required?, default? }
+ * - configSchema (optional): { properties: { key: { type, enum? } }, required: [] }
+ *     derived from fields when omitted
+ * - execute(config, eventPayload, context, helpers): result or promise
+ * - preview(config, eventPayload, context, helpers) (optional): side-effect
+ *     free description of what execute would do, shown by test runs
+ * - validate(config) (optional): further problems with a config, as strings,
+ *     beyond what the schema checks
+ * - pausesFlow (optional): handled by FlowEngine instead of executed
+ *
+ * FlowEngine dispatches through the registry and FlowEditor renders the
+ * property form from it, so in-house actions only need registerAction().
+ */
+
+import { BUILTIN_ACTIONS } from './BuiltinActions';
+
+const FIELD_TYPE_TO_SCHEMA = {
+  text: 'string',
+  textarea: 'string',
+  number: 'number',
+  select: 'string',
+  json: 'object'
+};
+
+const registry = new Map();
+
+/**
+ * Derive a config schema from property-editor fields
+ */
+function schemaFromFields(fields = []) {
+  const properties = {};
+  const required = [];
+
+  fields.forEach((field) => {
+    properties[field.key] = { type: FIELD_TYPE_TO_SCHEMA[field.type] || 'string' };
+    if (field.options) {
+      properties[field.key].enum = field.options.map((o) => o.value);
+    }
+    if (field.required) required.push(field.key);
+  });
+
+  return { properties, required };
+}
+
+/**
+ * Register an action type, replacing any previous one with the same id
+ *
+ * @param {object} definition - Action type definition (see module docs)
+ * @returns {object} The stored definition
+ */
+export function registerAction(definition) {
+  if (!definition || !definition.id) {
+    throw new Error('Action definition requires an id');
+  }
+  if (!definition.pausesFlow && typeof definition.execute !== 'function') {
+    throw new Error(`Action "${definition.id}" requires an execute function`);
+  }
+
+  const stored = {
+    label: definition.id,
+    fields: [],
+    ...definition
+  };
+  stored.configSchema = definition.configSchema || schemaFromFields(stored.fields);
+
+  registry.set(stored.id, stored);
+  return stored;
+}
+
+/**
+ * Remove an action type
+ */
+export function unregisterAction(id) {
+  registry.delete(id);
+}
+
+/**
+ * Get an action type definition
+ */
+export function getAction(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * List registered action types, in registration order
+ */
+export function listActions() {
+  return [...registry.values()];
+}
+
+/**
+ * Default config for a new action of the given type
+ */
+export function defaultConfigFor(id) {
+  const config = {};
+  (getAction(id)?.fields || []).forEach((field) => {
+    if (field.default !== undefined) config[field.key] = field.default;
+  });
+  return config;
+}
+
+/**
+ * Check an action config against its type's schema and validate()
+ *
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateActionConfig(id, config = {}) {
+  const definition = getAction(id);
+  if (!definition) return [`Unknown action type: ${id}`];
+
+  const { properties = {}, required = [] } = definition.configSchema;
+  const problems = [];
+
+  required.forEach((key) => {
+    const value = config[key];
+    if (value === undefined || value === null || value === '') {
+      problems.push(`Missing required field "${key}"`);
+    }
+  });
+
+  Object.entries(properties).forEach(([key, schema]) => {
+    const value = config[key];
+    if (value === undefined || value === null || value === '') return;
+
+    if (schema.type === 'number' && !Number.isFinite(Number(value))) {
+      problems.push(`Field "${key}" must be a number`);
+    }
+    if (schema.type === 'object' && (typeof value !== 'object' || Array.isArray(value))) {
+      problems.push(`Field "${key}" must be an object`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      problems.push(`Field "${key}" must be one of: ${schema.enum.join(', ')}`);
+    }
+  });
+
+  if (typeof definition.validate === 'function') {
+    problems.push(...(definition.validate(config) || []));
+  }
+
+  return problems;
+}
+
+// Built-in action types
+BUILTIN_ACTIONS.forEach(registerAction);
+
+export default {
+  registerAction,
+  unregisterAction,
+  getAction,
+  listActions,
+  defaultConfigFor,
+  validateActionConfig
+};
@@ -0,0 +1,270 @@
+/**
+ * BuiltinActions.js
+ * Action types shipped with Tasklytics, registered by ActionRegistry.
+ *
+ * Executors receive (config, eventPayload, context, helpers) where
+ * helpers.interpolate(value) resolves {{...}} templates against the event
+ * payload and the current snapshot (see FlowTemplates). preview() takes the same arguments and
+ * describes what execute() would do without side effects (flow test runs).
+ */
+
+import { COMMAND_TYPES, getCommandType } from './EventCatalog';
+
+/**
+ * Resolve to a result once a command has been handled
+ * runCommand may return a promise, in which case the action waits for it.
+ */
+function afterCommand(outcome, result) {
+  if (outcome && typeof outcome.then === 'function') {
+    return outcome.then(() => result);
+  }
+  return result;
+}
+
+/**
+ * Action: Show notification
+ */
+const showNotification = {
+  id: 'show_notification',
+  label: 'Show Notification',
+  fields: [
+    { key: 'title', label: 'Title', type: 'text', placeholder: 'Notification title' },
+    {
+      key: 'message',
+      label: 'Message',
+      type: 'textarea',
+      required: true,
+      placeholder: 'e.g., {{task.title}} moved to {{toStatus | upper}}'
+    }
+  ],
+  preview(config, eventPayload, context, { interpolate }) {
+    return {
+      title: config.title ? interpolate(config.title) : 'Flow Notification',
+      message: interpolate(config.message)
+    };
+  },
+  execute(config, eventPayload, context, helpers) {
+    const { title, message } = this.preview(config, eventPayload, context, helpers);
+
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      new Notification(title, { body: message });
+    } else {
+      console.log('[Flow Notification]', title, '-', message);
+    }
+
+    if (context.addAiSystemMessage) {
+      context.addAiSystemMessage('🔔 ' + message);
+    }
+
+    return { success: true, message };
+  }
+};
+
+/**
+ * Action: Run command
+ */
+const runCommand = {
+  id: 'run_command',
+  label: 'Run Command',
+  fields: [
+    {
+      key: 'commandType',
+      label: 'Command Type',
+      type: 'text',
+      required: true,
+      placeholder: 'e.g., CreateTask'
+    },
+    { key: 'params', label: 'Parameters (JSON)', type: 'json', placeholder: '{"key": "value"}' }
+  ],
+  validate({ commandType }) {
+    // Templated command types are only known when the flow runs
+    if (!commandType || String(commandType).includes('{{') || getCommandType(commandType)) {
+      return [];
+    }
+    return [
+      `Unknown command type "${commandType}" (expected one of: ${COMMAND_TYPES.map((c) => c.type).join(', ')})`
+    ];
+  },
+  preview(config, eventPayload, context, { interpolate }) {
+    const { commandType, params = {} } = config;
+
+    const interpolatedParams = {};
+    for (const key in params) {
+      if (Object.prototype.hasOwnProperty.call(params, key)) {
+        interpolatedParams[key] = interpolate(params[key]);
+      }
+    }
+
+    return { command: { type: commandType, ...interpolatedParams } };
+  },
+  execute(config, eventPayload, context, helpers) {
+    if (!context.runCommand) {
+      return { success: false, reason: 'No runCommand function available' };
+    }
+
+    const { command } = this.preview(config, eventPayload, context, helpers);
+    const outcome = context.runCommand(command);
+
+    return afterCommand(outcome, { success: true, command });
+  }
+};
+
+/**
+ * Action: Update field
+ */
+const updateField = {
+  id: 'update_field',
+  label: 'Update Field',
+  fields: [
+    {
+      key: 'targetType',
+      label: 'Target Type',
+      type: 'select',
+      default: 'task',
+      options: [
+        { value: 'task', label: 'Task' },
+        { value: 'workspace', label: 'Workspace' }
+      ]
+    },
+    { key: 'targetId', label: 'Target ID', type: 'text', required: true, placeholder: 'e.g., {{taskId}}' },
+    { key: 'field', label: 'Field', type: 'text', required: true, placeholder: 'e.g., status, assignee' },
+    { key: 'value', label: 'Value', type: 'text', placeholder: 'New value' }
+  ],
+  preview(config, eventPayload, context, { interpolate }) {
+    const { targetType = 'task', field } = config;
+    const targetId = interpolate(config.targetId);
+    const value = interpolate(config.value);
+
+    if (targetType !== 'task') {
+      return { reason: 'Unsupported target type: ' + targetType };
+    }
+    return {
+      command: { type: 'UpdateTaskField', taskId: targetId, field, value },
+      updated: { targetId, field, value }
+    };
+  },
+  execute(config, eventPayload, context, helpers) {
+    const { command, updated, reason } = this.preview(config, eventPayload, context, helpers);
+
+    if (command && context.runCommand) {
+      const outcome = context.runCommand(command);
+      return afterCommand(outcome, { success: true, updated });
+    }
+
+    return { success: false, reason: reason || 'No runCommand function available' };
+  }
+};
+
+/**
+ * Action: Add tag
+ * Adds a tag to a task, keeping its other tags; a task that already has the
+ * tag is left as it is.
+ */
+const addTag = {
+  id: 'add_tag',
+  label: 'Add Tag',
+  fields: [
+    { key: 'targetId', label: 'Task ID', type: 'text', required: true, placeholder: 'e.g., {{taskId}}' },
+    { key: 'tag', label: 'Tag', type: 'text', required: true, placeholder: 'e.g., blocked' }
+  ],
+  preview(config, eventPayload, context, { interpolate }) {
+    const taskId = interpolate(config.targetId);
+    const tag = interpolate(config.tag);
+    const task = context.currentSnapshot?.tasks?.find((t) => t.id === taskId);
+
+    if (!task) {
+      return { reason: 'Task not found: ' + taskId };
+    }
+    const tags = task.tags || [];
+    if (tags.includes(tag)) {
+      return { tagged: { taskId, tag }, unchanged: true };
+    }
+    return {
+      command: { type: 'UpdateTaskField', taskId, field: 'tags', value: [...tags, tag] },
+      tagged: { taskId, tag }
+    };
+  },
+  execute(config, eventPayload, context, helpers) {
+    const { command, tagged, unchanged, reason } = this.preview(config, eventPayload, context, helpers);
+
+    if (unchanged) {
+      return { success: true, tagged, unchanged };
+    }
+    if (command && context.runCommand) {
+      const outcome = context.runCommand(command);
+      return afterCommand(outcome, { success: true, tagged });
+    }
+
+    return { success: false, reason: reason || 'No runCommand function available' };
+  }
+};
+
+/**
+ * Action: Log message
+ */
+const logMessage = {
+  id: 'log_message',
+  label: 'Log Message',
+  fields: [
+    { key: 'message', label: 'Message', type: 'textarea', required: true, placeholder: 'Log message' },
+    {
+      key: 'level',
+      label: 'Level',
+      type: 'select',
+      default: 'info',
+      options: [
+        { value: 'info', label: 'Info' },
+        { value: 'warn', label: 'Warning' },
+        { value: 'error', label: 'Error' }
+      ]
+    }
+  ],
+  preview(config, eventPayload, context, { interpolate }) {
+    return { message: interpolate(config.message), level: config.level || 'info' };
+  },
+  execute(config, eventPayload, context, helpers) {
+    const { message, level } = this.preview(config, eventPayload, context, helpers);
+
+    if (console && console[level]) {
+      console[level]('[Flow]', message);
+    }
+
+    return { success: true, message, level };
+  }
+};
+
+/**
+ * Action: Delay
+ * Pauses the flow; FlowEngine schedules the resumption (see FlowScheduler).
+ */
+const delay = {
+  id: 'delay',
+  label: 'Delay',
+  pausesFlow: true,
+  fields: [
+    { key: 'amount', label: 'Wait', type: 'number', required: true, placeholder: 'e.g., 2' },
+    {
+      key: 'unit',
+      label: 'Unit',
+      type: 'select',
+      default: 'minutes',
+      options: [
+        { value: 'seconds', label: 'Seconds' },
+        { value: 'minutes', label: 'Minutes' },
+        { value: 'hours', label: 'Hours' },
+        { value: 'days', label: 'Days' }
+      ]
+    }
+  ]
+};
+
+export const BUILTIN_ACTIONS = [
+  showNotification,
+  runCommand,
+  updateField,
+  addTag,
+  logMessage,
+  delay
+];
+
+export default BUILTIN_ACTIONS;
@@ -0,0 +1,479 @@
+/**
+ * EventCatalog.js
+ * Trigger events flows can listen to, the payload fields each provides, and
+ * the workspace commands flows can run with the events each one emits.
+ *
+ * Shared by FlowEditor (trigger options, sample payloads for test runs), the
+ * flow validator and the code that fires events and runs commands, so all
+ * sides agree on payload shapes.
+ */
+
+import { PERMISSIONS } from '../utils/permissions';
+
+/**
+ * Event descriptors
+ * fields: payload fields the event carries (eventType and targetKey are
+ * always present and not listed)
+ *
+ * Events emitted for workspace commands (see COMMAND_TYPES) also carry the
+ * command type and the state before and after it: `before` and `after` are
+ * the task, doc or timeline item for events about one, or the changed
+ * workspace fields otherwise, and `changes` maps each changed field to
+ * { from, to }.
+ */
+const CHANGE_FIELDS = ['command', 'before', 'after', 'changes', 'timestamp'];
+
+// Events about a task entering a column also carry the number of tasks in it
+// afterwards and its WIP limit (null when it has none)
+const COLUMN_FIELDS = ['columnCount', 'wipLimit'];
+
+export const TRIGGER_EVENTS = [
+  {
+    type: 'task.dropped',
+    label: 'Task Dropped',
+    fields: ['taskId', 'fromStatus', 'toStatus', ...COLUMN_FIELDS, ...CHANGE_FIELDS]
+  },
+  {
+    type: 'task.dragstart',
+    label: 'Task Drag Start',
+    fields: ['taskId', 'fromStatus', 'timestamp']
+  },
+  {
+    type: 'task.created',
+    label: 'Task Created',
+    fields: ['taskId', 'task', ...CHANGE_FIELDS]
+  },
+  {
+    type: 'task.updated',
+    label: 'Task Updated',
+    fields: ['taskId', 'field', 'value', ...CHANGE_FIELDS]
+  },
+  {
+    type: 'task.status_changed',
+    label: 'Task Status Changed',
+    fields: ['taskId', 'fromStatus', 'toStatus', ...COLUMN_FIELDS, ...CHANGE_FIELDS]
+  },
+  {
+    type: 'tasks.generated',
+    label: 'Tasks Generated From Brief',
+    fields: ['taskIds', 'count', ...CHANGE_FIELDS]
+  },
+  {
+    type: 'button.clicked',
+    label: 'Button Clicked',
+    fields: ['buttonId', 'taskId', 'command', 'timestamp']
+  },
+  {
+    type: 'field.updated',
+    label: 'Field Updated',
+    fields: ['taskId', 'field', 'oldValue', 'newValue', ...CHANGE_FIELDS]
+  },
+  {
+    type: 'view.changed',
+    label: 'View Changed',
+    fields: ['fromView', 'toView', ...CHANGE_FIELDS]
+  },
+  {
+    type: 'brief.updated',
+    label: 'Brief Updated',
+    fields: CHANGE_FIELDS
+  },
+  {
+    type: 'brief.locked',
+    label: 'Brief Locked',
+    fields: CHANGE_FIELDS
+  },
+  {
+    type: 'brief.unlocked',
+    label: 'Brief Unlocked',
+    fields: CHANGE_FIELDS
+  },
+  {
+    type: 'timeline.updated',
+    label: 'Timeline Item Updated',
+    fields: ['itemId', ...CHANGE_FIELDS]
+  },
+  {
+    type: 'doc.created',
+    label: 'Doc Created',
+    fields: ['docId', 'doc', ...CHANGE_FIELDS]
+  },
+  {
+    type: 'workspace.committed',
+    label: 'Workspace Committed',
+    fields: ['command', 'timestamp']
+  },
+  {
+    type: 'schedule',
+    label: 'Schedule',
+    fields: ['schedule', 'scheduledFor', 'timestamp']
+  }
+];
+
+/**
+ * Fields every flow payload carries, whatever the event
+ */
+export const COMMON_PAYLOAD_FIELDS = ['eventType', 'targetKey', 'bindingKey'];
+
+/**
+ * Top-level workspace snapshot fields, which templates and conditions fall
+ * back to when the payload does not provide a field
+ */
+export const WORKSPACE_FIELDS = [
+  'workspace',
+  'view',
+  'sprint',
+  'projectBrief',
+  'briefLocked',
+  'briefGeneratedTasksCount',
+  'tasks',
+  'wipLimits',
+  'schedule',
+  'docs',
+  'files'
+];
+
+/**
+ * Commands accepted by the workspace's runCommand (run_command action)
+ * params: command fields besides type
+ * events: event types the command emits when it changes something (see
+ *   commandEvents)
+ * permission: permission a flow's run-as role needs to run the command (see
+ *   FlowPermissions)
+ */
+export const COMMAND_TYPES = [
+  {
+    type: 'SetView',
+    label: 'Switch view',
+    params: ['view'],
+    events: ['view.changed'],
+    permission: PERMISSIONS.VIEW_WORKSPACE
+  },
+  {
+    type: 'CreateTask',
+    label: 'Create task',
+    params: ['title', 'status', 'assignee', 'points', 'difficulty', 'tags'],
+    events: ['task.created'],
+    permission: PERMISSIONS.CREATE_TASKS
+  },
+  {
+    type: 'MoveTask',
+    label: 'Move task',
+    params: ['taskId', 'fromStatus', 'toStatus'],
+    events: ['task.dropped', 'task.status_changed'],
+    permission: PERMISSIONS.MOVE_TASKS
+  },
+  {
+    type: 'UpdateTaskField',
+    label: 'Update task field',
+    params: ['taskId', 'field', 'value'],
+    events: ['task.updated', 'field.updated', 'task.status_changed'],
+    permission: PERMISSIONS.EDIT_TASKS
+  },
+  {
+    type: 'UpdateBrief',
+    label: 'Update brief',
+    params: ['text'],
+    events: ['brief.updated'],
+    permission: PERMISSIONS.EDIT_WORKSPACE
+  },
+  {
+    type: 'LockBrief',
+    label: 'Lock brief',
+    params: [],
+    events: ['brief.locked'],
+    permission: PERMISSIONS.EDIT_WORKSPACE
+  },
+  {
+    type: 'UnlockBrief',
+    label: 'Unlock brief',
+    params: [],
+    events: ['brief.unlocked'],
+    permission: PERMISSIONS.EDIT_WORKSPACE
+  },
+  {
+    type: 'GenerateTasksFromBrief',
+    label: 'Generate tasks from brief',
+    params: [],
+    events: ['task.created', 'tasks.generated'],
+    permission: PERMISSIONS.CREATE_TASKS
+  },
+  {
+    type: 'UpdateTimeline',
+    label: 'Update timeline item',
+    params: ['itemId', 'startOffset', 'duration'],
+    events: ['timeline.updated'],
+    permission: PERMISSIONS.EDIT_WORKSPACE
+  },
+  {
+    type: 'CreateDoc',
+    label: 'Create doc',
+    params: ['title', 'content'],
+    events: ['doc.created'],
+    permission: PERMISSIONS.CREATE_DOCS
+  },
+  {
+    type: 'ClickButton',
+    label: 'Click button',
+    params: ['buttonId', 'taskId'],
+    events: ['button.clicked'],
+    permission: PERMISSIONS.VIEW_WORKSPACE
+  },
+  {
+    type: 'Commit',
+    label: 'Commit',
+    params: [],
+    events: ['workspace.committed'],
+    permission: PERMISSIONS.COMMIT_CHANGES
+  }
+];
+
+/**
+ * Get the descriptor for a command type
+ */
+export function getCommandType(type) {
+  return COMMAND_TYPES.find((command) => command.type === type) || null;
+}
+
+/**
+ * Fields that differ between two objects, as { field: { from, to } }
+ * Values are compared as JSON. Only the listed fields are compared when
+ * fields is given.
+ */
+function diffFields(before, after, fields = null) {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changes = {};
+  keys.forEach((key) => {
+    const from = before?.[key];
+    const to = after?.[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { from, to };
+  });
+  return changes;
+}
+
+/**
+ * Items of `after` whose id is not in `before`
+ */
+function addedItems(before = [], after = []) {
+  const known = new Set(before.map((item) => item.id));
+  return after.filter((item) => !known.has(item.id));
+}
+
+const findById = (list, id) => (list || []).find((item) => item.id === id) || null;
+
+/**
+ * Domain events for a command the workspace ran
+ * Compares the snapshots before and after the command and reports what
+ * changed through the events COMMAND_TYPES declares for it. A command that
+ * changes nothing emits nothing, except MoveTask (a drop onto the same
+ * column is still a drop), ClickButton and Commit.
+ *
+ * @param {object} command - { type, ...params }
+ * @param {object} before - Workspace snapshot before the command
+ * @param {object} after - Workspace snapshot after it
+ * @returns {Array} [{ eventType, payload }] in the order to fire them
+ */
+export function commandEvents(command, before, after) {
+  const events = [];
+  const timestamp = new Date().toISOString();
+  const emit = (eventType, payload) =>
+    events.push({
+      eventType,
+      payload: { eventType, command: command.type, ...payload, timestamp }
+    });
+
+  // Change to top-level workspace fields, or null when none changed
+  const workspaceChange = (fields) => {
+    const changes = diffFields(before, after, fields);
+    if (Object.keys(changes).length === 0) return null;
+    const pick = (snapshot) => Object.fromEntries(fields.map((field) => [field, snapshot?.[field]]));
+    return { before: pick(before), after: pick(after), changes };
+  };
+
+  switch (command.type) {
+    case 'SetView': {
+      const change = workspaceChange(['view']);
+      if (change) {
+        emit('view.changed', { fromView: change.before.view, toView: change.after.view, ...change });
+      }
+      break;
+    }
+
+    case 'CreateTask':
+    case 'GenerateTasksFromBrief': {
+      const created = addedItems(before?.tasks, after?.tasks);
+      created.forEach((task) =>
+        emit('task.created', { taskId: task.id, task, before: null, after: task, changes: {} })
+      );
+      if (command.type === 'GenerateTasksFromBrief' && created.length > 0) {
+        emit('tasks.generated', {
+          taskIds: created.map((task) => task.id),
+          count: created.length,
+          ...workspaceChange(['briefGeneratedTasksCount'])
+        });
+      }
+      break;
+    }
+
+    case 'MoveTask':
+    case 'UpdateTaskField': {
+      const from = findById(before?.tasks, command.taskId);
+      const to = findById(after?.tasks, command.taskId);
+      if (!from || !to) break;
+
+      const changes = diffFields(from, to);
+      const base = { taskId: command.taskId, before: from, after: to, changes };
+      const column = {
+        columnCount: (after.tasks || []).filter((task) => task.status === to.status).length,
+        wipLimit: after.wipLimits?.[to.status] ?? null
+      };
+
+      if (command.type === 'MoveTask') {
+        emit('task.dropped', { ...base, fromStatus: from.status, toStatus: to.status, ...column });
+      } else if (changes[command.field]) {
+        const { from: oldValue, to: newValue } = changes[command.field];
+        emit('task.updated', { ...base, field: command.field, value: newValue });
+        emit('field.updated', { ...base, field: command.field, oldValue, newValue });
+      }
+      if (changes.status) {
+        emit('task.status_changed', {
+          ...base,
+          fromStatus: changes.status.from,
+          toStatus: changes.status.to,
+          ...column
+        });
+      }
+      break;
+    }
+
+    case 'UpdateBrief': {
+      const change = workspaceChange(['projectBrief']);
+      if (change) emit('brief.updated', change);
+      break;
+    }
+
+    case 'LockBrief':
+    case 'UnlockBrief': {
+      const change = workspaceChange(['briefLocked']);
+      if (change) emit(command.type === 'LockBrief' ? 'brief.locked' : 'brief.unlocked', change);
+      break;
+    }
+
+    case 'UpdateTimeline': {
+      const from = findById(before?.schedule?.timeline, command.itemId);
+      const to = findById(after?.schedule?.timeline, command.itemId);
+      const changes = diffFields(from, to);
+      if (from && to && Object.keys(changes).length > 0) {
+        emit('timeline.updated', { itemId: command.itemId, before: from, after: to, changes });
+      }
+      break;
+    }
+
+    case 'CreateDoc':
+      addedItems(before?.docs, after?.docs).forEach((doc) =>
+        emit('doc.created', { docId: doc.id, doc, before: null, after: doc, changes: {} })
+      );
+      break;
+
+    case 'ClickButton':
+      emit('button.clicked', { buttonId: command.buttonId, taskId: command.taskId ?? null });
+      break;
+
+    case 'Commit':
+      emit('workspace.committed', {});
+      break;
+
+    default:
+      break;
+  }
+
+  return events;
+}
+
+/**
+ * Get the descriptor for an event type
+ */
+export function getTriggerEvent(type) {
+  return TRIGGER_EVENTS.find((event) => event.type === type) || null;
+}
+
+/**
+ * Build a sample payload for an event type
+ * Task fields are filled from the first task of the snapshot (docs and
+ * timeline items likewise), so templates and conditions resolve against
+ * real data.
+ *
+ * @param {string} type - Event type
+ * @param {object} snapshot - Current workspace snapshot
+ * @returns {object}
+ */
+export function samplePayloadFor(type, snapshot = null) {
+  const event = getTriggerEvent(type);
+  const task = snapshot?.tasks?.[0] || {};
+  const doc = snapshot?.docs?.[0] || { id: 'DOC-1', title: 'New Document' };
+  const item = snapshot?.schedule?.timeline?.[0] || { id: 'item-1', startOffset: 0, duration: 5 };
+  const view = snapshot?.view || 'Board';
+  const now = new Date().toISOString();
+
+  // State before and after the sample change, by what the event is about
+  const change = (from, to) => ({ before: from, after: to, changes: diffFields(from, to) });
+  const sampleChanges = {
+    'task.created': { before: null, after: task, changes: {} },
+    'doc.created': { before: null, after: doc, changes: {} },
+    'tasks.generated': change({ briefGeneratedTasksCount: 0 }, { briefGeneratedTasksCount: 1 }),
+    'view.changed': change({ view }, { view: view === 'List' ? 'Board' : 'List' }),
+    'brief.updated': change(
+      { projectBrief: snapshot?.projectBrief || '' },
+      { projectBrief: `${snapshot?.projectBrief || ''}\n- New item` }
+    ),
+    'brief.locked': change({ briefLocked: false }, { briefLocked: true }),
+    'brief.unlocked': change({ briefLocked: true }, { briefLocked: false }),
+    'timeline.updated': change(item, { ...item, duration: (item.duration || 0) + 1 })
+  };
+  const { before, after, changes } = sampleChanges[type] || change(task, { ...task, status: 'Done' });
+
+  const samples = {
+    command: COMMAND_TYPES.find((command) => command.events.includes(type))?.type,
+    taskId: task.id || 'T-101',
+    taskIds: [task.id || 'T-101'],
+    count: 1,
+    fromStatus: task.status || 'Backlog',
+    toStatus: 'Done',
+    columnCount: (snapshot?.tasks || []).filter((t) => t.status === 'Done' && t.id !== task.id).length + 1,
+    wipLimit: snapshot?.wipLimits?.Done ?? null,
+    task,
+    field: 'status',
+    value: 'Done',
+    oldValue: task.status || 'Backlog',
+    newValue: 'Done',
+    before,
+    after,
+    changes,
+    fromView: before?.view,
+    toView: after?.view,
+    itemId: item.id,
+    docId: doc.id,
+    doc,
+    buttonId: 'button-1',
+    schedule: 'every weekday 09:00',
+    scheduledFor: now,
+    timestamp: now
+  };
+
+  const payload = { eventType: type };
+  (event?.fields || ['taskId', 'timestamp']).forEach((field) => {
+    payload[field] = samples[field];
+  });
+  return payload;
+}
+
+export default {
+  TRIGGER_EVENTS,
+  COMMON_PAYLOAD_FIELDS,
+  WORKSPACE_FIELDS,
+  COMMAND_TYPES,
+  getCommandType,
+  commandEvents,
+  getTriggerEvent,
+  samplePayloadFor
+};
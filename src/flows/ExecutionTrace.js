@@ -0,0 +1,140 @@
+/**
+ * ExecutionTrace.js
+ * Step-by-step reading of recorded flow executions.
+ *
+ * FlowEngine logs conditions, actions and failures in separate lists, each
+ * entry with its node id (graph flows) and timing (`offset` ms since the
+ * execution started, `duration` ms). This module merges them back into the
+ * order they ran, for the execution inspector in FlowPanel and replays on
+ * the FlowEditor canvas. Logs recorded before steps were timed keep their
+ * recorded order.
+ */
+
+import { CONDITION_FALSE_HANDLE, CONDITION_TRUE_HANDLE } from './FlowGraph';
+import { describeCondition } from './FlowConditions';
+import { getAction } from './ActionRegistry';
+import { getFlowVersion } from './FlowVersions';
+
+/**
+ * Label of a graph node, or null when the node is unknown
+ */
+function nodeLabel(flow, nodeId) {
+  const node = nodeId && (flow?.nodes || []).find((n) => n.id === nodeId);
+  return node ? node.data?.description || node.data?.label || node.id : null;
+}
+
+/**
+ * Steps of an execution, in the order they ran
+ *
+ * @param {object} log - Execution log (see FlowEngine)
+ * @param {object} [flow] - Definition that ran, for node labels
+ * @returns {Array} [{
+ *   key, kind: 'condition'|'action'|'error', nodeId, label,
+ *   status: 'passed'|'failed'|'succeeded'|'errored'|'previewed',
+ *   offset, duration, trace?, input?, result?, preview?, error?, attempts?
+ * }]
+ */
+export function getExecutionSteps(log, flow = null) {
+  if (!log) return [];
+
+  const conditions = (log.conditionsEvaluated || []).map((entry, index) => ({
+    key: `condition-${index}`,
+    kind: 'condition',
+    nodeId: entry.nodeId || null,
+    label: nodeLabel(flow, entry.nodeId) || describeCondition(entry) || 'Condition',
+    status: entry.result ? 'passed' : 'failed',
+    offset: entry.offset,
+    duration: entry.duration,
+    trace: entry.trace || null
+  }));
+
+  const actionLabel = (entry) =>
+    nodeLabel(flow, entry.nodeId) || getAction(entry.type)?.label || entry.type;
+
+  const actions = (log.actionsPerformed || []).map((entry) => ({
+    key: `action-${entry.nodeId || entry.index}`,
+    kind: 'action',
+    nodeId: entry.nodeId || null,
+    index: entry.index,
+    label: actionLabel(entry),
+    type: entry.type,
+    status: entry.preview ? 'previewed' : 'succeeded',
+    offset: entry.offset,
+    duration: entry.duration,
+    input: entry.input,
+    result: entry.result,
+    preview: entry.preview,
+    attempts: entry.attempts
+  }));
+
+  const errors = (log.errors || []).map((entry, index) => ({
+    key: `error-${index}`,
+    kind: entry.type ? 'action' : 'error',
+    nodeId: entry.nodeId || null,
+    index: entry.actionIndex,
+    label: entry.type ? actionLabel(entry) : 'Execution error',
+    type: entry.type,
+    status: 'errored',
+    offset: entry.offset,
+    duration: entry.duration,
+    input: entry.input,
+    error: entry.error,
+    attempts: entry.attempts
+  }));
+
+  // Untimed actions and failures share one index sequence
+  const actionSteps = [...actions, ...errors].sort(
+    (a, b) => (a.index ?? Infinity) - (b.index ?? Infinity)
+  );
+
+  return [...conditions, ...actionSteps]
+    .map((step, order) => ({ step, order }))
+    .sort((a, b) => {
+      if (a.step.offset === undefined || b.step.offset === undefined) return a.order - b.order;
+      return a.step.offset - b.step.offset || a.order - b.order;
+    })
+    .map(({ step }) => step);
+}
+
+/**
+ * Whether an execution went down an edge of its graph
+ * The edge must join two visited nodes, leave a condition on the branch it
+ * took and not leave an action that failed.
+ */
+export function isEdgeTaken(edge, log) {
+  const path = log?.path || [];
+  if (!path.includes(edge.source) || !path.includes(edge.target)) return false;
+  if ((log.errors || []).some((e) => e.nodeId === edge.source)) return false;
+
+  const condition = (log.conditionsEvaluated || []).find((c) => c.nodeId === edge.source);
+  if (condition) {
+    const handle = edge.sourceHandle || CONDITION_TRUE_HANDLE;
+    return handle === CONDITION_FALSE_HANDLE ? !condition.result : Boolean(condition.result);
+  }
+  return true;
+}
+
+/**
+ * Definition of the flow as it was when an execution ran
+ * Falls back to the library entry when the execution predates versioning or
+ * its version is no longer kept; `exact` tells which one was found.
+ *
+ * @returns {object|null} { flow, exact }
+ */
+export function getExecutedFlow(log, library = [], versions = {}) {
+  if (!log) return null;
+
+  const current = library.find((flow) => flow.id === log.flowId) || null;
+  if (log.flowVersion) {
+    if (current?.version === log.flowVersion) return { flow: current, exact: true };
+    const kept = getFlowVersion(versions, log.flowId, log.flowVersion);
+    if (kept) return { flow: kept, exact: true };
+  }
+  return current ? { flow: current, exact: false } : null;
+}
+
+export default {
+  getExecutionSteps,
+  isEdgeTaken,
+  getExecutedFlow
+};
@@ -0,0 +1,238 @@
+/**
+ * FlowBundle.js
+ * Import and export of flows as versioned JSON bundles.
+ *
+ * A bundle carries one or more flows, optionally with their bindings, and
+ * records what is needed to load it elsewhere:
+ *
+ *   {
+ *     "format": "tasklytics.flow-bundle",
+ *     "schemaVersion": 3,
+ *     "exportedAt": "2025-01-01T12:00:00.000Z",
+ *     "requiredActions": ["run_command", "show_notification"],
+ *     "flows": [ { id, name, nodes, edges, ... } ],
+ *     "bindings": { "<targetKey>": [ { id, flowId, eventType } ] }
+ *   }
+ *
+ * Bundles are migrated to the current schema on import like saved data
+ * (see FlowStorage.js). Flows whose id already exists in the library are
+ * resolved per flow: keep the existing one, replace it, or import under a
+ * new id.
+ */
+
+import { FLOW_SCHEMA_VERSION, migrateFlowData } from './FlowStorage';
+import { getAction } from './ActionRegistry';
+
+export const BUNDLE_FORMAT = 'tasklytics.flow-bundle';
+
+export const CONFLICT_RESOLUTIONS = [
+  { value: 'keep', label: 'Keep existing' },
+  { value: 'replace', label: 'Replace' },
+  { value: 'rename', label: 'Import as copy' }
+];
+
+/**
+ * Action types used by a list of flows, from their graphs and legacy
+ * action lists
+ *
+ * @returns {string[]} Sorted action type ids
+ */
+export function getRequiredActionTypes(flows = []) {
+  const types = new Set();
+  flows.forEach((flow) => {
+    (flow.nodes || []).forEach((node) => {
+      if (node.type === 'action' && node.data?.actionType) types.add(node.data.actionType);
+    });
+    (flow.actions || []).forEach((action) => {
+      if (action?.type) types.add(action.type);
+    });
+  });
+  return [...types].sort();
+}
+
+/**
+ * Build a bundle from flows and, optionally, their bindings
+ * Only bindings that point at one of the bundled flows are included.
+ *
+ * @param {Array} flows - Flows to export
+ * @param {object} [bindings] - Binding map to export alongside
+ * @returns {object} Bundle
+ */
+export function createFlowBundle(flows, bindings = {}) {
+  const flowIds = new Set(flows.map((flow) => flow.id));
+  const bundledBindings = {};
+
+  Object.entries(bindings).forEach(([targetKey, list]) => {
+    const kept = (list || []).filter((binding) => flowIds.has(binding.flowId));
+    if (kept.length > 0) bundledBindings[targetKey] = kept;
+  });
+
+  return JSON.parse(JSON.stringify({
+    format: BUNDLE_FORMAT,
+    schemaVersion: FLOW_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    requiredActions: getRequiredActionTypes(flows),
+    flows,
+    bindings: bundledBindings
+  }));
+}
+
+/**
+ * Read a bundle from JSON text (or an already parsed object) and bring it
+ * up to the current schema
+ *
+ * @returns {object} { schemaVersion, exportedAt, requiredActions, flows, bindings }
+ * @throws When the input is not a readable bundle
+ */
+export function parseFlowBundle(input) {
+  let raw = input;
+  if (typeof input === 'string') {
+    try {
+      raw = JSON.parse(input);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+  }
+
+  if (!raw || typeof raw !== 'object' || raw.format !== BUNDLE_FORMAT) {
+    throw new Error('The file is not a flow bundle');
+  }
+  if (!Array.isArray(raw.flows)) {
+    throw new Error('The bundle has no flows list');
+  }
+  raw.flows.forEach((flow, index) => {
+    if (!flow || typeof flow.id !== 'string' || !flow.id) {
+      throw new Error(`Flow ${index + 1} in the bundle has no id`);
+    }
+  });
+
+  const { schemaVersion, flows, bindings } = migrateFlowData(raw);
+  return {
+    schemaVersion,
+    exportedAt: raw.exportedAt || null,
+    requiredActions: Array.isArray(raw.requiredActions)
+      ? raw.requiredActions
+      : getRequiredActionTypes(flows),
+    flows,
+    bindings
+  };
+}
+
+/**
+ * Compare a bundle with the library it is about to be imported into
+ *
+ * @returns {object} { conflicts: [{ id, name, existingName }], missingActions }
+ */
+export function analyzeFlowBundle(bundle, library = []) {
+  const existingById = new Map(library.map((flow) => [flow.id, flow]));
+
+  const conflicts = bundle.flows
+    .filter((flow) => existingById.has(flow.id))
+    .map((flow) => ({
+      id: flow.id,
+      name: flow.name || flow.id,
+      existingName: existingById.get(flow.id).name || flow.id
+    }));
+
+  const missingActions = bundle.requiredActions.filter((type) => !getAction(type));
+
+  return { conflicts, missingActions };
+}
+
+/**
+ * Pick an id not used in the library or the bundle
+ */
+function uniqueFlowId(id, takenIds) {
+  let candidate = `${id}-copy`;
+  let n = 2;
+  while (takenIds.has(candidate)) {
+    candidate = `${id}-copy-${n}`;
+    n++;
+  }
+  takenIds.add(candidate);
+  return candidate;
+}
+
+/**
+ * Merge a bundle into a library and binding map
+ *
+ * Conflicting flows are resolved with resolutions[flowId] ('keep',
+ * 'replace' or 'rename', default 'rename'). Bindings of kept flows are
+ * dropped, bindings of renamed flows follow the new id, and a binding is
+ * skipped when its target already binds the same flow to the same event.
+ * Imported bindings follow the latest version.
+ *
+ * @param {object} bundle - Parsed bundle (see parseFlowBundle)
+ * @param {object} current - { flows, bindings } to merge into
+ * @param {object} [resolutions] - Conflict resolution by flow id
+ * @returns {object} { flows, bindings, summary: { added, replaced, renamed, kept, bindings } }
+ */
+export function applyFlowBundle(bundle, current, resolutions = {}) {
+  const flows = [...(current.flows || [])];
+  const bindings = { ...(current.bindings || {}) };
+  const takenIds = new Set([...flows, ...bundle.flows].map((flow) => flow.id));
+  const idMap = new Map();
+  const summary = { added: 0, replaced: 0, renamed: [], kept: 0, bindings: 0 };
+
+  bundle.flows.forEach((flow) => {
+    const existingIndex = flows.findIndex((f) => f.id === flow.id);
+
+    if (existingIndex === -1) {
+      flows.push(flow);
+      idMap.set(flow.id, flow.id);
+      summary.added++;
+      return;
+    }
+
+    const resolution = resolutions[flow.id] || 'rename';
+    if (resolution === 'keep') {
+      summary.kept++;
+    } else if (resolution === 'replace') {
+      flows[existingIndex] = flow;
+      idMap.set(flow.id, flow.id);
+      summary.replaced++;
+    } else {
+      const id = uniqueFlowId(flow.id, takenIds);
+      flows.push({ ...flow, id, name: `${flow.name || flow.id} (imported)` });
+      idMap.set(flow.id, id);
+      summary.renamed.push({ from: flow.id, to: id });
+    }
+  });
+
+  Object.entries(bundle.bindings || {}).forEach(([targetKey, list]) => {
+    const targetBindings = bindings[targetKey] ? [...bindings[targetKey]] : [];
+
+    (list || []).forEach((binding) => {
+      const flowId = idMap.get(binding.flowId);
+      if (!flowId) return;
+
+      const duplicate = targetBindings.some(
+        (b) => b.flowId === flowId && (b.eventType || null) === (binding.eventType || null)
+      );
+      if (duplicate) return;
+
+      // Versions pinned in the source workspace do not exist here
+      const { flowVersion: _pinned, ...rest } = binding;
+      targetBindings.push({
+        ...rest,
+        id: `binding-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+        flowId
+      });
+      summary.bindings++;
+    });
+
+    if (targetBindings.length > 0) bindings[targetKey] = targetBindings;
+  });
+
+  return { flows, bindings, summary };
+}
+
+export default {
+  BUNDLE_FORMAT,
+  CONFLICT_RESOLUTIONS,
+  getRequiredActionTypes,
+  createFlowBundle,
+  parseFlowBundle,
+  analyzeFlowBundle,
+  applyFlowBundle
+};
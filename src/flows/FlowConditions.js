@@ -0,0 +1,333 @@
+/**
+ * FlowConditions.js
+ * Condition language evaluated by FlowEngine.
+ *
+ * A condition is either a rule
+ *   { field, operator, value, valueType? }
+ * or a group of rules and groups
+ *   { combinator: 'and' | 'or', conditions: [...] }
+ *
+ * Fields are paths into the event payload, falling back to the workspace
+ * snapshot only when the payload does not have the field (so 0, false and ''
+ * in the payload are used as-is).
+ *
+ * valueType ('auto' by default) says how the expected value is read:
+ * 'string', 'number', 'boolean' or 'date'. 'auto' converts the (usually
+ * text) value to the type of the actual value, so "0" equals 0 and "false"
+ * equals false.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Operators, in the order FlowEditor lists them
+ * input: what the value field holds ('none', 'value', 'list', 'regex',
+ * 'date' or 'days')
+ */
+export const CONDITION_OPERATORS = [
+  { value: 'equals', label: 'Equals', input: 'value' },
+  { value: 'not_equals', label: 'Not Equals', input: 'value' },
+  { value: 'contains', label: 'Contains', input: 'value' },
+  { value: 'matches', label: 'Matches (regex)', input: 'regex' },
+  { value: 'in', label: 'Is One Of', input: 'list' },
+  { value: 'not_in', label: 'Is Not One Of', input: 'list' },
+  { value: 'greater_than', label: 'Greater Than', input: 'value' },
+  { value: 'less_than', label: 'Less Than', input: 'value' },
+  { value: 'changed_from', label: 'Changed From', input: 'value' },
+  { value: 'changed_to', label: 'Changed To', input: 'value' },
+  { value: 'before', label: 'Date Before', input: 'date' },
+  { value: 'after', label: 'Date After', input: 'date' },
+  { value: 'within_days', label: 'Date Within N Days', input: 'days' },
+  { value: 'exists', label: 'Exists', input: 'none' },
+  { value: 'not_exists', label: 'Not Exists', input: 'none' }
+];
+
+export const VALUE_TYPES = ['auto', 'string', 'number', 'boolean', 'date'];
+
+/**
+ * Get value from nested object path
+ * Only own properties are read, so paths like `constructor` or `__proto__`
+ * resolve to undefined instead of reaching the prototype chain.
+ */
+export function getValueFromPath(obj, path) {
+  if (!obj || !path) return undefined;
+  const parts = String(path).split('.');
+  let current = obj;
+  for (const part of parts) {
+    if (current === undefined || current === null) return undefined;
+    if (!Object.prototype.hasOwnProperty.call(current, part)) return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+/**
+ * Resolve a field against the payload, then the snapshot
+ */
+export function resolveFieldValue(field, eventPayload, snapshot) {
+  const fromPayload = getValueFromPath(eventPayload, field);
+  return fromPayload !== undefined ? fromPayload : getValueFromPath(snapshot, field);
+}
+
+/**
+ * Whether a condition is a group
+ */
+export function isConditionGroup(condition) {
+  return Boolean(condition && Array.isArray(condition.conditions));
+}
+
+/**
+ * Parse a date value; "now" and "today" are relative to the current time
+ */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (value === 'now') return new Date();
+  if (value === 'today') {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+  }
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read an expected value as the given type
+ * With 'auto', text is converted to the type of the actual value.
+ */
+function coerceValue(value, valueType, actualValue) {
+  const type = valueType && valueType !== 'auto' ? valueType : typeof actualValue;
+
+  if (typeof value !== 'string') return value;
+
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      return value.trim() === '' || Number.isNaN(number) ? value : number;
+    }
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return value;
+    case 'date':
+      return toDate(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Compare two values for equality, dates by time
+ */
+function valuesEqual(actual, expected) {
+  if (expected instanceof Date) {
+    const date = toDate(actual);
+    return Boolean(date) && date.getTime() === expected.getTime();
+  }
+  return actual === expected;
+}
+
+/**
+ * Read a list value: an array or comma-separated text
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(',').map((item) => item.trim());
+}
+
+/**
+ * Build a RegExp from "pattern" or "/pattern/flags"; null when invalid
+ */
+function toRegExp(value) {
+  const text = String(value ?? '');
+  const literal = text.match(/^\/(.*)\/([a-z]*)$/s);
+  try {
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the previous and new value of a field for change operators
+ * Looks at, in order: payload.changes[field], payload.before/after,
+ * fromStatus/toStatus for status, and field/oldValue/newValue.
+ *
+ * @returns {{ from: *, to: * } | null}
+ */
+export function resolveChange(field, eventPayload = {}) {
+  if (eventPayload.changes && field in eventPayload.changes) {
+    return eventPayload.changes[field];
+  }
+  if (eventPayload.before || eventPayload.after) {
+    const from = getValueFromPath(eventPayload.before, field);
+    const to = getValueFromPath(eventPayload.after, field);
+    if (from !== undefined || to !== undefined) return { from, to };
+  }
+  if (field === 'status' && ('fromStatus' in eventPayload || 'toStatus' in eventPayload)) {
+    return { from: eventPayload.fromStatus, to: eventPayload.toStatus };
+  }
+  if (eventPayload.field === field && ('oldValue' in eventPayload || 'newValue' in eventPayload)) {
+    return { from: eventPayload.oldValue, to: eventPayload.newValue };
+  }
+  return null;
+}
+
+/**
+ * Evaluate a single rule
+ */
+function evaluateRule(rule, eventPayload, snapshot) {
+  const { field, operator, value, valueType } = rule;
+  const actualValue = resolveFieldValue(field, eventPayload, snapshot);
+
+  switch (operator) {
+    case 'equals':
+      return valuesEqual(actualValue, coerceValue(value, valueType, actualValue));
+    case 'not_equals':
+      return !valuesEqual(actualValue, coerceValue(value, valueType, actualValue));
+    case 'contains':
+      if (Array.isArray(actualValue)) {
+        return actualValue.some((item) => valuesEqual(item, coerceValue(value, valueType, item)));
+      }
+      return actualValue !== undefined && actualValue !== null &&
+        String(actualValue).includes(String(value));
+    case 'matches': {
+      const regex = toRegExp(value);
+      return Boolean(regex) && actualValue !== undefined && actualValue !== null &&
+        regex.test(String(actualValue));
+    }
+    case 'in':
+    case 'not_in': {
+      const list = toList(value);
+      const actualItems = Array.isArray(actualValue) ? actualValue : [actualValue];
+      const found = actualItems.some((item) =>
+        list.some((entry) => valuesEqual(item, coerceValue(entry, valueType, item)))
+      );
+      return operator === 'in' ? found : !found;
+    }
+    case 'greater_than':
+      return Number(actualValue) > Number(value);
+    case 'less_than':
+      return Number(actualValue) < Number(value);
+    case 'changed_from':
+    case 'changed_to': {
+      const change = resolveChange(field, eventPayload);
+      if (!change || valuesEqual(change.from, change.to)) return false;
+      const side = operator === 'changed_from' ? change.from : change.to;
+      return valuesEqual(side, coerceValue(value, valueType, side));
+    }
+    case 'before':
+    case 'after': {
+      const actualDate = toDate(actualValue);
+      const expectedDate = toDate(value);
+      if (!actualDate || !expectedDate) return false;
+      return operator === 'before'
+        ? actualDate.getTime() < expectedDate.getTime()
+        : actualDate.getTime() > expectedDate.getTime();
+    }
+    case 'within_days': {
+      const actualDate = toDate(actualValue);
+      const days = Number(value);
+      if (!actualDate || !Number.isFinite(days)) return false;
+      return Math.abs(actualDate.getTime() - Date.now()) <= days * DAY_MS;
+    }
+    case 'exists':
+      return actualValue !== undefined && actualValue !== null;
+    case 'not_exists':
+      return actualValue === undefined || actualValue === null;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a rule or group
+ * An empty group passes.
+ *
+ * @param {object} condition - Rule or group
+ * @param {object} eventPayload - Event payload
+ * @param {object} snapshot - Current workspace snapshot
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, eventPayload, snapshot) {
+  if (!condition) return true;
+
+  if (isConditionGroup(condition)) {
+    const { combinator = 'and', conditions } = condition;
+    if (conditions.length === 0) return true;
+    const check = (c) => evaluateCondition(c, eventPayload, snapshot);
+    return combinator === 'or' ? conditions.some(check) : conditions.every(check);
+  }
+
+  return evaluateRule(condition, eventPayload, snapshot);
+}
+
+/**
+ * Evaluate a rule or group and report how it was decided
+ * Unlike evaluateCondition, every rule of a group is evaluated, so the
+ * report shows the actual value each rule saw. Change operators report the
+ * { from, to } change.
+ *
+ * @returns {object} Rules: { field, operator, value, actual, result };
+ *   groups: { combinator, conditions: [...], result }
+ */
+export function explainCondition(condition, eventPayload, snapshot) {
+  if (!condition) return { result: true };
+
+  if (isConditionGroup(condition)) {
+    const { combinator = 'and' } = condition;
+    const conditions = condition.conditions.map((c) => explainCondition(c, eventPayload, snapshot));
+    const results = conditions.map((c) => c.result);
+    return {
+      combinator,
+      conditions,
+      result: results.length === 0 || (combinator === 'or' ? results.some(Boolean) : results.every(Boolean))
+    };
+  }
+
+  const { field, operator, value } = condition;
+  const actual = operator === 'changed_from' || operator === 'changed_to'
+    ? resolveChange(field, eventPayload)
+    : resolveFieldValue(field, eventPayload, snapshot);
+  return { field, operator, value, actual, result: evaluateRule(condition, eventPayload, snapshot) };
+}
+
+/**
+ * Evaluate a list of conditions joined by AND
+ */
+export function evaluateConditions(conditions, eventPayload, snapshot) {
+  if (!conditions || conditions.length === 0) return true;
+  return evaluateCondition({ combinator: 'and', conditions }, eventPayload, snapshot);
+}
+
+/**
+ * Short text form of a condition, e.g. "(status equals Done or points greater_than 3)"
+ */
+export function describeCondition(condition) {
+  if (!condition) return '';
+  if (isConditionGroup(condition)) {
+    const parts = condition.conditions.map(describeCondition).filter(Boolean);
+    if (parts.length === 0) return 'always';
+    const text = parts.join(` ${condition.combinator || 'and'} `);
+    return parts.length > 1 ? `(${text})` : text;
+  }
+  const { field, operator, value } = condition;
+  const operatorInfo = CONDITION_OPERATORS.find((o) => o.value === operator);
+  if (operatorInfo?.input === 'none') return `${field} ${operator}`;
+  return `${field} ${operator} ${Array.isArray(value) ? value.join(', ') : value ?? ''}`.trim();
+}
+
+export default {
+  CONDITION_OPERATORS,
+  VALUE_TYPES,
+  getValueFromPath,
+  resolveFieldValue,
+  resolveChange,
+  isConditionGroup,
+  evaluateCondition,
+  explainCondition,
+  evaluateConditions,
+  describeCondition
+};
@@ -3,176 +3,535 @@
  * Modern ES6 Flow execution engine for Tasklytics automation system.
  */
 
+import {
+  hasExecutableGraph,
+  findTriggerNode,
+  normalizeEdges,
+  getOutgoingEdges,
+  conditionFromNode,
+  actionFromNode
+} from './FlowGraph';
+import { scheduleTimer, delayToMs } from './FlowScheduler';
+import { getAction } from './ActionRegistry';
+import { explainCondition } from './FlowConditions';
+import { renderTemplate } from './FlowTemplates';
+import { enqueueFlowEvent } from './FlowTransport';
+import { validateFlow } from './FlowValidator';
+import { checkCommand, resolveRunAs } from './FlowPermissions';
+import { EXECUTION_HISTORY_LIMIT } from './FlowStorage';
+
 let flowExecutionHistory = [];
 
 /**
- * Get value from nested object path
+ * Limits on flows triggering flows
+ * An action that runs a command can emit events that trigger more flows.
+ * Every execution records its causation: the cascade it belongs to (all
+ * executions descending from one outside event), its depth in it and the
+ * chain of flows that led to it. Executions past these limits, or whose flow
+ * already appears in its chain, are suppressed.
  */
-function getValueFromPath(obj, path) {
-  if (!obj || !path) return undefined;
-  const parts = path.split('.');
-  let current = obj;
-  for (const part of parts) {
-    if (current === undefined || current === null) return undefined;
-    current = current[part];
+export const CASCADE_LIMITS = {
+  maxDepth: 5,
+  maxExecutionsPerEvent: 25
+};
+
+// Cascades whose execution counts are kept
+const CASCADE_TRACKING_LIMIT = 100;
+
+// Executions started per cascade id, oldest cascade first
+const cascadeCounts = new Map();
+
+// Validation issues by flow definition object, computed when a definition
+// is first loaded or run
+const flowIssuesCache = new WeakMap();
+
+/**
+ * Validate a flow definition once and remember the result
+ * Problems are logged the first time a definition is seen.
+ *
+ * @returns {Array} Issues (see FlowValidator)
+ */
+export function loadFlow(flow) {
+  if (!flow || typeof flow !== 'object') return [];
+
+  let issues = flowIssuesCache.get(flow);
+  if (!issues) {
+    issues = validateFlow(flow);
+    flowIssuesCache.set(flow, issues);
+    if (issues.length > 0) {
+      console.warn(
+        `[FlowEngine] Flow "${flow.name || flow.id}" has problems:`,
+        issues.map((issue) => `${issue.severity}: ${issue.message}`)
+      );
+    }
   }
-  return current;
+  return issues;
+}
+
+/**
+ * Validate a library of flows
+ *
+ * @returns {object} Issues by flow id, for flows that have any
+ */
+export function loadFlows(flows = []) {
+  const result = {};
+  flows.forEach((flow) => {
+    const issues = loadFlow(flow);
+    if (issues.length > 0) result[flow.id] = issues;
+  });
+  return result;
 }
 
 /**
  * Interpolate variables in strings
- * Supports {{variable.path}} syntax
+ * Supports {{expression}} templates (see FlowTemplates)
  */
 function interpolateVariables(str, eventPayload, context) {
-  if (typeof str !== 'string') return str;
+  return renderTemplate(str, eventPayload, context.currentSnapshot);
+}
+
+/**
+ * Execute a single action through the action registry
+ * May return the result directly or a promise of it.
+ */
+function executeAction(action, eventPayload, context) {
+  const { type, config = {} } = action;
+  const definition = getAction(type);
 
-  return str.replace(/\{\{([^}]+)\}\}/g, (match, path) => {
-    const value = getValueFromPath(eventPayload, path) ||
-                  getValueFromPath(context.currentSnapshot, path);
-    return value !== undefined ? String(value) : match;
+  if (!definition || typeof definition.execute !== 'function') {
+    console.warn('[FlowEngine] Unknown action type:', type);
+    return { success: false, reason: 'Unknown action type: ' + type };
+  }
+
+  return definition.execute(config, eventPayload, context, {
+    interpolate: (value) => interpolateVariables(value, eventPayload, context)
   });
 }
 
 /**
- * Evaluate flow conditions
- */
-function evaluateConditions(conditions, eventPayload, context) {
-  if (!conditions || conditions.length === 0) return true;
-
-  return conditions.every((condition) => {
-    const { field, operator, value: expectedValue } = condition;
-    const actualValue = getValueFromPath(eventPayload, field) ||
-                       getValueFromPath(context.currentSnapshot, field);
-
-    switch (operator) {
-      case 'equals':
-        return actualValue === expectedValue;
-      case 'not_equals':
-        return actualValue !== expectedValue;
-      case 'contains':
-        return String(actualValue).includes(expectedValue);
-      case 'greater_than':
-        return Number(actualValue) > Number(expectedValue);
-      case 'less_than':
-        return Number(actualValue) < Number(expectedValue);
-      case 'exists':
-        return actualValue !== undefined && actualValue !== null;
-      case 'not_exists':
-        return actualValue === undefined || actualValue === null;
-      default:
-        return false;
+ * Context whose runCommand checks each command against the execution's
+ * run-as role (see FlowPermissions). A denied command is not run; it throws
+ * an error marked `denied`, which fails the action without retries.
+ * Allowed commands are passed `{ cause }`, the running execution and its
+ * causation, for the host to put on the events the command emits (see
+ * resolveCausation).
+ */
+function withRunAs(context, executionLog) {
+  if (typeof context.runCommand !== 'function') return context;
+
+  const cause = executionLog.causation
+    ? { executionId: executionLog.id, flowId: executionLog.flowId, ...executionLog.causation }
+    : null;
+
+  return {
+    ...context,
+    runCommand: (command) => {
+      const denied = checkCommand(command, executionLog.runAs.role);
+      if (denied) {
+        console.warn(`[FlowEngine] ${executionLog.flowName || executionLog.flowId}: ${denied}`);
+        const error = new Error(denied);
+        error.denied = true;
+        throw error;
+      }
+      return context.runCommand(command, { cause });
     }
-  });
+  };
 }
 
 /**
- * Action: Show notification
+ * Interpolate every string in an action config
  */
-function showNotification(config, eventPayload, context) {
-  const message = interpolateVariables(config.message, eventPayload, context);
-  const title = config.title
-    ? interpolateVariables(config.title, eventPayload, context)
-    : 'Flow Notification';
-
-  if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
-    new Notification(title, { body: message });
-  } else {
-    console.log('[Flow Notification]', title, '-', message);
+function interpolateConfig(value, eventPayload, context) {
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolateConfig(item, eventPayload, context));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, interpolateConfig(item, eventPayload, context)])
+    );
   }
+  return interpolateVariables(value, eventPayload, context);
+}
+
+/**
+ * Describe what an action would do, without side effects (test runs)
+ * Uses the action type's preview() when it has one, otherwise the
+ * interpolated config.
+ */
+function previewAction(action, eventPayload, context) {
+  const { type, config = {} } = action;
+  const definition = getAction(type);
 
-  if (context.addAiSystemMessage) {
-    context.addAiSystemMessage('🔔 ' + message);
+  if (!definition) {
+    throw new Error('Unknown action type: ' + type);
+  }
+  if (typeof definition.preview === 'function') {
+    return definition.preview(config, eventPayload, context, {
+      interpolate: (value) => interpolateVariables(value, eventPayload, context)
+    });
   }
+  return { config: interpolateConfig(config, eventPayload, context) };
+}
+
+/**
+ * Timing of a step: when it started, in ms since the execution started, and
+ * how long it took
+ */
+function stepTiming(executionLog, startedAt) {
+  return {
+    offset: startedAt - Date.parse(executionLog.startTime),
+    duration: Date.now() - startedAt
+  };
+}
+
+/**
+ * Evaluate a condition and record it, with the actual values it saw, in the
+ * execution log
+ *
+ * @returns {boolean} Outcome
+ */
+function recordCondition(condition, eventPayload, context, executionLog, meta = {}) {
+  const startedAt = Date.now();
+  const trace = explainCondition(condition, eventPayload, context.currentSnapshot);
+  executionLog.conditionsEvaluated.push({
+    ...meta,
+    ...condition,
+    result: trace.result,
+    trace,
+    ...stepTiming(executionLog, startedAt)
+  });
+  return trace.result;
+}
 
-  return { success: true, message };
+/**
+ * Whether an action pauses the flow (e.g. delay) rather than executing
+ */
+function pausesFlow(action) {
+  return Boolean(getAction(action.type)?.pausesFlow);
+}
+
+/**
+ * Default error handling for actions
+ * Overridden per flow by flow.errorPolicy and per action by action.policy.
+ */
+export const DEFAULT_ACTION_POLICY = {
+  timeoutMs: 10000,
+  retries: 0,
+  backoffMs: 500,
+  backoffFactor: 2,
+  onError: 'continue' // 'continue' | 'abort'
+};
+
+/**
+ * Resolve the effective error policy for an action
+ */
+function resolveActionPolicy(action, flow) {
+  return {
+    ...DEFAULT_ACTION_POLICY,
+    ...(flow.errorPolicy || {}),
+    ...(action.policy || {})
+  };
+}
+
+/**
+ * Wait for a number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 /**
- * Action: Run command
+ * Reject if a promise does not settle within timeoutMs
  */
-function runCommand(config, eventPayload, context) {
-  if (!context.runCommand) {
-    return { success: false, reason: 'No runCommand function available' };
+function withTimeout(promise, timeoutMs) {
+  if (!timeoutMs || timeoutMs <= 0) return promise;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs}ms`);
+      error.timedOut = true;
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run an action with its timeout and retry policy, and record the outcome
+ * in the execution log. Actions may return a value or a promise; a thrown
+ * error, a rejection, a timeout or a { success: false } result counts as a
+ * failed attempt. In a test run the action is previewed instead.
+ *
+ * @returns {Promise<boolean>} Whether the action eventually succeeded
+ */
+async function performAction(action, flow, eventPayload, context, executionLog, meta) {
+  const startedAt = Date.now();
+  const input = interpolateConfig(action.config || {}, eventPayload, context);
+
+  if (executionLog.dryRun) {
+    try {
+      const preview = previewAction(action, eventPayload, context);
+      const denied = preview?.command && checkCommand(preview.command, executionLog.runAs.role);
+      if (denied) {
+        executionLog.errors.push({
+          actionIndex: meta.index,
+          nodeId: meta.nodeId,
+          type: action.type,
+          input,
+          error: denied,
+          denied: true,
+          ...stepTiming(executionLog, startedAt)
+        });
+        return false;
+      }
+      executionLog.actionsPerformed.push({
+        ...meta,
+        type: action.type,
+        input,
+        preview,
+        ...stepTiming(executionLog, startedAt)
+      });
+      return true;
+    } catch (previewError) {
+      executionLog.errors.push({
+        actionIndex: meta.index,
+        nodeId: meta.nodeId,
+        type: action.type,
+        input,
+        error: previewError.message || String(previewError),
+        ...stepTiming(executionLog, startedAt)
+      });
+      return false;
+    }
   }
 
-  const { commandType, params = {} } = config;
+  const policy = resolveActionPolicy(action, flow);
+  const maxAttempts = Math.max(1, (Number(policy.retries) || 0) + 1);
+  const attempts = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const attemptStart = Date.now();
+    try {
+      const result = await withTimeout(
+        Promise.resolve().then(() => executeAction(action, eventPayload, context)),
+        policy.timeoutMs
+      );
+
+      if (result && result.success === false) {
+        throw new Error(result.reason || 'Action reported failure');
+      }
+
+      attempts.push({ attempt, status: 'success', duration: Date.now() - attemptStart });
+      executionLog.actionsPerformed.push({
+        ...meta,
+        type: action.type,
+        input,
+        result,
+        attempts,
+        ...stepTiming(executionLog, startedAt)
+      });
+      return true;
+    } catch (actionError) {
+      attempts.push({
+        attempt,
+        status: actionError.timedOut ? 'timeout' : 'error',
+        error: actionError.message || String(actionError),
+        ...(actionError.denied ? { denied: true } : {}),
+        duration: Date.now() - attemptStart
+      });
 
-  const interpolatedParams = {};
-  for (const key in params) {
-    if (Object.prototype.hasOwnProperty.call(params, key)) {
-      interpolatedParams[key] = interpolateVariables(params[key], eventPayload, context);
+      // Retrying cannot grant the permission
+      if (actionError.denied) break;
+
+      if (attempt < maxAttempts) {
+        const delay = policy.backoffMs * Math.pow(policy.backoffFactor, attempt - 1);
+        await sleep(delay);
+      }
     }
   }
 
-  const command = { type: commandType, ...interpolatedParams };
-  context.runCommand(command);
+  const last = attempts[attempts.length - 1];
+  executionLog.errors.push({
+    actionIndex: meta.index,
+    nodeId: meta.nodeId,
+    type: action.type,
+    input,
+    error: last.error,
+    timedOut: last.status === 'timeout',
+    ...(last.denied ? { denied: true } : {}),
+    attempts,
+    onError: policy.onError,
+    ...stepTiming(executionLog, startedAt)
+  });
+  return false;
+}
 
-  return { success: true, command };
+/**
+ * Abort the execution after a failed action whose policy says so
+ */
+function abortExecution(executionLog, action, index) {
+  executionLog.aborted = true;
+  executionLog.reason = `Aborted: action #${index} (${action.type}) failed`;
 }
 
 /**
- * Action: Update field
+ * Pause the flow at a delay action
+ * Persists a timer that resumes the flow after the delay (see resumeFlow)
+ * and records the delay as performed. A test run only records the wait.
+ *
+ * @param {object} resumeAt - Where to resume: { resumeNodeId } or { resumeIndex }
  */
-function updateField(config, eventPayload, context) {
-  const { targetType, field } = config;
-  const targetId = interpolateVariables(config.targetId, eventPayload, context);
-  const value = interpolateVariables(config.value, eventPayload, context);
+function scheduleDelay(action, flow, eventPayload, executionLog, meta, resumeAt) {
+  const startedAt = Date.now();
+  const input = action.config || {};
+  const delayMs = delayToMs(action.config);
+  if (delayMs === null) {
+    executionLog.errors.push({
+      actionIndex: meta.index,
+      nodeId: meta.nodeId,
+      type: action.type,
+      input,
+      error: 'Invalid delay: ' + JSON.stringify(input),
+      ...stepTiming(executionLog, startedAt)
+    });
+    return false;
+  }
 
-  if (targetType === 'task' && context.runCommand) {
-    context.runCommand({
-      type: 'UpdateTaskField',
-      taskId: targetId,
-      field,
-      value
+  if (executionLog.dryRun) {
+    executionLog.actionsPerformed.push({
+      ...meta,
+      type: action.type,
+      input,
+      preview: { waitMs: delayMs, resumeAt: new Date(Date.now() + delayMs).toISOString() },
+      ...stepTiming(executionLog, startedAt)
     });
-    return { success: true, updated: { targetId, field, value } };
+    return true;
   }
 
-  return { success: false, reason: 'Unsupported target type: ' + targetType };
+  const timer = scheduleTimer({
+    kind: 'delay',
+    flowId: flow.id,
+    flowVersion: flow.version,
+    executionId: executionLog.id,
+    causation: executionLog.causation,
+    runAs: executionLog.runAs,
+    payload: eventPayload,
+    dueAt: new Date(Date.now() + delayMs),
+    ...resumeAt
+  });
+
+  executionLog.actionsPerformed.push({
+    ...meta,
+    type: action.type,
+    input,
+    result: { success: true, timerId: timer.id, resumeAt: timer.dueAt },
+    ...stepTiming(executionLog, startedAt)
+  });
+  executionLog.resumesAt = executionLog.resumesAt || timer.dueAt;
+  return true;
 }
 
 /**
- * Action: Log message
+ * Walk a flow's node graph from its trigger node
+ * Conditions route down their true/false outputs, every edge leaving a
+ * trigger or action is followed (parallel branches), and each node runs at
+ * most once per execution. Visited node ids are recorded in executionLog.path.
+ * A delay action pauses its branch; the branch resumes from the delay node
+ * when its timer fires.
  */
-function logMessage(config, eventPayload, context) {
-  const message = interpolateVariables(config.message, eventPayload, context);
-  const level = config.level || 'info';
+async function runGraph(flow, eventPayload, context, executionLog, startNodeId) {
+  const nodesById = new Map(flow.nodes.map((n) => [n.id, n]));
+  const edges = normalizeEdges(flow.edges);
+  const startId = startNodeId || findTriggerNode(flow.nodes).id;
+
+  const visited = new Set([startId]);
+  const queue = getOutgoingEdges(edges, startId).map((e) => e.target);
+  executionLog.path.push(startId);
+
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    const node = nodesById.get(nodeId);
+    if (!node || visited.has(nodeId)) continue;
+
+    visited.add(nodeId);
+    executionLog.path.push(nodeId);
+
+    if (node.type === 'condition') {
+      const outcome = recordCondition(conditionFromNode(node), eventPayload, context, executionLog, {
+        nodeId
+      });
+      getOutgoingEdges(edges, nodeId, outcome).forEach((e) => queue.push(e.target));
+      continue;
+    }
 
-  if (console && console[level]) {
-    console[level]('[Flow]', message);
-  }
+    if (node.type === 'action' && pausesFlow(actionFromNode(node))) {
+      const index = executionLog.actionsPerformed.length + executionLog.errors.length;
+      scheduleDelay(actionFromNode(node), flow, eventPayload, executionLog, { index, nodeId }, {
+        resumeNodeId: nodeId
+      });
+      // A test run carries on past the delay to show what follows it
+      if (!executionLog.dryRun) continue;
+    } else if (node.type === 'action') {
+      const action = actionFromNode(node);
+      const index = executionLog.actionsPerformed.length + executionLog.errors.length;
+      const ok = await performAction(action, flow, eventPayload, context, executionLog, {
+        index,
+        nodeId
+      });
 
-  return { success: true, message, level };
+      if (!ok) {
+        if (resolveActionPolicy(action, flow).onError === 'abort') {
+          abortExecution(executionLog, action, index);
+          return;
+        }
+        // A failed action does not lead anywhere
+        continue;
+      }
+    }
+
+    getOutgoingEdges(edges, nodeId).forEach((e) => queue.push(e.target));
+  }
 }
 
 /**
- * Execute a single action
+ * Run a flow's legacy linear action list
+ * A delay action stops the run; the remaining actions resume when its
+ * timer fires.
  */
-function executeAction(action, eventPayload, context) {
-  const { type, config = {} } = action;
+async function runActionList(flow, eventPayload, context, executionLog, startIndex = 0) {
+  const actions = flow.actions || [];
 
-  switch (type) {
-    case 'show_notification':
-      return showNotification(config, eventPayload, context);
-    case 'run_command':
-      return runCommand(config, eventPayload, context);
-    case 'update_field':
-      return updateField(config, eventPayload, context);
-    case 'log_message':
-      return logMessage(config, eventPayload, context);
-    default:
-      console.warn('[FlowEngine] Unknown action type:', type);
-      return { success: false, reason: 'Unknown action type: ' + type };
+  for (let index = startIndex; index < actions.length; index++) {
+    const action = actions[index];
+
+    if (pausesFlow(action)) {
+      scheduleDelay(action, flow, eventPayload, executionLog, { index }, {
+        resumeIndex: index + 1
+      });
+      if (!executionLog.dryRun) return;
+      continue;
+    }
+
+    const ok = await performAction(action, flow, eventPayload, context, executionLog, { index });
+
+    if (!ok && resolveActionPolicy(action, flow).onError === 'abort') {
+      abortExecution(executionLog, action, index);
+      return;
+    }
   }
 }
 
 /**
  * Send flow event to backend
+ * Queued in the FlowTransport outbox, which handles batching and retries.
  */
 function sendToBackend(flow, eventPayload, executionLog) {
   const message = {
     flowId: flow.id,
     flowName: flow.name,
+    flowVersion: flow.version,
     eventType: eventPayload.eventType,
     targetKey: eventPayload.targetKey,
     payload: eventPayload,
@@ -181,99 +540,323 @@ function sendToBackend(flow, eventPayload, executionLog) {
   };
 
   try {
-    if (typeof window !== 'undefined' &&
-        window.TasklyticsFlowClient &&
-        typeof window.TasklyticsFlowClient.send === 'function') {
-      window.TasklyticsFlowClient.send(message);
-    } else {
-      console.log('[Flow event to backend]', message);
-    }
+    enqueueFlowEvent(message);
   } catch (e) {
     console.error('[FlowEngine] Backend send error:', e);
   }
 }
 
 /**
- * Execute a flow definition
+ * Plain-data copy of an event payload, safe to persist with the log
  */
-export function executeFlow(flow, eventPayload, context) {
-  if (!flow || !flow.enabled) {
-    return { success: false, reason: 'Flow disabled or not found' };
+function toLoggable(value) {
+  try {
+    return JSON.parse(JSON.stringify(value ?? null));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Causation of an execution that is starting
+ * Resumed executions continue the causation of the run they resume; events
+ * carrying a `cause` (emitted by a command a flow ran) extend that
+ * execution's chain; anything else starts a new cascade.
+ */
+function resolveCausation(flow, eventPayload, resume) {
+  if (resume?.causation) return resume.causation;
+
+  const cause = eventPayload.cause;
+  if (!cause?.cascadeId) {
+    return {
+      cascadeId: 'cascade-' + Date.now() + '-' + Math.random().toString(16).slice(2),
+      depth: 0,
+      chain: [flow.id]
+    };
+  }
+
+  return {
+    cascadeId: cause.cascadeId,
+    depth: cause.depth + 1,
+    chain: [...cause.chain, flow.id],
+    parentExecutionId: cause.executionId
+  };
+}
+
+/**
+ * Check an execution against the cascade limits and count it
+ * Resumed executions were counted when they started.
+ *
+ * @returns {string|null} Why the execution is suppressed, or null to run it
+ */
+function admitToCascade(flow, causation, resume) {
+  if (resume) return null;
+
+  const { cascadeId, depth, chain } = causation;
+  if (chain.slice(0, -1).includes(flow.id)) {
+    return `Suppressed: loop detected (${chain.join(' → ')})`;
+  }
+  if (depth > CASCADE_LIMITS.maxDepth) {
+    return `Suppressed: loop detected (flows triggered flows ${depth} levels deep, limit ${CASCADE_LIMITS.maxDepth})`;
+  }
+
+  const count = cascadeCounts.get(cascadeId) || 0;
+  if (count >= CASCADE_LIMITS.maxExecutionsPerEvent) {
+    return `Suppressed: loop detected (more than ${CASCADE_LIMITS.maxExecutionsPerEvent} executions for one event)`;
+  }
+
+  cascadeCounts.delete(cascadeId);
+  cascadeCounts.set(cascadeId, count + 1);
+  if (cascadeCounts.size > CASCADE_TRACKING_LIMIT) {
+    cascadeCounts.delete(cascadeCounts.keys().next().value);
+  }
+  return null;
+}
+
+/**
+ * Record an execution log at the head of the history, keeping the last
+ * EXECUTION_HISTORY_LIMIT
+ */
+function recordExecution(executionLog) {
+  flowExecutionHistory.unshift(executionLog);
+  if (flowExecutionHistory.length > EXECUTION_HISTORY_LIMIT) {
+    flowExecutionHistory = flowExecutionHistory.slice(0, EXECUTION_HISTORY_LIMIT);
   }
+}
 
+/**
+ * Run a flow and record its execution log
+ * The log is recorded with status "running" as soon as the flow starts and
+ * updated in place when it settles. A test run (dryRun) previews actions
+ * instead of executing them, is not recorded and is not sent to the backend.
+ * The log keeps the event payload, the actual values each condition saw and
+ * each action's interpolated input, with step timings (see ExecutionTrace).
+ * Executions caught in a loop of flows triggering flows are recorded as
+ * "suppressed" without running (see CASCADE_LIMITS).
+ * Every command an action runs is checked against the execution's run-as
+ * role, resolved from the flow and the binding in context.binding (see
+ * FlowPermissions); resumed executions keep the role they started with.
+ *
+ * @param {object} options.resume - Delay timer to resume from, if any
+ * @param {boolean} options.dryRun - Test run
+ * @returns {Promise<object>} Execution summary
+ */
+async function runExecution(flow, eventPayload, context, { resume = null, dryRun = false } = {}) {
   const executionId = 'exec-' + Date.now() + '-' + Math.random().toString(16).slice(2);
   const startTime = Date.now();
   const executionLog = {
     id: executionId,
     flowId: flow.id,
     flowName: flow.name,
+    flowVersion: flow.version,
     eventType: eventPayload.eventType,
-    startTime: new Date().toISOString(),
+    targetKey: eventPayload.targetKey,
+    bindingKey: eventPayload.bindingKey,
+    payload: toLoggable(eventPayload),
+    causation: dryRun ? null : resolveCausation(flow, eventPayload, resume),
+    runAs: resume?.runAs || resolveRunAs(flow, context.binding),
+    startTime: new Date(startTime).toISOString(),
     status: 'running',
+    path: [],
+    conditionsEvaluated: [],
     actionsPerformed: [],
     errors: []
   };
 
+  if (resume) {
+    executionLog.resumedFrom = resume.executionId;
+  }
+  if (dryRun) {
+    executionLog.dryRun = true;
+  } else {
+    recordExecution(executionLog);
+  }
+
+  const suppressed = dryRun ? null : admitToCascade(flow, executionLog.causation, resume);
+  if (suppressed) {
+    console.warn(`[FlowEngine] ${flow.name || flow.id}: ${suppressed}`);
+    executionLog.status = 'suppressed';
+    executionLog.reason = suppressed;
+    executionLog.duration = Date.now() - startTime;
+    return {
+      success: false,
+      executionId,
+      status: executionLog.status,
+      reason: executionLog.reason,
+      actionsPerformed: 0,
+      errors: []
+    };
+  }
+
+  // Flows that fail validation are not run (test runs still show how far
+  // they get)
+  const blocking = dryRun ? [] : loadFlow(flow).filter((issue) => issue.severity === 'error');
+  if (blocking.length > 0) {
+    executionLog.status = 'invalid';
+    executionLog.reason = 'Invalid flow: ' + blocking.map((issue) => issue.message).join('; ');
+    executionLog.duration = Date.now() - startTime;
+    return {
+      success: false,
+      executionId,
+      status: executionLog.status,
+      reason: executionLog.reason,
+      actionsPerformed: 0,
+      errors: []
+    };
+  }
+
+  const runContext = withRunAs(context, executionLog);
+
   try {
-    // Check conditions
-    if (flow.conditions && flow.conditions.length > 0) {
-      const conditionsMet = evaluateConditions(flow.conditions, eventPayload, context);
-      if (!conditionsMet) {
-        executionLog.status = 'skipped';
-        executionLog.reason = 'Conditions not met';
-        flowExecutionHistory.unshift(executionLog);
-        return { success: false, reason: 'Conditions not met', executionId };
+    let conditionsMet = true;
+
+    if (hasExecutableGraph(flow)) {
+      // Walk the graph drawn in FlowEditor
+      await runGraph(flow, eventPayload, runContext, executionLog, resume?.resumeNodeId);
+
+      const attempted = executionLog.actionsPerformed.length + executionLog.errors.length;
+      const blocked = executionLog.conditionsEvaluated.some((c) => !c.result);
+      conditionsMet = attempted > 0 || !blocked;
+    } else {
+      // Check conditions (already passed when resuming)
+      if (!resume && flow.conditions && flow.conditions.length > 0) {
+        flow.conditions.forEach((condition) => {
+          recordCondition(condition, eventPayload, runContext, executionLog);
+        });
+        conditionsMet = executionLog.conditionsEvaluated.every((c) => c.result);
       }
-    }
 
-    // Execute actions sequentially
-    if (flow.actions && flow.actions.length > 0) {
-      flow.actions.forEach((action, index) => {
-        try {
-          const result = executeAction(action, eventPayload, context);
-          executionLog.actionsPerformed.push({ index, type: action.type, result });
-        } catch (actionError) {
-          executionLog.errors.push({
-            actionIndex: index,
-            error: actionError.message || String(actionError)
-          });
-        }
-      });
+      // Execute actions sequentially
+      if (conditionsMet) {
+        await runActionList(flow, eventPayload, runContext, executionLog, resume?.resumeIndex || 0);
+      }
     }
 
-    // Send to backend if configured
-    if (flow.sendToBackend !== false) {
-      sendToBackend(flow, eventPayload, executionLog);
-    }
+    if (!conditionsMet) {
+      executionLog.status = 'skipped';
+      executionLog.reason = 'Conditions not met';
+    } else {
+      // Send to backend if configured
+      if (flow.sendToBackend !== false && !dryRun) {
+        sendToBackend(flow, eventPayload, executionLog);
+      }
 
-    executionLog.status = executionLog.errors.length > 0 ? 'completed_with_errors' : 'completed';
-    executionLog.duration = Date.now() - startTime;
+      if (executionLog.aborted) {
+        executionLog.status = 'failed';
+      } else {
+        executionLog.status = executionLog.errors.length > 0 ? 'completed_with_errors' : 'completed';
+        if (executionLog.resumesAt) {
+          executionLog.reason = `Waiting on delay until ${executionLog.resumesAt}`;
+        }
+      }
+      const denial = executionLog.errors.find((e) => e.denied);
+      if (denial && !executionLog.reason) {
+        executionLog.reason = denial.error;
+      }
+    }
   } catch (error) {
     executionLog.status = 'failed';
     executionLog.errors.push({ error: error.message || String(error) });
   }
 
-  // Keep last 100 executions
-  flowExecutionHistory.unshift(executionLog);
-  if (flowExecutionHistory.length > 100) {
-    flowExecutionHistory = flowExecutionHistory.slice(0, 100);
-  }
+  executionLog.duration = Date.now() - startTime;
 
   return {
     success: executionLog.status === 'completed',
     executionId,
+    status: executionLog.status,
+    reason: executionLog.reason,
     actionsPerformed: executionLog.actionsPerformed.length,
-    errors: executionLog.errors
+    errors: executionLog.errors,
+    ...(dryRun ? { log: executionLog } : {})
   };
 }
 
+/**
+ * Execute a flow definition
+ * An event emitted by a command another flow ran carries that execution as
+ * `eventPayload.cause`, which places this execution in its cascade.
+ *
+ * @returns {Promise<object>} Execution summary
+ */
+export async function executeFlow(flow, eventPayload, context) {
+  if (!flow || !flow.enabled) {
+    return { success: false, reason: 'Flow disabled or not found' };
+  }
+
+  return runExecution(flow, eventPayload, context);
+}
+
+/**
+ * Resume a flow paused by a delay action
+ * Continues after the delay node (graph flows) or the delay action (action
+ * lists) with the payload of the original event.
+ *
+ * @param {object} flow - Flow definition
+ * @param {object} timer - Delay timer from FlowScheduler
+ * @param {object} context - Execution context
+ * @returns {Promise<object>} Execution summary
+ */
+export async function resumeFlow(flow, timer, context) {
+  if (!flow || !flow.enabled) {
+    return { success: false, reason: 'Flow disabled or not found' };
+  }
+
+  return runExecution(flow, timer.payload || {}, context, { resume: timer });
+}
+
+/**
+ * Test-run a flow against a sample payload
+ * Conditions are evaluated against the payload and the snapshot, and each
+ * action that would fire is previewed with its interpolated input. Nothing
+ * is executed, scheduled, recorded or sent to the backend; disabled flows
+ * can be tested too.
+ *
+ * @param {object} flow - Flow definition
+ * @param {object} eventPayload - Sample event payload
+ * @param {object} context - { currentSnapshot, binding? }
+ * @returns {Promise<object>} Execution summary with the full log as `log`
+ */
+export async function dryRunFlow(flow, eventPayload, context = {}) {
+  if (!flow) {
+    return { success: false, reason: 'Flow not found' };
+  }
+
+  // Only the snapshot and binding are passed on, so no action can reach
+  // runCommand; commands the run-as role lacks permission for are reported
+  return runExecution(
+    flow,
+    eventPayload || {},
+    { currentSnapshot: context.currentSnapshot, binding: context.binding },
+    { dryRun: true }
+  );
+}
+
 /**
  * Get flow execution history
  */
-export function getExecutionHistory(limit = 50) {
+export function getExecutionHistory(limit = EXECUTION_HISTORY_LIMIT) {
   return flowExecutionHistory.slice(0, limit);
 }
 
+/**
+ * Restore execution history saved by an earlier session (see FlowStorage)
+ * Executions still running when the page closed are marked interrupted.
+ * Executions recorded since startup stay on top.
+ */
+export function restoreExecutionHistory(executions = []) {
+  const known = new Set(flowExecutionHistory.map((log) => log.id));
+  const restored = executions
+    .filter((log) => log && !known.has(log.id))
+    .map((log) =>
+      log.status === 'running'
+        ? { ...log, status: 'interrupted', reason: 'Interrupted by page reload' }
+        : log
+    );
+
+  flowExecutionHistory = [...flowExecutionHistory, ...restored].slice(0, EXECUTION_HISTORY_LIMIT);
+}
+
 /**
  * Clear execution history
  */
@@ -282,7 +865,12 @@ export function clearExecutionHistory() {
 }
 
 export default {
+  loadFlow,
+  loadFlows,
   executeFlow,
+  resumeFlow,
+  dryRunFlow,
   getExecutionHistory,
+  restoreExecutionHistory,
   clearExecutionHistory
 };
@@ -0,0 +1,295 @@
+/**
+ * FlowGallery.js
+ * Parameterised flow templates offered in FlowPanel's library.
+ *
+ * Each template declares:
+ * - id, name, description
+ * - fields: parameter form fields, in display order, shaped like action
+ *     fields (see ActionRegistry); `options` and `default` may be functions
+ *     of (snapshot, values) so they can offer the workspace's own columns
+ *     and people
+ * - build(values, snapshot): { trigger, conditions, actions } where trigger
+ *     is trigger node data, conditions are conditions (rules or groups) that
+ *     must all pass and actions are { actionType, config, description }
+ *
+ * instantiateTemplate() chains the steps into a graph, laid out left to right
+ * (see FlowLayout), ready to edit in FlowEditor. Nothing is saved until the flow is saved there.
+ */
+
+import { CONDITION_TRUE_HANDLE } from './FlowGraph';
+import { describeCondition } from './FlowConditions';
+import { layoutGraph } from './FlowLayout';
+
+const DEFAULT_COLUMNS = ['Backlog', 'Ready', 'In Progress', 'Review', 'Done'];
+
+/**
+ * Board columns of a workspace, as select options
+ */
+function columnOptions(snapshot) {
+  const columns = Object.keys(snapshot?.wipLimits || {});
+  return (columns.length > 0 ? columns : DEFAULT_COLUMNS).map((column) => ({
+    value: column,
+    label: column
+  }));
+}
+
+/**
+ * People tasks are assigned to, as select options
+ */
+function assigneeOptions(snapshot) {
+  const people = new Set(
+    (snapshot?.tasks || [])
+      .map((task) => task.assignee)
+      .filter((name) => name && name !== 'Unassigned')
+  );
+  return [...people].sort().map((name) => ({ value: name, label: name }));
+}
+
+/**
+ * Templates, in the order the gallery lists them
+ */
+export const FLOW_TEMPLATES = [
+  {
+    id: 'notify-on-wip-breach',
+    name: 'Notify on WIP breach',
+    description: 'Warns when a task moving into a column takes it over its WIP limit.',
+    fields: [
+      { key: 'column', label: 'Column', type: 'select', options: columnOptions, default: 'In Progress' },
+      {
+        key: 'limit',
+        label: 'WIP limit',
+        type: 'number',
+        required: true,
+        default: (snapshot, values) => snapshot?.wipLimits?.[values.column] ?? 3
+      }
+    ],
+    build({ column, limit }) {
+      return {
+        trigger: { eventType: 'task.status_changed', description: 'When a task changes column' },
+        conditions: [
+          {
+            combinator: 'and',
+            conditions: [
+              { field: 'toStatus', operator: 'equals', value: column },
+              { field: 'columnCount', operator: 'greater_than', value: String(limit) }
+            ]
+          }
+        ],
+        actions: [
+          {
+            actionType: 'show_notification',
+            config: {
+              title: `WIP limit exceeded in ${column}`,
+              message: `{{toStatus}} now holds {{columnCount}} tasks (limit ${limit}); {{task.title}} was the last to arrive.`
+            },
+            description: 'Warn the team'
+          }
+        ]
+      };
+    }
+  },
+  {
+    id: 'auto-assign-on-ready',
+    name: 'Auto-assign on Ready',
+    description: 'Assigns unassigned tasks to someone when they reach a column.',
+    fields: [
+      { key: 'column', label: 'Column', type: 'select', options: columnOptions, default: 'Ready' },
+      {
+        key: 'assignee',
+        label: 'Assign to',
+        type: 'select',
+        required: true,
+        options: assigneeOptions,
+        default: (snapshot) => assigneeOptions(snapshot)[0]?.value || ''
+      }
+    ],
+    build({ column, assignee }) {
+      return {
+        trigger: { eventType: 'task.status_changed', description: 'When a task changes column' },
+        conditions: [
+          {
+            combinator: 'and',
+            conditions: [
+              { field: 'toStatus', operator: 'equals', value: column },
+              { field: 'after.assignee', operator: 'in', value: 'Unassigned' }
+            ]
+          }
+        ],
+        actions: [
+          {
+            actionType: 'update_field',
+            config: { targetType: 'task', targetId: '{{taskId}}', field: 'assignee', value: assignee },
+            description: `Assign to ${assignee}`
+          }
+        ]
+      };
+    }
+  },
+  {
+    id: 'tag-blocked-tasks',
+    name: 'Tag blocked tasks',
+    description: 'Tags a task when it is marked blocked, so blocked work is easy to filter.',
+    fields: [
+      { key: 'tag', label: 'Tag', type: 'text', required: true, default: 'blocked' }
+    ],
+    build({ tag }) {
+      return {
+        trigger: { eventType: 'task.updated', description: 'When a task is updated' },
+        conditions: [{ field: 'blocked', operator: 'changed_to', value: 'true' }],
+        actions: [
+          {
+            actionType: 'add_tag',
+            config: { targetId: '{{taskId}}', tag },
+            description: `Tag as ${tag}`
+          }
+        ]
+      };
+    }
+  },
+  {
+    id: 'remind-before-sprint-end',
+    name: 'Remind before sprint end',
+    description: 'Reminds the team every morning during the last days of the sprint.',
+    fields: [
+      { key: 'days', label: 'Days before the end', type: 'number', required: true, default: 2 },
+      { key: 'time', label: 'Time of day', type: 'text', required: true, default: '09:00', placeholder: 'HH:MM' }
+    ],
+    build({ days, time }) {
+      return {
+        trigger: {
+          eventType: 'schedule',
+          schedule: `every weekday ${time}`,
+          description: `Every weekday at ${time}`
+        },
+        conditions: [
+          {
+            combinator: 'and',
+            conditions: [
+              { field: 'sprint.endDate', operator: 'after', value: 'now' },
+              { field: 'sprint.endDate', operator: 'within_days', value: String(days) }
+            ]
+          }
+        ],
+        actions: [
+          {
+            actionType: 'show_notification',
+            config: {
+              title: 'Sprint ending soon',
+              message: '{{sprint.name}} ends {{sprint.endDate | date "relative"}}: "{{sprint.goal}}"'
+            },
+            description: 'Remind the team'
+          }
+        ]
+      };
+    }
+  }
+];
+
+/**
+ * Get a template by id
+ */
+export function getFlowTemplate(id) {
+  return FLOW_TEMPLATES.find((template) => template.id === id) || null;
+}
+
+/**
+ * Parameter fields of a template with their options resolved
+ *
+ * @param {object} template - Template from FLOW_TEMPLATES
+ * @param {object} snapshot - Current workspace snapshot
+ * @param {object} values - Values entered so far
+ * @returns {Array} Fields as plain { key, label, type, options?, ... }
+ */
+export function templateFields(template, snapshot = null, values = {}) {
+  return (template?.fields || []).map((field) =>
+    typeof field.options === 'function'
+      ? { ...field, options: field.options(snapshot, values) }
+      : field
+  );
+}
+
+/**
+ * Default parameter values of a template
+ * Defaults are resolved in field order, so a default can depend on the
+ * fields before it.
+ */
+export function defaultTemplateValues(template, snapshot = null) {
+  const values = {};
+  (template?.fields || []).forEach((field) => {
+    values[field.key] =
+      typeof field.default === 'function' ? field.default(snapshot, values) : field.default ?? '';
+  });
+  return values;
+}
+
+/**
+ * Names of required parameters that have no value
+ */
+export function missingTemplateValues(template, values = {}) {
+  return (template?.fields || [])
+    .filter((field) => field.required && (values[field.key] === undefined || values[field.key] === ''))
+    .map((field) => field.label);
+}
+
+/**
+ * Build a draft flow from a template
+ * Steps are chained left to right: trigger, conditions (continuing on their
+ * true output), then actions.
+ *
+ * @param {object} template - Template from FLOW_TEMPLATES
+ * @param {object} values - Parameter values
+ * @param {object} snapshot - Current workspace snapshot
+ * @returns {object} Unsaved flow definition ({ id: null, name, nodes, edges, ... })
+ */
+export function instantiateTemplate(template, values = {}, snapshot = null) {
+  const { trigger, conditions = [], actions = [] } = template.build(
+    { ...defaultTemplateValues(template, snapshot), ...values },
+    snapshot
+  );
+
+  const steps = [
+    { type: 'trigger', data: { label: 'Trigger', ...trigger } },
+    ...conditions.map((condition) => ({
+      type: 'condition',
+      data: condition.conditions
+        ? { label: 'Condition', group: condition, description: describeCondition(condition) }
+        : { label: 'Condition', ...condition, description: describeCondition(condition) }
+    })),
+    ...actions.map((action) => ({ type: 'action', data: { label: 'Action', ...action } }))
+  ];
+
+  const nodes = steps.map((step, index) => ({
+    id: `${step.type}-${index + 1}`,
+    type: step.type,
+    position: { x: 0, y: 0 },
+    data: step.data
+  }));
+
+  const edges = nodes.slice(1).map((node, index) => {
+    const source = nodes[index];
+    return {
+      id: `edge-${source.id}-${node.id}`,
+      source: source.id,
+      target: node.id,
+      ...(source.type === 'condition' ? { sourceHandle: CONDITION_TRUE_HANDLE, label: 'true' } : {})
+    };
+  });
+
+  return {
+    id: null,
+    name: template.name,
+    description: template.description,
+    defaultTrigger: trigger.eventType,
+    nodes: layoutGraph(nodes, edges),
+    edges
+  };
+}
+
+export default {
+  FLOW_TEMPLATES,
+  getFlowTemplate,
+  templateFields,
+  defaultTemplateValues,
+  missingTemplateValues,
+  instantiateTemplate
+};
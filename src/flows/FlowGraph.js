@@ -0,0 +1,98 @@
+/**
+ * FlowGraph.js
+ * Helpers for the node graphs saved by FlowEditor (ReactFlow nodes/edges).
+ */
+
+// Source handles on condition nodes
+export const CONDITION_TRUE_HANDLE = 'condition-true';
+export const CONDITION_FALSE_HANDLE = 'condition-false';
+
+// Single output handle used by condition nodes before true/false routing
+const LEGACY_CONDITION_HANDLE = 'condition-out';
+
+/**
+ * Whether a flow carries a graph that can be walked from a trigger node
+ */
+export function hasExecutableGraph(flow) {
+  return Boolean(
+    flow &&
+    Array.isArray(flow.nodes) &&
+    Array.isArray(flow.edges) &&
+    findTriggerNode(flow.nodes)
+  );
+}
+
+/**
+ * Find the trigger node of a graph
+ */
+export function findTriggerNode(nodes = []) {
+  return nodes.find((n) => n.type === 'trigger') || null;
+}
+
+/**
+ * Map older edges onto the current handle ids
+ * Edges leaving the legacy single condition output become "true" edges.
+ */
+export function normalizeEdges(edges = []) {
+  return edges.map((edge) =>
+    edge.sourceHandle === LEGACY_CONDITION_HANDLE
+      ? { ...edge, sourceHandle: CONDITION_TRUE_HANDLE }
+      : edge
+  );
+}
+
+/**
+ * Get edges leaving a node, optionally restricted to one condition outcome
+ *
+ * @param {Array} edges - Graph edges
+ * @param {string} nodeId - Source node id
+ * @param {boolean} [outcome] - For condition nodes, the branch to follow
+ */
+export function getOutgoingEdges(edges, nodeId, outcome) {
+  return edges.filter((edge) => {
+    if (edge.source !== nodeId) return false;
+    if (outcome === undefined) return true;
+
+    const handle = edge.sourceHandle || CONDITION_TRUE_HANDLE;
+    if (handle === CONDITION_FALSE_HANDLE) return outcome === false;
+    return outcome === true;
+  });
+}
+
+/**
+ * Convert a condition node to the condition shape used by the engine
+ * Nodes built with the group editor carry the whole group in data.group.
+ */
+export function conditionFromNode(node) {
+  const { group, field, operator, value, valueType } = node.data || {};
+  if (group) return group;
+
+  const condition = { field, operator, value };
+  if (valueType) condition.valueType = valueType;
+  return condition;
+}
+
+/**
+ * Convert an action node to the action shape used by the engine
+ */
+export function actionFromNode(node) {
+  const action = {
+    type: node.data?.actionType,
+    config: node.data?.config || {}
+  };
+  if (node.data?.policy) {
+    action.policy = node.data.policy;
+  }
+  return action;
+}
+
+export default {
+  CONDITION_TRUE_HANDLE,
+  CONDITION_FALSE_HANDLE,
+  hasExecutableGraph,
+  findTriggerNode,
+  normalizeEdges,
+  getOutgoingEdges,
+  conditionFromNode,
+  actionFromNode
+};
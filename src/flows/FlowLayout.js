@@ -0,0 +1,138 @@
+/**
+ * FlowLayout.js
+ * Left-to-right layered layout of flow graphs.
+ *
+ * Nodes are placed in columns by the longest path leading to them from a
+ * node without inputs (the trigger), ignoring edges that close a loop. Within
+ * a column, nodes follow the order of the nodes they leave from, and a
+ * condition's true branch comes before its false branch, so branches stay
+ * level with where they start. Each column is centred on the tallest one.
+ */
+
+import { CONDITION_FALSE_HANDLE } from './FlowGraph';
+
+export const LAYOUT_SPACING = { x: 280, y: 140 };
+export const LAYOUT_ORIGIN = { x: 80, y: 80 };
+
+/**
+ * Edges leaving each node, true branches before false ones
+ */
+function outgoingByNode(nodes, edges) {
+  const outgoing = new Map(nodes.map((node) => [node.id, []]));
+  edges.forEach((edge) => {
+    if (outgoing.has(edge.source) && outgoing.has(edge.target)) {
+      outgoing.get(edge.source).push(edge);
+    }
+  });
+  outgoing.forEach((list) =>
+    list.sort(
+      (a, b) =>
+        Number(a.sourceHandle === CONDITION_FALSE_HANDLE) - Number(b.sourceHandle === CONDITION_FALSE_HANDLE)
+    )
+  );
+  return outgoing;
+}
+
+/**
+ * Edges of the graph without those closing a loop, found by a depth-first
+ * walk from the nodes without inputs (triggers first), then from any node
+ * only reachable through a loop
+ */
+function forwardEdges(nodes, outgoing) {
+  const incoming = new Set();
+  outgoing.forEach((list) => list.forEach((edge) => incoming.add(edge.target)));
+
+  const starts = [
+    ...nodes.filter((node) => node.type === 'trigger'),
+    ...nodes.filter((node) => node.type !== 'trigger' && !incoming.has(node.id)),
+    ...nodes
+  ];
+
+  const state = new Map(); // id → 'open' | 'done'
+  const forward = [];
+  const visit = (id) => {
+    state.set(id, 'open');
+    outgoing.get(id).forEach((edge) => {
+      const targetState = state.get(edge.target);
+      if (targetState === 'open') return; // closes a loop
+      forward.push(edge);
+      if (!targetState) visit(edge.target);
+    });
+    state.set(id, 'done');
+  };
+  starts.forEach((node) => {
+    if (!state.has(node.id)) visit(node.id);
+  });
+
+  return { forward, starts: starts.filter((node, index) => starts.indexOf(node) === index) };
+}
+
+/**
+ * Lay a graph out left to right
+ *
+ * @param {Array} nodes - ReactFlow nodes
+ * @param {Array} edges - ReactFlow edges
+ * @param {object} [options] - { spacing: { x, y }, origin: { x, y } }
+ * @returns {Array} The nodes with new positions, in the same order
+ */
+export function layoutGraph(nodes, edges, { spacing = LAYOUT_SPACING, origin = LAYOUT_ORIGIN } = {}) {
+  if (nodes.length === 0) return nodes;
+
+  const outgoing = outgoingByNode(nodes, edges);
+  const { forward, starts } = forwardEdges(nodes, outgoing);
+
+  // Longest path to each node, in topological order
+  const layer = new Map(nodes.map((node) => [node.id, 0]));
+  const pending = new Map(nodes.map((node) => [node.id, 0]));
+  forward.forEach((edge) => pending.set(edge.target, pending.get(edge.target) + 1));
+  const queue = starts.filter((node) => pending.get(node.id) === 0).map((node) => node.id);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    forward
+      .filter((edge) => edge.source === id)
+      .forEach((edge) => {
+        layer.set(edge.target, Math.max(layer.get(edge.target), layer.get(id) + 1));
+        pending.set(edge.target, pending.get(edge.target) - 1);
+        if (pending.get(edge.target) === 0) queue.push(edge.target);
+      });
+  }
+
+  // Order each column by where its nodes' inputs sit in earlier columns
+  const columns = [];
+  starts.forEach((node, index) => {
+    const column = layer.get(node.id);
+    (columns[column] = columns[column] || []).push({ node, key: index });
+  });
+  const rank = new Map();
+  columns.forEach((column, columnIndex) => {
+    if (columnIndex > 0) {
+      column.forEach((entry) => {
+        const keys = forward
+          .filter((edge) => edge.target === entry.node.id && rank.has(edge.source))
+          .map((edge) => rank.get(edge.source) * nodes.length + outgoing.get(edge.source).indexOf(edge));
+        if (keys.length > 0) entry.key = Math.min(...keys);
+      });
+    }
+    column.sort((a, b) => a.key - b.key);
+    column.forEach((entry, index) => rank.set(entry.node.id, index));
+  });
+
+  const tallest = Math.max(...columns.map((column) => (column ? column.length : 0)));
+  const positions = new Map();
+  columns.forEach((column, columnIndex) => {
+    (column || []).forEach((entry, index) => {
+      positions.set(entry.node.id, {
+        x: origin.x + columnIndex * spacing.x,
+        y: origin.y + (index + (tallest - column.length) / 2) * spacing.y
+      });
+    });
+  });
+
+  return nodes.map((node) => ({ ...node, position: positions.get(node.id) }));
+}
+
+export default {
+  LAYOUT_SPACING,
+  LAYOUT_ORIGIN,
+  layoutGraph
+};
@@ -0,0 +1,113 @@
+/**
+ * FlowPermissions.js
+ * Who a flow runs as, and what it may do.
+ *
+ * Every flow records its owner ({ name, role } of whoever first saved it)
+ * and the role it runs as (`runAs`, at most the role of whoever last saved
+ * it). Bindings record who attached them. A flow runs with the lowest of its
+ * `runAs` role and the role of the member who attached the binding, so
+ * attaching someone else's flow never grants more than the attacher has.
+ *
+ * FlowEngine checks every command an action issues against that role, with
+ * the permission COMMAND_TYPES declares for it (see EventCatalog).
+ */
+
+import { PERMISSIONS, ROLES, roleHas } from '../utils/permissions';
+import { getCommandType } from './EventCatalog';
+
+// Role of flows and bindings saved before owners were recorded; they were
+// set up with the workspace
+export const DEFAULT_FLOW_ROLE = 'workspace_owner';
+
+/**
+ * Lowest of the given roles, ignoring missing ones
+ *
+ * @returns {string|null}
+ */
+export function lowestRole(...roles) {
+  const known = roles.filter((role) => ROLES.includes(role));
+  if (known.length === 0) return null;
+  return known.reduce((low, role) => (ROLES.indexOf(role) < ROLES.indexOf(low) ? role : low));
+}
+
+/**
+ * Roles a member may pick for a flow to run as: their own and below
+ */
+export function assignableRoles(userRole) {
+  const index = ROLES.indexOf(userRole);
+  return index === -1 ? [] : ROLES.slice(0, index + 1);
+}
+
+/**
+ * Record the owner of a flow being saved and cap its role at the saver's
+ * The first saver becomes the owner; later saves keep it.
+ *
+ * @param {object} flow - Definition being saved
+ * @param {object|null} previous - Current library entry, if any
+ * @param {object} user - { name, role } of the member saving
+ * @returns {object} Definition with owner and runAs
+ */
+export function stampFlowOwner(flow, previous, user = {}) {
+  const owner = previous?.owner || flow.owner || { name: user.name || null, role: user.role || null };
+  const requested = flow.runAs || owner.role || DEFAULT_FLOW_ROLE;
+  return {
+    ...flow,
+    owner,
+    runAs: lowestRole(requested, user.role) || requested
+  };
+}
+
+/**
+ * Identity an execution runs with
+ *
+ * @param {object} flow - Flow definition
+ * @param {object|null} binding - Binding that triggered it, if any
+ * @returns {object} { role, owner, attachedBy }
+ */
+export function resolveRunAs(flow, binding = null) {
+  const flowRole = flow.runAs || flow.owner?.role || DEFAULT_FLOW_ROLE;
+  return {
+    role: lowestRole(flowRole, binding?.attachedBy?.role) || flowRole,
+    owner: flow.owner?.name || null,
+    attachedBy: binding?.attachedBy?.name || null
+  };
+}
+
+/**
+ * Permission a command needs
+ * Changing a task's assignee needs ASSIGN_TASKS besides EDIT_TASKS.
+ *
+ * @returns {string|null} Permission, or null for unknown commands
+ */
+export function commandPermission(command) {
+  if (command?.type === 'UpdateTaskField' && command.field === 'assignee') {
+    return PERMISSIONS.ASSIGN_TASKS;
+  }
+  return getCommandType(command?.type)?.permission || null;
+}
+
+/**
+ * Check a command against a role
+ *
+ * @returns {string|null} Why the command is denied, or null when allowed
+ */
+export function checkCommand(command, role) {
+  const permission = commandPermission(command);
+  if (!permission) {
+    return `Denied: unknown command "${command?.type}"`;
+  }
+  if (!roleHas(role, permission)) {
+    return `Denied: ${command.type} needs ${permission}, which ${role} does not have`;
+  }
+  return null;
+}
+
+export default {
+  DEFAULT_FLOW_ROLE,
+  lowestRole,
+  assignableRoles,
+  stampFlowOwner,
+  resolveRunAs,
+  commandPermission,
+  checkCommand
+};
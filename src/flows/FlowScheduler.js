@@ -0,0 +1,452 @@
+/**
+ * FlowScheduler.js
+ * In-app scheduler for time-based flows.
+ *
+ * Keeps a list of pending timers persisted in the app's key-value storage
+ * (see utils/storage.js) so they survive reloads. Two kinds of timers exist:
+ * - "schedule": next occurrence of a flow with a schedule trigger
+ * - "delay": resumption of a flow paused by a delay action
+ * Timers that came due while the app was closed fire on the next check.
+ *
+ * Timers are kept in memory and saved in the background; saved timers are
+ * restored by loadPendingTimers(), which saving waits for so timers from
+ * earlier sessions are never overwritten.
+ */
+
+import { readValue, writeValue } from '../utils/storage';
+
+const STORAGE_KEY = 'flows.timers';
+// Key earlier versions saved timers under, directly in localStorage
+const LEGACY_STORAGE_KEY = 'tasklytics-flow-timers-v1';
+const DEFAULT_CHECK_INTERVAL = 15000;
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DURATION_UNITS = {
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000
+};
+
+let pendingTimers = [];
+let timersLoad = null;
+let writeQueue = Promise.resolve();
+const listeners = new Set();
+
+function loadTimers() {
+  return pendingTimers;
+}
+
+/**
+ * Timers saved by an earlier session, moving those of earlier versions out
+ * of localStorage
+ */
+async function readSavedTimers() {
+  const saved = await readValue(STORAGE_KEY);
+  if (Array.isArray(saved)) return saved;
+  if (typeof localStorage === 'undefined') return [];
+  const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!legacy) return [];
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  const parsed = JSON.parse(legacy);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * Restore timers saved by earlier sessions (once); timers added since
+ * startup are kept
+ *
+ * @returns {Promise<Array>} Pending timers
+ */
+export function loadPendingTimers() {
+  if (timersLoad) return timersLoad;
+  timersLoad = readSavedTimers()
+    .then((saved) => {
+      const known = new Set(pendingTimers.map((t) => t.id));
+      const restored = saved.filter((t) => t && typeof t.dueAt === 'string' && !known.has(t.id));
+      if (restored.length > 0) saveTimers([...pendingTimers, ...restored]);
+    })
+    .catch((e) => console.error('[FlowScheduler] Failed to load timers:', e))
+    .then(() => pendingTimers);
+  return timersLoad;
+}
+
+/**
+ * Replace the pending timers (kept sorted, soonest first), notify
+ * subscribers and save them once saved timers have been restored
+ */
+function saveTimers(timers) {
+  pendingTimers = [...timers].sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+  listeners.forEach((listener) => listener());
+  writeQueue = writeQueue
+    .then(loadPendingTimers)
+    .then(() => writeValue(STORAGE_KEY, pendingTimers))
+    .catch((e) => console.error('[FlowScheduler] Failed to save timers:', e));
+}
+
+/**
+ * Parse a single cron field ("*", "5", "1-5", "*\/15", "1,3,5")
+ */
+function parseCronField(field, min, max) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText ? Number(stepText) : 1;
+    if (!Number.isInteger(step) || step < 1) return null;
+
+    let start = min;
+    let end = max;
+    if (range !== '*') {
+      const [a, b] = range.split('-').map(Number);
+      if (!Number.isInteger(a)) return null;
+      start = a;
+      end = b === undefined ? (stepText ? max : a) : b;
+      if (!Number.isInteger(end)) return null;
+    }
+    if (start < min || end > max || start > end) return null;
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse "HH:MM" into { hour, minute }
+ */
+function parseTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+/**
+ * Build a cron expression from the human-friendly forms
+ */
+function humanToCron(expression) {
+  let match;
+
+  // Only steps that divide the hour or day evenly repeat at the same
+  // interval as clock times; others run as intervals (see parseSchedule)
+  if ((match = /^every (\d+) minutes?$/.exec(expression))) {
+    return 60 % Number(match[1]) === 0 ? `*/${match[1]} * * * *` : null;
+  }
+  if ((match = /^every (\d+) hours?$/.exec(expression))) {
+    return 24 % Number(match[1]) === 0 ? `0 */${match[1]} * * *` : null;
+  }
+  if (expression === 'every hour') {
+    return '0 * * * *';
+  }
+
+  match = /^every ([a-z, ]+?)(?: (?:at )?(\d{1,2}:\d{2}))?$/.exec(expression);
+  if (!match) return null;
+
+  const time = parseTime(match[2] || '09:00');
+  if (!time) return null;
+
+  const days = match[1];
+  let dow;
+  if (days === 'day') dow = '*';
+  else if (days === 'weekday') dow = '1-5';
+  else if (days === 'weekend') dow = '0,6';
+  else {
+    const indexes = days.split(',').map((d) => DAY_NAMES.indexOf(d.trim()));
+    if (indexes.some((i) => i === -1)) return null;
+    dow = indexes.join(',');
+  }
+
+  return `${time.minute} ${time.hour} * * ${dow}`;
+}
+
+/**
+ * Parse a schedule expression
+ *
+ * Supported forms:
+ * - "every day 09:00", "every weekday 09:00", "every weekend 10:00"
+ * - "every monday 10:00", "every monday, thursday 16:30"
+ * - "every hour", "every 15 minutes", "every 2 hours"; steps that do not
+ *   divide the hour (or day) evenly, like "every 90 minutes", run at a fixed
+ *   interval from the previous run instead of on clock times
+ * - "on sprint endDate", "on sprint startDate 08:30"
+ * - five-field cron: "0 9 * * 1-5"
+ *
+ * @returns {object|null} Parsed schedule, or null when invalid
+ */
+export function parseSchedule(expression) {
+  const text = String(expression || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!text) return null;
+
+  const sprintMatch = /^on sprint (startdate|enddate)(?: (?:at )?(\d{1,2}:\d{2}))?$/.exec(text);
+  if (sprintMatch) {
+    const time = parseTime(sprintMatch[2] || '09:00');
+    if (!time) return null;
+    return {
+      type: 'sprint',
+      field: sprintMatch[1] === 'startdate' ? 'startDate' : 'endDate',
+      ...time
+    };
+  }
+
+  const intervalMatch = /^every (\d+) (minute|hour)s?$/.exec(text);
+  if (intervalMatch && !humanToCron(text)) {
+    const amount = Number(intervalMatch[1]);
+    if (amount < 1) return null;
+    return {
+      type: 'interval',
+      amount,
+      unit: `${intervalMatch[2]}s`,
+      intervalMs: amount * DURATION_UNITS[`${intervalMatch[2]}s`]
+    };
+  }
+
+  const cron = /^[\d*]/.test(text) ? text : humanToCron(text);
+  if (!cron) return null;
+
+  const fields = cron.split(' ');
+  if (fields.length !== 5) return null;
+
+  const minutes = parseCronField(fields[0], 0, 59);
+  const hours = parseCronField(fields[1], 0, 23);
+  const daysOfMonth = parseCronField(fields[2], 1, 31);
+  const months = parseCronField(fields[3], 1, 12);
+  const weekdays = parseCronField(fields[4], 0, 7);
+  if (!minutes || !hours || !daysOfMonth || !months || !weekdays) return null;
+
+  // Both 0 and 7 mean Sunday
+  const daysOfWeek = new Set([...weekdays].map((d) => d % 7));
+
+  return {
+    type: 'cron',
+    cron,
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    domRestricted: fields[2] !== '*',
+    dowRestricted: fields[4] !== '*'
+  };
+}
+
+/**
+ * Whether a cron schedule runs on the given day
+ * As in cron, a restricted day-of-month and day-of-week match either way.
+ */
+function cronMatchesDay(spec, date) {
+  if (!spec.months.has(date.getMonth() + 1)) return false;
+  const domOk = spec.daysOfMonth.has(date.getDate());
+  const dowOk = spec.daysOfWeek.has(date.getDay());
+  if (spec.domRestricted && spec.dowRestricted) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+/**
+ * Compute the next time a schedule fires strictly after `from`
+ *
+ * @param {string} expression - Schedule expression (see parseSchedule)
+ * @param {Date|number} from - Reference time
+ * @param {object} snapshot - Workspace snapshot, used for sprint dates
+ * @returns {Date|null}
+ */
+export function nextOccurrence(expression, from = Date.now(), snapshot = null) {
+  const spec = parseSchedule(expression);
+  if (!spec) return null;
+
+  const after = new Date(from);
+
+  if (spec.type === 'sprint') {
+    const dateText = snapshot?.sprint?.[spec.field];
+    if (!dateText) return null;
+    const [y, m, d] = dateText.split('-').map(Number);
+    const at = new Date(y, m - 1, d, spec.hour, spec.minute, 0, 0);
+    return at > after ? at : null;
+  }
+
+  if (spec.type === 'interval') {
+    return new Date(after.getTime() + spec.intervalMs);
+  }
+
+  // Walk forward day by day, up to roughly four years for sparse schedules
+  const day = new Date(after.getFullYear(), after.getMonth(), after.getDate());
+  for (let i = 0; i < 1500; i++) {
+    if (cronMatchesDay(spec, day)) {
+      for (const hour of spec.hours) {
+        for (const minute of spec.minutes) {
+          const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute, 0, 0);
+          if (at > after) return at;
+        }
+      }
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return null;
+}
+
+/**
+ * Get the schedule expression of a flow with a schedule trigger
+ */
+export function getFlowSchedule(flow) {
+  if (!flow) return null;
+  if (flow.trigger?.type === 'schedule' && flow.trigger.schedule) {
+    return flow.trigger.schedule;
+  }
+  const triggerNode = (flow.nodes || []).find((n) => n.type === 'trigger');
+  if (triggerNode?.data?.eventType === 'schedule' && triggerNode.data.schedule) {
+    return triggerNode.data.schedule;
+  }
+  return null;
+}
+
+/**
+ * Convert a delay action config ({ amount, unit }) to milliseconds
+ */
+export function delayToMs(config = {}) {
+  const amount = Number(config.amount);
+  const unitMs = DURATION_UNITS[config.unit || 'minutes'];
+  if (!Number.isFinite(amount) || amount < 0 || !unitMs) return null;
+  return amount * unitMs;
+}
+
+/**
+ * Get all pending timers, soonest first
+ * The returned array is replaced, never mutated, when timers change.
+ */
+export function getPendingTimers() {
+  return loadTimers();
+}
+
+/**
+ * Subscribe to timer changes
+ *
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeTimers(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Add a timer
+ *
+ * @param {object} timer - { kind, flowId, dueAt (Date|ISO string), ...data }
+ * @returns {object} The stored timer
+ */
+export function scheduleTimer(timer) {
+  const stored = {
+    ...timer,
+    id: 'timer-' + Date.now() + '-' + Math.random().toString(16).slice(2),
+    dueAt: new Date(timer.dueAt).toISOString(),
+    createdAt: new Date().toISOString()
+  };
+  saveTimers([...loadTimers(), stored]);
+  return stored;
+}
+
+/**
+ * Remove a timer by id
+ */
+export function cancelTimer(timerId) {
+  cancelTimersWhere((t) => t.id === timerId);
+}
+
+/**
+ * Remove every timer matching a predicate
+ */
+export function cancelTimersWhere(predicate) {
+  const timers = loadTimers();
+  const kept = timers.filter((t) => !predicate(t));
+  if (kept.length !== timers.length) {
+    saveTimers(kept);
+  }
+}
+
+/**
+ * Remove and return every timer due at `now`
+ */
+export function takeDueTimers(now = Date.now()) {
+  const nowIso = new Date(now).toISOString();
+  const timers = loadTimers();
+  const due = timers.filter((t) => t.dueAt <= nowIso);
+  if (due.length > 0) {
+    saveTimers(timers.filter((t) => t.dueAt > nowIso));
+  }
+  return due;
+}
+
+/**
+ * Keep one pending "schedule" timer per enabled flow with a schedule trigger
+ * Drops timers of flows that are gone, disabled or rescheduled, and adds the
+ * next occurrence for scheduled flows without a timer.
+ *
+ * @param {Array} flows - Flow library
+ * @param {object} snapshot - Workspace snapshot, used for sprint dates
+ */
+export function syncScheduleTimers(flows = [], snapshot = null, now = Date.now()) {
+  const schedules = new Map();
+  flows.forEach((flow) => {
+    const expression = flow.enabled ? getFlowSchedule(flow) : null;
+    if (expression) schedules.set(flow.id, expression);
+  });
+
+  cancelTimersWhere((t) => t.kind === 'schedule' && schedules.get(t.flowId) !== t.schedule);
+
+  schedules.forEach((expression, flowId) => {
+    const hasTimer = loadTimers().some((t) => t.kind === 'schedule' && t.flowId === flowId);
+    if (hasTimer) return;
+
+    const next = nextOccurrence(expression, now, snapshot);
+    if (next) {
+      scheduleTimer({ kind: 'schedule', flowId, schedule: expression, dueAt: next });
+    }
+  });
+}
+
+/**
+ * Start checking for due timers
+ * Checks once saved timers are restored (catching up on timers missed while
+ * closed) and then every intervalMs.
+ *
+ * @param {function} onDue - Called with each due timer
+ * @returns {function} Stop function
+ */
+export function startScheduler(onDue, intervalMs = DEFAULT_CHECK_INTERVAL) {
+  let stopped = false;
+  const check = () => {
+    if (stopped) return;
+    // Handlers may be async; their rejections are logged like thrown errors
+    takeDueTimers().forEach((timer) => {
+      Promise.resolve()
+        .then(() => onDue(timer))
+        .catch((e) => console.error('[FlowScheduler] Timer handler error:', e));
+    });
+  };
+
+  loadPendingTimers().then(check);
+  const handle = setInterval(check, intervalMs);
+  return () => {
+    stopped = true;
+    clearInterval(handle);
+  };
+}
+
+export default {
+  parseSchedule,
+  nextOccurrence,
+  getFlowSchedule,
+  delayToMs,
+  getPendingTimers,
+  loadPendingTimers,
+  subscribeTimers,
+  scheduleTimer,
+  cancelTimer,
+  cancelTimersWhere,
+  takeDueTimers,
+  syncScheduleTimers,
+  startScheduler
+};
@@ -0,0 +1,180 @@
+/**
+ * FlowStorage.js
+ * Persistence of the flow library, bindings and execution history.
+ *
+ * Data lives in the app's key-value storage (IndexedDB, falling back to
+ * localStorage, see utils/storage.js) under:
+ * - "flows.state":      { schemaVersion, flows, bindings, savedAt }
+ * - "flows.versions":   { schemaVersion, versions, savedAt } (see FlowVersions.js)
+ * - "flows.executions": { schemaVersion, executions, savedAt }
+ *
+ * Saved data carries the schema version it was written with and is migrated
+ * step by step to FLOW_SCHEMA_VERSION when loaded. Data written by a newer
+ * version is left untouched and not overwritten.
+ */
+
+import { readValue, writeValue, removeValue } from '../utils/storage';
+import { normalizeEdges } from './FlowGraph';
+
+export const FLOW_SCHEMA_VERSION = 3;
+export const EXECUTION_HISTORY_LIMIT = 100;
+
+const STATE_KEY = 'flows.state';
+const VERSIONS_KEY = 'flows.versions';
+const EXECUTIONS_KEY = 'flows.executions';
+
+/**
+ * Migrations from each schema version to the next
+ * Each receives and returns { flows, bindings }.
+ */
+const MIGRATIONS = {
+  // 1 → 2: condition nodes route through true/false handles, flows name
+  // their default trigger, bindings always carry an id
+  1: ({ flows = [], bindings = {} }) => ({
+    flows: flows.map((flow) => ({
+      ...flow,
+      defaultTrigger: flow.defaultTrigger || flow.trigger?.type || 'task.dropped',
+      ...(Array.isArray(flow.edges) ? { edges: normalizeEdges(flow.edges) } : {})
+    })),
+    bindings: Object.fromEntries(
+      Object.entries(bindings).map(([key, list]) => [
+        key,
+        (list || []).map((binding, index) => ({
+          ...binding,
+          id: binding.id || `binding-${key}-${index}`
+        }))
+      ])
+    )
+  }),
+
+  // 2 → 3: flows carry a version number; bindings without flowVersion
+  // follow the latest version
+  2: ({ flows = [], bindings = {} }) => ({
+    flows: flows.map((flow) => ({ ...flow, version: flow.version || 1 })),
+    bindings
+  })
+};
+
+/**
+ * Bring saved flow data up to the current schema
+ * Data without a version is treated as version 1.
+ *
+ * @param {object} data - { schemaVersion, flows, bindings }
+ * @returns {object} { schemaVersion, flows, bindings }
+ * @throws When the data comes from a newer schema
+ */
+export function migrateFlowData(data = {}) {
+  let version = Number(data.schemaVersion) || 1;
+  if (version > FLOW_SCHEMA_VERSION) {
+    throw new Error(
+      `Flow data has schema version ${version}, newer than supported version ${FLOW_SCHEMA_VERSION}`
+    );
+  }
+
+  let migrated = { flows: data.flows || [], bindings: data.bindings || {} };
+  while (version < FLOW_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+  }
+
+  return { schemaVersion: FLOW_SCHEMA_VERSION, ...migrated };
+}
+
+// Set when stored data is newer than this build, to avoid overwriting it
+let readOnly = false;
+
+// Writes run one after another, in call order
+let writeQueue = Promise.resolve();
+
+function enqueueWrite(key, value) {
+  writeQueue = writeQueue
+    .then(() => writeValue(key, value))
+    .catch((e) => console.error('[FlowStorage] Failed to save', key, e));
+  return writeQueue;
+}
+
+/**
+ * Load saved flows, bindings, version history and executions
+ *
+ * @returns {Promise<object|null>} { flows, bindings, versions, executions },
+ *   or null when nothing usable is stored
+ */
+export async function loadFlowState() {
+  try {
+    const [state, saved, history] = await Promise.all([
+      readValue(STATE_KEY),
+      readValue(VERSIONS_KEY),
+      readValue(EXECUTIONS_KEY)
+    ]);
+    if (!state) return null;
+
+    const { flows, bindings } = migrateFlowData(state);
+    const versions = saved?.versions && typeof saved.versions === 'object' ? saved.versions : {};
+    const executions = Array.isArray(history?.executions) ? history.executions : [];
+    return { flows, bindings, versions, executions };
+  } catch (e) {
+    if (/newer than supported/.test(e.message)) readOnly = true;
+    console.error('[FlowStorage] Failed to load flows:', e);
+    return null;
+  }
+}
+
+/**
+ * Save the flow library and bindings
+ */
+export function saveFlowState({ flows, bindings }) {
+  if (readOnly) return Promise.resolve();
+  return enqueueWrite(STATE_KEY, {
+    schemaVersion: FLOW_SCHEMA_VERSION,
+    flows: JSON.parse(JSON.stringify(flows || [])),
+    bindings: JSON.parse(JSON.stringify(bindings || {})),
+    savedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Save the version history of the library's flows
+ */
+export function saveFlowVersions(versions) {
+  if (readOnly) return Promise.resolve();
+  return enqueueWrite(VERSIONS_KEY, {
+    schemaVersion: FLOW_SCHEMA_VERSION,
+    versions: JSON.parse(JSON.stringify(versions || {})),
+    savedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Save the most recent executions
+ */
+export function saveExecutionHistory(executions) {
+  if (readOnly) return Promise.resolve();
+  return enqueueWrite(EXECUTIONS_KEY, {
+    schemaVersion: FLOW_SCHEMA_VERSION,
+    executions: JSON.parse(JSON.stringify((executions || []).slice(0, EXECUTION_HISTORY_LIMIT))),
+    savedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Remove all saved flow data
+ */
+export async function clearFlowStorage() {
+  await writeQueue;
+  await Promise.all([
+    removeValue(STATE_KEY),
+    removeValue(VERSIONS_KEY),
+    removeValue(EXECUTIONS_KEY)
+  ]);
+}
+
+export default {
+  FLOW_SCHEMA_VERSION,
+  EXECUTION_HISTORY_LIMIT,
+  migrateFlowData,
+  loadFlowState,
+  saveFlowState,
+  saveFlowVersions,
+  saveExecutionHistory,
+  clearFlowStorage
+};
@@ -0,0 +1,110 @@
+/**
+ * FlowTargets.js
+ * Target keys that flows can be bound to, and their resolution at dispatch time.
+ *
+ * Key formats:
+ * - "task:<id>"      a single task
+ * - "task:*"         every task
+ * - "tag:<tag>"      every task carrying the tag
+ * - "column:<name>"  every task in the board column (status)
+ * - "workspace"      workspace-wide, receives every event
+ */
+
+export const WORKSPACE_TARGET_KEY = 'workspace';
+export const ALL_TASKS_TARGET_KEY = 'task:*';
+
+/**
+ * Target key for a single task
+ */
+export function targetKeyForTask(taskId) {
+  return `task:${taskId}`;
+}
+
+/**
+ * Target key for all tasks carrying a tag
+ */
+export function targetKeyForTag(tag) {
+  return `tag:${tag}`;
+}
+
+/**
+ * Target key for all tasks in a board column
+ */
+export function targetKeyForColumn(status) {
+  return `column:${status}`;
+}
+
+/**
+ * Build a { key, label, type } target descriptor for a target key
+ */
+export function describeTarget(targetKey) {
+  if (targetKey === WORKSPACE_TARGET_KEY) {
+    return { key: targetKey, label: 'Whole workspace', type: 'workspace' };
+  }
+  if (targetKey === ALL_TASKS_TARGET_KEY) {
+    return { key: targetKey, label: 'Every task', type: 'pattern' };
+  }
+
+  const [prefix, ...rest] = String(targetKey).split(':');
+  const name = rest.join(':');
+
+  switch (prefix) {
+    case 'tag':
+      return { key: targetKey, label: `Tasks tagged ${name}`, type: 'pattern' };
+    case 'column':
+      return { key: targetKey, label: `Tasks in ${name}`, type: 'pattern' };
+    case 'task':
+      return { key: targetKey, label: `Task ${name}`, type: 'task' };
+    default:
+      return { key: targetKey, label: targetKey, type: prefix || 'unknown' };
+  }
+}
+
+/**
+ * Resolve every target key an event reaches, most specific first.
+ *
+ * The event's own target (explicit targetKey or task key) comes first,
+ * followed by the column and tag patterns matching the task, every-task,
+ * and finally the workspace. The task's column is taken from the event
+ * (toStatus/status) when present, since the snapshot may predate the move.
+ *
+ * @param {object} payload - Event payload
+ * @param {object} snapshot - Current workspace snapshot
+ * @returns {string[]}
+ */
+export function resolveTargetKeys(payload = {}, snapshot = null) {
+  const keys = [];
+  const add = (key) => {
+    if (key && !keys.includes(key)) keys.push(key);
+  };
+
+  add(payload.targetKey);
+
+  if (payload.taskId) {
+    add(targetKeyForTask(payload.taskId));
+
+    // Command events carry the task as changed; the snapshot may predate it
+    const task = (payload.after?.id === payload.taskId ? payload.after : null) ||
+      snapshot?.tasks?.find((t) => t.id === payload.taskId);
+    const status = payload.toStatus ?? payload.status ?? task?.status;
+    if (status) add(targetKeyForColumn(status));
+
+    (task?.tags || []).forEach((tag) => add(targetKeyForTag(tag)));
+
+    add(ALL_TASKS_TARGET_KEY);
+  }
+
+  add(WORKSPACE_TARGET_KEY);
+
+  return keys;
+}
+
+export default {
+  WORKSPACE_TARGET_KEY,
+  ALL_TASKS_TARGET_KEY,
+  targetKeyForTask,
+  targetKeyForTag,
+  targetKeyForColumn,
+  describeTarget,
+  resolveTargetKeys
+};
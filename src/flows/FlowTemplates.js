@@ -0,0 +1,509 @@
+/**
+ * FlowTemplates.js
+ * Template expressions used in flow action configs.
+ *
+ * Text outside {{ }} is kept as-is. Inside, an expression is:
+ *   path                     taskId, task.title, tasks[taskId].title, tasks[0]
+ *   literal                  "text", 'text', 42, true, false, null
+ *   expr | filter args...    task.title | upper, dueDate | date "DD MMM"
+ *   expr ?? expr             assignee ?? "nobody"
+ *
+ * `??` binds looser than `|`, so `a | upper ?? "x"` is `(a | upper) ?? "x"`.
+ *
+ * Root names resolve against the event payload first, then the workspace
+ * snapshot. `task` is the event's task (payload.task, or the snapshot task
+ * with payload.taskId) and `now` is the current time. Indexing an array with
+ * a non-number looks the item up by id, so tasks[taskId] is that task.
+ *
+ * Expressions are parsed, never evaluated as JavaScript. A placeholder whose
+ * expression does not parse or resolves to nothing is left in the text.
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PLACEHOLDER_PATTERN = /\{\{([\s\S]+?)\}\}/g;
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw new Error('Unterminated string');
+      i++;
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+
+    const number = source.slice(i).match(/^-?\d+(\.\d+)?/);
+    if (number && (ch !== '-' || tokens.length === 0 || tokens[tokens.length - 1].type === 'punct')) {
+      tokens.push({ type: 'number', value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const ident = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+    if (ident) {
+      tokens.push({ type: 'ident', value: ident[0] });
+      i += ident[0].length;
+      continue;
+    }
+
+    const punct = ['??', '!=', '|', '.', '[', ']', '=', ','].find((p) => source.startsWith(p, i));
+    if (punct) {
+      tokens.push({ type: 'punct', value: punct });
+      i += punct.length;
+      continue;
+    }
+
+    throw new Error(`Unexpected "${ch}"`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser over the token list
+ *
+ * AST nodes:
+ *   { type: 'literal', value }
+ *   { type: 'path', root, segments: [{ name } | { index: node }] }
+ *   { type: 'filter', input, name, args: [node | { where }] }
+ *   { type: 'default', left, right }
+ */
+function parseExpression(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isPunct = (value) => peek()?.type === 'punct' && peek().value === value;
+  const expect = (value) => {
+    if (!isPunct(value)) throw new Error(`Expected "${value}"`);
+    pos++;
+  };
+
+  const parseOperand = () => {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'string' || token.type === 'number') {
+      pos++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'ident') {
+      pos++;
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true' };
+      }
+      if (token.value === 'null') return { type: 'literal', value: null };
+
+      const segments = [];
+      while (isPunct('.') || isPunct('[')) {
+        if (isPunct('.')) {
+          pos++;
+          const name = peek();
+          if (!name || (name.type !== 'ident' && name.type !== 'number')) {
+            throw new Error('Expected a field name after "."');
+          }
+          pos++;
+          segments.push({ name: String(name.value) });
+        } else {
+          pos++;
+          segments.push({ index: parseDefault() });
+          expect(']');
+        }
+      }
+      return { type: 'path', root: token.value, segments };
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  // Arguments run until the next | , ?? , ] or the end
+  const atArgumentEnd = () =>
+    !peek() || isPunct('|') || isPunct('??') || isPunct(']');
+
+  const parseFilter = (input) => {
+    const name = peek();
+    if (!name || name.type !== 'ident') throw new Error('Expected a filter name after "|"');
+    pos++;
+
+    const args = [];
+    while (!atArgumentEnd()) {
+      if (isPunct(',')) {
+        pos++;
+        continue;
+      }
+      if (name.value === 'where') {
+        const field = parseOperand();
+        if (field.type !== 'path') throw new Error('where expects a field');
+        let op = null;
+        let value = null;
+        if (isPunct('=') || isPunct('!=')) {
+          op = peek().value;
+          pos++;
+          value = parseOperand();
+        }
+        args.push({ where: { field, op, value } });
+      } else {
+        args.push(parseOperand());
+      }
+    }
+
+    return { type: 'filter', input, name: name.value, args };
+  };
+
+  const parsePipe = () => {
+    let node = parseOperand();
+    while (isPunct('|')) {
+      pos++;
+      node = parseFilter(node);
+    }
+    return node;
+  };
+
+  function parseDefault() {
+    let node = parsePipe();
+    while (isPunct('??')) {
+      pos++;
+      node = { type: 'default', left: node, right: parsePipe() };
+    }
+    return node;
+  }
+
+  const ast = parseDefault();
+  if (pos < tokens.length) throw new Error(`Unexpected "${peek().value}"`);
+  return ast;
+}
+
+const PARSE_CACHE_LIMIT = 500;
+const parseCache = new Map();
+
+/**
+ * Parse an expression, caching the result (or the parse error)
+ * The cache keeps the most recently used PARSE_CACHE_LIMIT expressions; Map
+ * iteration order doubles as recency, so a hit is moved to the end.
+ */
+function compile(source) {
+  let entry = parseCache.get(source);
+  if (entry) {
+    parseCache.delete(source);
+  } else {
+    try {
+      entry = { ast: parseExpression(source) };
+    } catch (error) {
+      entry = { error };
+    }
+    if (parseCache.size >= PARSE_CACHE_LIMIT) {
+      parseCache.delete(parseCache.keys().next().value);
+    }
+  }
+  parseCache.set(source, entry);
+  return entry;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve a root name against the payload, then the snapshot
+ */
+function resolveRoot(name, scope) {
+  const { payload = {}, snapshot = null } = scope;
+
+  const fromPayload = step(payload, name);
+  if (fromPayload !== undefined) return fromPayload;
+  if (name === 'task' && payload.taskId !== undefined) {
+    return snapshot?.tasks?.find((t) => t.id === payload.taskId);
+  }
+  if (name === 'now') return new Date();
+  return step(snapshot, name);
+}
+
+/**
+ * Read one step of a path; arrays indexed by non-numbers look up by id
+ * Only own properties are read, so templates cannot reach prototypes
+ * (`constructor`, `__proto__`).
+ */
+function step(value, key) {
+  if (value === undefined || value === null) return undefined;
+  if (Array.isArray(value) && typeof key !== 'number' && !/^\d+$/.test(String(key))) {
+    if (key === 'length') return value.length;
+    return value.find((item) => item && item.id === key);
+  }
+  if (!Object.prototype.hasOwnProperty.call(value, key)) return undefined;
+  return value[key];
+}
+
+function readPath(node, scope, base) {
+  let value = base !== undefined ? step(base, node.root) : resolveRoot(node.root, scope);
+  for (const segment of node.segments) {
+    const key = segment.name !== undefined ? segment.name : evaluate(segment.index, scope);
+    value = step(value, key);
+  }
+  return value;
+}
+
+/**
+ * Parse a date-ish value
+ */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Format a date with YYYY, YY, MMM, MM, DD, D, ddd, HH, mm, ss tokens,
+ * or "relative" for "today", "in 3 days", "2 days ago"
+ */
+export function formatDate(value, format = 'YYYY-MM-DD') {
+  const date = toDate(value);
+  if (!date) return undefined;
+
+  if (format === 'relative') {
+    const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    const days = Math.round((startOfDay(date) - startOfDay(new Date())) / DAY_MS);
+    if (days === 0) return 'today';
+    if (days === 1) return 'tomorrow';
+    if (days === -1) return 'yesterday';
+    return days > 0 ? `in ${days} days` : `${-days} days ago`;
+  }
+
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MMM: MONTHS[date.getMonth()],
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    D: String(date.getDate()),
+    ddd: WEEKDAYS[date.getDay()],
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return format.replace(/YYYY|YY|MMM|MM|DD|D|ddd|HH|mm|ss/g, (token) => parts[token]);
+}
+
+const toArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null) return [];
+  return [value];
+};
+
+const looselyEqual = (a, b) => a === b || (a !== undefined && a !== null && b !== null && String(a) === String(b));
+
+/**
+ * Keep the items matching every where-clause
+ */
+function whereFilter(input, clauses, scope) {
+  return toArray(input).filter((item) =>
+    clauses.every(({ field, op, value }) => {
+      const actual = readPath(field, scope, item);
+      if (!op) return Boolean(actual);
+      const expected = evaluate(value, scope);
+      return op === '=' ? looselyEqual(actual, expected) : !looselyEqual(actual, expected);
+    })
+  );
+}
+
+/**
+ * Available filters: (input, args, scope) => value
+ * args are evaluated expressions, except for where.
+ */
+const FILTERS = {
+  upper: (input) => (input === undefined || input === null ? input : String(input).toUpperCase()),
+  lower: (input) => (input === undefined || input === null ? input : String(input).toLowerCase()),
+  trim: (input) => (input === undefined || input === null ? input : String(input).trim()),
+  capitalize: (input) => {
+    if (input === undefined || input === null) return input;
+    const text = String(input);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  truncate: (input, [length = 50]) => {
+    if (input === undefined || input === null) return input;
+    const text = String(input);
+    return text.length > length ? text.slice(0, Math.max(0, length - 1)) + '…' : text;
+  },
+  default: (input, [fallback]) =>
+    input === undefined || input === null || input === '' ? fallback : input,
+  date: (input, [format]) => formatDate(input, format),
+  count: (input) => toArray(input).length,
+  length: (input) => (typeof input === 'string' ? input.length : toArray(input).length),
+  first: (input) => toArray(input)[0],
+  last: (input) => toArray(input)[toArray(input).length - 1],
+  map: (input, [field]) => toArray(input).map((item) => step(item, field)),
+  join: (input, [separator = ', ']) => toArray(input).join(separator),
+  sum: (input, [field]) =>
+    toArray(input).reduce((total, item) => total + (Number(field ? step(item, field) : item) || 0), 0),
+  round: (input, [digits = 0]) => {
+    const number = Number(input);
+    if (!Number.isFinite(number)) return input;
+    const factor = Math.pow(10, digits);
+    return Math.round(number * factor) / factor;
+  },
+  json: (input) => JSON.stringify(input)
+};
+
+export const TEMPLATE_FILTERS = Object.keys(FILTERS).concat('where');
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return readPath(node, scope);
+    case 'default': {
+      const left = evaluate(node.left, scope);
+      return left === undefined || left === null ? evaluate(node.right, scope) : left;
+    }
+    case 'filter': {
+      const input = evaluate(node.input, scope);
+      if (node.name === 'where') {
+        return whereFilter(input, node.args.map((a) => a.where), scope);
+      }
+      const filter = Object.prototype.hasOwnProperty.call(FILTERS, node.name) ? FILTERS[node.name] : null;
+      if (!filter) throw new Error(`Unknown filter "${node.name}"`);
+      // Bare words are filter options (map title, sum points), not lookups
+      const args = node.args.map((arg) =>
+        arg.type === 'path' && arg.segments.length === 0 && node.name !== 'default'
+          ? arg.root
+          : evaluate(arg, scope)
+      );
+      return filter(input, args, scope);
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Turn an expression result into text
+ */
+function stringify(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(stringify).join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Evaluate a single expression (the text between {{ and }})
+ *
+ * @returns {*} The value; throws on a syntax error or unknown filter
+ */
+export function evaluateExpression(expression, eventPayload, snapshot) {
+  const { ast, error } = compile(expression.trim());
+  if (error) throw error;
+  return evaluate(ast, { payload: eventPayload || {}, snapshot });
+}
+
+/**
+ * Render {{ }} placeholders in a string
+ * Non-strings are returned unchanged.
+ *
+ * @param {*} template - Template text
+ * @param {object} eventPayload - Event payload
+ * @param {object} snapshot - Current workspace snapshot
+ */
+export function renderTemplate(template, eventPayload, snapshot) {
+  if (typeof template !== 'string') return template;
+
+  return template.replace(PLACEHOLDER_PATTERN, (match, expression) => {
+    try {
+      const value = evaluateExpression(expression, eventPayload, snapshot);
+      return value !== undefined && value !== null ? stringify(value) : match;
+    } catch {
+      return match;
+    }
+  });
+}
+
+/**
+ * Check the placeholders of a template
+ *
+ * @returns {{ errors: string[], roots: string[] }} Syntax errors and the root
+ *   names the expressions read (e.g. ["task", "assignee"])
+ */
+export function inspectTemplate(template) {
+  const errors = [];
+  const roots = new Set();
+  if (typeof template !== 'string') return { errors, roots: [] };
+
+  const collect = (node) => {
+    if (!node) return;
+    switch (node.type) {
+      case 'path':
+        roots.add(node.root);
+        node.segments.forEach((s) => s.index && collect(s.index));
+        break;
+      case 'default':
+        collect(node.left);
+        collect(node.right);
+        break;
+      case 'filter':
+        collect(node.input);
+        if (!Object.prototype.hasOwnProperty.call(FILTERS, node.name) && node.name !== 'where') {
+          errors.push(`Unknown filter "${node.name}"`);
+        }
+        node.args.forEach((arg) => {
+          if (arg.where) {
+            if (arg.where.value) collect(arg.where.value);
+          } else if (node.name === 'default' || arg.type !== 'path' || arg.segments.length > 0) {
+            collect(arg);
+          }
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  for (const [, expression] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    const { ast, error } = compile(expression.trim());
+    if (error) {
+      errors.push(`{{${expression}}}: ${error.message}`);
+    } else {
+      collect(ast);
+    }
+  }
+
+  return { errors, roots: [...roots] };
+}
+
+export default {
+  TEMPLATE_FILTERS,
+  renderTemplate,
+  evaluateExpression,
+  inspectTemplate,
+  formatDate
+};
@@ -0,0 +1,444 @@
+/**
+ * FlowTransport.js
+ * Delivery of flow events to the backend.
+ *
+ * FlowEngine hands each execution's event to enqueueFlowEvent(). Events are
+ * kept in an outbox persisted in the app's key-value storage (see
+ * utils/storage.js; restored by loadSavedOutbox()) and posted in batches to
+ * the configured HTTP endpoint:
+ *
+ *   POST <endpoint>
+ *   Content-Type: application/json
+ *   Idempotency-Key: <executionIds of the batch, comma-separated>
+ *   { "events": [ { executionId, flowId, eventType, payload, ... } ] }
+ *
+ * The executionId of each event is its idempotency key: it is never queued
+ * twice and a retried batch carries the same ids, so the backend can drop
+ * duplicates. Network errors, 408, 429 and 5xx responses are retried with
+ * exponential backoff; other 4xx responses fail the batch.
+ *
+ * window.TasklyticsFlowClient.send(message), when defined, overrides the HTTP
+ * transport and receives each event instead (it may return a promise). With
+ * neither an endpoint nor a client, events are logged to the console.
+ */
+
+import { readValue, writeValue } from '../utils/storage';
+
+const STORAGE_KEY = 'flows.outbox';
+// Key earlier versions saved the outbox under, directly in localStorage
+const LEGACY_STORAGE_KEY = 'tasklytics-flow-outbox-v1';
+const DEFAULT_FLUSH_INTERVAL = 10000;
+const KEEP_DELIVERED = 50;
+// Undelivered entries kept while the endpoint is unreachable, and how long;
+// beyond either, the oldest are dropped (failed ones first)
+const KEEP_UNDELIVERED = 500;
+const UNDELIVERED_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_TRANSPORT_CONFIG = {
+  endpoint: import.meta.env?.VITE_FLOW_BACKEND_URL || '',
+  headers: {},
+  batchSize: 20,
+  maxAttempts: 8,
+  backoffMs: 2000,
+  maxBackoffMs: 5 * 60 * 1000,
+  timeoutMs: 15000
+};
+
+let transportConfig = { ...DEFAULT_TRANSPORT_CONFIG };
+let outbox = [];
+let outboxLoad = null;
+let writeQueue = Promise.resolve();
+let flushing = false;
+let flushQueued = false;
+const listeners = new Set();
+
+function loadOutbox() {
+  return outbox;
+}
+
+/**
+ * Outbox saved by an earlier session, moving that of earlier versions out of
+ * localStorage
+ */
+async function readSavedOutbox() {
+  const saved = await readValue(STORAGE_KEY);
+  if (Array.isArray(saved)) return saved;
+  if (typeof localStorage === 'undefined') return [];
+  const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!legacy) return [];
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  const parsed = JSON.parse(legacy);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * Restore the outbox saved by earlier sessions (once), after the entries
+ * queued since startup
+ * Entries caught mid-send by a reload go back to pending.
+ *
+ * @returns {Promise<Array>} Outbox entries
+ */
+export function loadSavedOutbox() {
+  if (outboxLoad) return outboxLoad;
+  outboxLoad = readSavedOutbox()
+    .then((saved) => {
+      const known = new Set(outbox.map((entry) => entry.id));
+      const restored = saved
+        .filter((entry) => entry && entry.id && !known.has(entry.id))
+        .map((entry) => (entry.status === 'sending' ? { ...entry, status: 'pending' } : entry));
+      if (restored.length > 0) {
+        saveOutbox([...outbox, ...restored]);
+        scheduleFlush();
+      }
+    })
+    .catch((e) => console.error('[FlowTransport] Failed to load outbox:', e))
+    .then(() => outbox);
+  return outboxLoad;
+}
+
+/**
+ * Entries to drop so undelivered ones stay within KEEP_UNDELIVERED and
+ * UNDELIVERED_MAX_AGE_MS; entries being sent are never dropped
+ *
+ * @param {Array} entries - Outbox, newest first
+ * @returns {Set} Ids to drop
+ */
+function expiredEntries(entries) {
+  const expiredBefore = new Date(Date.now() - UNDELIVERED_MAX_AGE_MS).toISOString();
+  const droppable = entries.filter((entry) => entry.status === 'pending' || entry.status === 'failed');
+  const dropped = new Set(droppable.filter((entry) => entry.queuedAt < expiredBefore).map((entry) => entry.id));
+
+  let excess = entries.filter((entry) => entry.status !== 'delivered' && !dropped.has(entry.id)).length - KEEP_UNDELIVERED;
+  ['failed', 'pending'].forEach((status) => {
+    for (let i = droppable.length - 1; i >= 0 && excess > 0; i--) {
+      const entry = droppable[i];
+      if (entry.status === status && !dropped.has(entry.id)) {
+        dropped.add(entry.id);
+        excess--;
+      }
+    }
+  });
+  return dropped;
+}
+
+/**
+ * Replace the outbox, keeping only the most recent delivered entries and
+ * the undelivered ones within limits, notify subscribers and save it once
+ * the saved outbox has been restored
+ */
+function saveOutbox(entries) {
+  const dropped = expiredEntries(entries);
+  if (dropped.size > 0) {
+    console.warn(`[FlowTransport] Dropped ${dropped.size} undelivered events (outbox limit or age)`);
+  }
+
+  let delivered = 0;
+  outbox = entries.filter((entry) => {
+    if (dropped.has(entry.id)) return false;
+    if (entry.status !== 'delivered') return true;
+    delivered++;
+    return delivered <= KEEP_DELIVERED;
+  });
+  listeners.forEach((listener) => listener());
+  writeQueue = writeQueue
+    .then(loadSavedOutbox)
+    .then(() => writeValue(STORAGE_KEY, outbox))
+    .catch((e) => {
+      if (e?.name !== 'QuotaExceededError') throw e;
+      // Out of space: keep what still has to be delivered
+      console.warn('[FlowTransport] Storage full, saving undelivered events only');
+      return writeValue(STORAGE_KEY, outbox.filter((entry) => entry.status !== 'delivered'));
+    })
+    .catch((e) => console.error('[FlowTransport] Failed to save outbox:', e));
+}
+
+/**
+ * Apply changes to the entries with the given ids
+ */
+function updateEntries(ids, changes) {
+  const idSet = new Set(ids);
+  saveOutbox(
+    loadOutbox().map((entry) =>
+      idSet.has(entry.id)
+        ? { ...entry, ...(typeof changes === 'function' ? changes(entry) : changes) }
+        : entry
+    )
+  );
+}
+
+function getOverrideClient() {
+  if (typeof window !== 'undefined' &&
+      window.TasklyticsFlowClient &&
+      typeof window.TasklyticsFlowClient.send === 'function') {
+    return window.TasklyticsFlowClient;
+  }
+  return null;
+}
+
+/**
+ * Update the transport settings (endpoint, headers, batchSize, maxAttempts,
+ * backoffMs, maxBackoffMs, timeoutMs); unset values keep their defaults
+ */
+export function configureTransport(config = {}) {
+  const defined = Object.fromEntries(
+    Object.entries(config).filter(([, value]) => value !== undefined && value !== null)
+  );
+  transportConfig = { ...DEFAULT_TRANSPORT_CONFIG, ...defined };
+  listeners.forEach((listener) => listener());
+  scheduleFlush();
+}
+
+/**
+ * How events are currently delivered: 'client', 'http' or 'console'
+ */
+export function getTransportMode() {
+  if (getOverrideClient()) return 'client';
+  return transportConfig.endpoint ? 'http' : 'console';
+}
+
+/**
+ * Current transport settings
+ */
+export function getTransportConfig() {
+  return transportConfig;
+}
+
+/**
+ * Outbox entries, newest first
+ * { id, message, status: 'pending'|'sending'|'delivered'|'failed',
+ *   attempts, queuedAt, nextAttemptAt, deliveredAt?, lastError? }
+ */
+export function getOutbox() {
+  return loadOutbox();
+}
+
+/**
+ * Subscribe to outbox and transport changes
+ *
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Queue a flow event for delivery
+ * Events without a configured endpoint or client are logged instead.
+ *
+ * @param {object} message - Event with an executionId
+ * @returns {object|null} The outbox entry, or null when only logged
+ */
+export function enqueueFlowEvent(message) {
+  if (getTransportMode() === 'console') {
+    console.log('[Flow event to backend]', message);
+    return null;
+  }
+
+  const id = message.executionId;
+  const existing = loadOutbox().find((entry) => entry.id === id);
+  if (existing) return existing;
+
+  const now = new Date().toISOString();
+  const entry = {
+    id,
+    message,
+    status: 'pending',
+    attempts: 0,
+    queuedAt: now,
+    nextAttemptAt: now
+  };
+  saveOutbox([entry, ...loadOutbox()]);
+  scheduleFlush();
+  return entry;
+}
+
+/**
+ * Queue failed entries (or the given ones) for another round of attempts
+ */
+export function retryDeliveries(ids = null) {
+  const now = new Date().toISOString();
+  const targets = loadOutbox()
+    .filter((entry) => entry.status === 'failed' && (!ids || ids.includes(entry.id)))
+    .map((entry) => entry.id);
+
+  updateEntries(targets, { status: 'pending', attempts: 0, nextAttemptAt: now, lastError: null });
+  scheduleFlush();
+}
+
+/**
+ * Drop delivered entries (and failed ones with includeFailed)
+ */
+export function clearDeliveries({ includeFailed = false } = {}) {
+  saveOutbox(
+    loadOutbox().filter((entry) =>
+      entry.status === 'pending' ||
+      entry.status === 'sending' ||
+      (entry.status === 'failed' && !includeFailed)
+    )
+  );
+}
+
+/**
+ * Backoff before the given attempt number (2, 3, ...)
+ */
+function backoffFor(attempts) {
+  const { backoffMs, maxBackoffMs } = transportConfig;
+  return Math.min(maxBackoffMs, backoffMs * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+/**
+ * Post a batch to the HTTP endpoint
+ * Resolves when delivered; rejects with error.retryable set accordingly.
+ */
+async function postBatch(entries) {
+  const { endpoint, headers, timeoutMs } = transportConfig;
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': entries.map((entry) => entry.id).join(','),
+        ...headers
+      },
+      body: JSON.stringify({ events: entries.map((entry) => entry.message) }),
+      signal: controller?.signal
+    });
+  } catch (e) {
+    const error = new Error(e.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : e.message);
+    error.retryable = true;
+    throw error;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw error;
+  }
+}
+
+/**
+ * Hand a batch to the override client, one event at a time
+ */
+async function sendThroughClient(client, entries) {
+  for (const entry of entries) {
+    try {
+      await client.send(entry.message);
+    } catch (e) {
+      const error = new Error(e?.message || String(e));
+      error.retryable = true;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Deliver due pending entries, one batch at a time, until none are due
+ */
+export async function flushOutbox() {
+  if (flushing) {
+    flushQueued = true;
+    return;
+  }
+  flushing = true;
+
+  try {
+    for (;;) {
+      const mode = getTransportMode();
+      if (mode === 'console') break;
+
+      const now = new Date().toISOString();
+      const batch = loadOutbox()
+        .filter((entry) => entry.status === 'pending' && entry.nextAttemptAt <= now)
+        .reverse()
+        .slice(0, transportConfig.batchSize);
+      if (batch.length === 0) break;
+
+      const ids = batch.map((entry) => entry.id);
+      updateEntries(ids, (entry) => ({ status: 'sending', attempts: entry.attempts + 1 }));
+
+      try {
+        const client = getOverrideClient();
+        if (client) {
+          await sendThroughClient(client, batch);
+        } else {
+          await postBatch(batch);
+        }
+        updateEntries(ids, {
+          status: 'delivered',
+          deliveredAt: new Date().toISOString(),
+          via: mode,
+          lastError: null
+        });
+      } catch (error) {
+        updateEntries(ids, (entry) => {
+          const giveUp = !error.retryable || entry.attempts >= transportConfig.maxAttempts;
+          return {
+            status: giveUp ? 'failed' : 'pending',
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + backoffFor(entry.attempts)).toISOString()
+          };
+        });
+        // Leave the rest for the next flush
+        break;
+      }
+    }
+  } finally {
+    flushing = false;
+    if (flushQueued) {
+      flushQueued = false;
+      scheduleFlush();
+    }
+  }
+}
+
+let flushTimer = null;
+
+/**
+ * Flush on the next tick, so events fired together share a batch
+ */
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushOutbox();
+  }, 0);
+}
+
+/**
+ * Start delivering the outbox periodically and when the browser comes online
+ *
+ * @returns {Function} Stop function
+ */
+export function startTransport(intervalMs = DEFAULT_FLUSH_INTERVAL) {
+  loadSavedOutbox();
+  scheduleFlush();
+  const handle = setInterval(flushOutbox, intervalMs);
+  const onOnline = () => flushOutbox();
+  if (typeof window !== 'undefined') window.addEventListener('online', onOnline);
+
+  return () => {
+    clearInterval(handle);
+    if (typeof window !== 'undefined') window.removeEventListener('online', onOnline);
+  };
+}
+
+export default {
+  configureTransport,
+  getTransportMode,
+  getTransportConfig,
+  getOutbox,
+  loadSavedOutbox,
+  subscribeOutbox,
+  enqueueFlowEvent,
+  retryDeliveries,
+  clearDeliveries,
+  flushOutbox,
+  startTransport
+};
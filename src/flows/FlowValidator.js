@@ -0,0 +1,238 @@
+/**
+ * FlowValidator.js
+ * Static checks of a flow definition, shared by FlowEditor (before save)
+ * and FlowEngine (when flows are loaded).
+ *
+ * validateFlow() returns a list of issues:
+ *   { severity: 'error'|'warning', code, message, nodeId? }
+ *
+ * Errors make a flow unable to run as drawn (no trigger, unknown action or
+ * command, invalid config); FlowEditor refuses to save them and FlowEngine
+ * does not run them. Warnings point at likely mistakes (unreachable nodes,
+ * template fields the trigger does not provide) and only ask for
+ * confirmation. Issues of graph flows carry the id of the offending node.
+ */
+
+import { findTriggerNode } from './FlowGraph';
+import { getAction, validateActionConfig } from './ActionRegistry';
+import { inspectTemplate } from './FlowTemplates';
+import {
+  COMMON_PAYLOAD_FIELDS,
+  WORKSPACE_FIELDS,
+  getTriggerEvent
+} from './EventCatalog';
+
+// Template roots resolved without the payload (see FlowTemplates.resolveRoot)
+const BUILTIN_TEMPLATE_ROOTS = ['now'];
+
+/**
+ * Collect the template strings of an action config, with their field path
+ */
+function collectTemplates(value, path, out) {
+  if (typeof value === 'string') {
+    if (value.includes('{{')) out.push({ path, template: value });
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectTemplates(item, `${path}[${index}]`, out));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) =>
+      collectTemplates(item, path ? `${path}.${key}` : key, out)
+    );
+  }
+  return out;
+}
+
+/**
+ * Names templates can start from for a trigger event, or null when the
+ * event is not in the catalog (anything may be provided)
+ */
+function availableRoots(eventType, snapshot) {
+  const event = getTriggerEvent(eventType);
+  if (!event) return null;
+
+  const roots = new Set([
+    ...event.fields,
+    ...COMMON_PAYLOAD_FIELDS,
+    ...BUILTIN_TEMPLATE_ROOTS,
+    ...WORKSPACE_FIELDS,
+    ...Object.keys(snapshot || {})
+  ]);
+  if (event.fields.includes('taskId')) roots.add('task');
+  return roots;
+}
+
+/**
+ * Check one action: its type, config and templates
+ */
+function validateAction(action, { nodeId, label, eventType, roots }) {
+  const issues = [];
+  const push = (severity, code, message) =>
+    issues.push({ severity, code, message: `${label}: ${message}`, ...(nodeId ? { nodeId } : {}) });
+
+  if (!action.type) {
+    push('error', 'missing_action_type', 'No action type selected');
+    return issues;
+  }
+  if (!getAction(action.type)) {
+    push('error', 'unknown_action', `Unknown action type "${action.type}"`);
+    return issues;
+  }
+
+  validateActionConfig(action.type, action.config || {}).forEach((problem) =>
+    push('error', 'invalid_config', problem)
+  );
+
+  Object.entries(action.invalidJson || {}).forEach(([key, { error }]) =>
+    push('error', 'invalid_json', `Field "${key}" is not valid JSON (${error})`)
+  );
+
+  collectTemplates(action.config || {}, '', []).forEach(({ path, template }) => {
+    const { errors, roots: used } = inspectTemplate(template);
+    errors.forEach((error) => push('error', 'template_syntax', `Field "${path}": ${error}`));
+
+    if (!roots) return;
+    used
+      .filter((root) => !roots.has(root))
+      .forEach((root) =>
+        push(
+          'warning',
+          'unknown_field',
+          `Field "${path}" uses {{${root}}}, which ${eventType} events do not provide`
+        )
+      );
+  });
+
+  return issues;
+}
+
+/**
+ * Ids of the nodes reachable from the given start nodes
+ */
+function reachableFrom(startIds, edges) {
+  const seen = new Set(startIds);
+  const queue = [...startIds];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    edges.forEach((edge) => {
+      if (edge.source === id && !seen.has(edge.target)) {
+        seen.add(edge.target);
+        queue.push(edge.target);
+      }
+    });
+  }
+  return seen;
+}
+
+/**
+ * Validate a flow definition
+ *
+ * @param {object} flow - Flow definition (graph or legacy action list)
+ * @param {object} [options.snapshot] - Workspace snapshot, whose top-level
+ *   fields templates may use
+ * @returns {Array} Issues, errors first
+ */
+export function validateFlow(flow, { snapshot = null } = {}) {
+  const issues = [];
+  if (!flow) return issues;
+
+  const hasGraph = Array.isArray(flow.nodes) && flow.nodes.length > 0;
+
+  if (hasGraph) {
+    const nodes = flow.nodes;
+    const edges = flow.edges || [];
+    const triggers = nodes.filter((n) => n.type === 'trigger');
+    const trigger = findTriggerNode(nodes);
+    const eventType = trigger?.data?.eventType;
+    const roots = availableRoots(eventType, snapshot);
+
+    if (triggers.length === 0) {
+      issues.push({
+        severity: 'error',
+        code: 'no_trigger',
+        message: 'The flow has no trigger node'
+      });
+    }
+    if (triggers.length > 1) {
+      triggers.forEach((node) =>
+        issues.push({
+          severity: 'error',
+          code: 'multiple_triggers',
+          message: `${node.data?.label || 'Trigger'}: only one trigger is allowed per flow`,
+          nodeId: node.id
+        })
+      );
+    }
+    triggers.forEach((node) => {
+      const type = node.data?.eventType;
+      if (type && type !== 'manual' && !getTriggerEvent(type)) {
+        issues.push({
+          severity: 'warning',
+          code: 'unknown_event',
+          message: `${node.data?.label || 'Trigger'}: unknown event type "${type}"`,
+          nodeId: node.id
+        });
+      }
+    });
+
+    const reachable = reachableFrom(triggers.map((n) => n.id), edges);
+
+    nodes.forEach((node) => {
+      const label = node.data?.label || node.type;
+
+      if (node.type !== 'trigger' && triggers.length > 0 && !reachable.has(node.id)) {
+        issues.push({
+          severity: 'warning',
+          code: 'disconnected',
+          message: `${label}: not connected to the trigger, so it never runs`,
+          nodeId: node.id
+        });
+      }
+
+      if (node.type === 'action') {
+        issues.push(...validateAction(
+          {
+            type: node.data?.actionType,
+            config: node.data?.config,
+            invalidJson: node.data?.invalidJson
+          },
+          { nodeId: node.id, label, eventType, roots }
+        ));
+      }
+    });
+  } else {
+    const eventType = flow.trigger?.type || flow.defaultTrigger;
+    const roots = availableRoots(eventType, snapshot);
+
+    if (!eventType) {
+      issues.push({
+        severity: 'error',
+        code: 'no_trigger',
+        message: 'The flow has no trigger'
+      });
+    }
+
+    (flow.actions || []).forEach((action, index) => {
+      issues.push(...validateAction(action, {
+        label: `Action ${index + 1}`,
+        eventType,
+        roots
+      }));
+    });
+  }
+
+  return [
+    ...issues.filter((issue) => issue.severity === 'error'),
+    ...issues.filter((issue) => issue.severity !== 'error')
+  ];
+}
+
+/**
+ * Whether any issue prevents the flow from running
+ */
+export function hasBlockingIssues(issues = []) {
+  return issues.some((issue) => issue.severity === 'error');
+}
+
+export default {
+  validateFlow,
+  hasBlockingIssues
+};
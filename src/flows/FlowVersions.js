@@ -0,0 +1,216 @@
+/**
+ * FlowVersions.js
+ * Version history of flow definitions.
+ *
+ * Every save of a flow stamps it with the next version number, the time and
+ * the author, and keeps a copy of the definition in the flow's history:
+ *
+ *   versions = { [flowId]: [{ version, savedAt, author, restoredFrom?, flow }] }
+ *
+ * newest first. The library always holds the latest version; bindings run
+ * it unless they pin an older one with `flowVersion`. Rolling back saves an
+ * old definition as a new version, so the trail is never rewritten.
+ */
+
+// Versions kept per flow, besides those pinned by bindings
+export const FLOW_VERSION_LIMIT = 50;
+
+/**
+ * Stamp a flow definition as the version after `previous`
+ *
+ * @param {object} flow - Definition being saved
+ * @param {object|null} previous - Current library entry, if any
+ * @param {object} [meta] - { author, restoredFrom }
+ * @returns {object} Stamped definition
+ */
+export function stampFlowVersion(flow, previous, { author = null, restoredFrom = null } = {}) {
+  const { restoredFrom: _previousRestore, ...rest } = flow;
+  return {
+    ...rest,
+    version: (previous?.version || 0) + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy: author,
+    ...(restoredFrom ? { restoredFrom } : {})
+  };
+}
+
+/**
+ * Versions of flows pinned by bindings
+ *
+ * @returns {Map} flowId → Set of pinned versions
+ */
+export function pinnedVersions(bindings = {}) {
+  const pinned = new Map();
+  Object.values(bindings).forEach((list) => {
+    (list || []).forEach((binding) => {
+      if (!binding.flowVersion) return;
+      if (!pinned.has(binding.flowId)) pinned.set(binding.flowId, new Set());
+      pinned.get(binding.flowId).add(binding.flowVersion);
+    });
+  });
+  return pinned;
+}
+
+/**
+ * Add the current version of each flow to the history when missing
+ * Flows saved before versioning start at version 1. Histories are trimmed
+ * to FLOW_VERSION_LIMIT, keeping versions pinned by bindings.
+ *
+ * @param {object} versions - Current history
+ * @param {Array} flows - Flow definitions to record
+ * @param {object} [bindings] - Binding map, for pinned versions
+ * @returns {object} New history (the same object when nothing changed)
+ */
+export function recordFlowVersions(versions, flows, bindings = {}) {
+  let next = versions;
+  const pinned = pinnedVersions(bindings);
+
+  flows.forEach((flow) => {
+    const stamped = flow.version ? flow : { ...flow, version: 1 };
+    const list = next[flow.id] || [];
+    if (list.some((entry) => entry.version === stamped.version)) return;
+
+    const keep = pinned.get(flow.id) || new Set();
+    const updated = [
+      {
+        version: stamped.version,
+        savedAt: stamped.updatedAt || null,
+        author: stamped.updatedBy || null,
+        ...(stamped.restoredFrom ? { restoredFrom: stamped.restoredFrom } : {}),
+        flow: stamped
+      },
+      ...list
+    ]
+      .sort((a, b) => b.version - a.version)
+      .filter((entry, index) => index < FLOW_VERSION_LIMIT || keep.has(entry.version));
+
+    next = { ...next, [flow.id]: updated };
+  });
+
+  return next;
+}
+
+/**
+ * Definition of a flow at a given version, or null when not kept
+ */
+export function getFlowVersion(versions, flowId, version) {
+  const entry = (versions[flowId] || []).find((e) => e.version === version);
+  return entry ? entry.flow : null;
+}
+
+/**
+ * Flatten a value into { path: JSON of leaf } for comparison
+ */
+function flatten(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object') {
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [`[${index}]`, item])
+      : Object.entries(value).map(([key, item]) => [prefix ? `.${key}` : key, item]);
+    if (entries.length === 0) out[prefix] = JSON.stringify(value);
+    entries.forEach(([key, item]) => flatten(item, `${prefix}${key}`, out));
+  } else if (value !== undefined) {
+    out[prefix] = JSON.stringify(value);
+  }
+  return out;
+}
+
+/**
+ * Field-by-field differences between two values
+ *
+ * @returns {Array} [{ path, before, after }] with JSON-encoded leaves
+ */
+function diffValues(before, after) {
+  const a = flatten(before);
+  const b = flatten(after);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter((path) => a[path] !== b[path])
+    .sort()
+    .map((path) => ({ path, before: a[path], after: b[path] }));
+}
+
+// Flow fields compared as settings; graph flows compare nodes and edges
+// separately, action-list flows their conditions and actions. The owner and
+// run-as role decide what the flow may do (see FlowPermissions.js).
+const SETTING_FIELDS = [
+  'name',
+  'description',
+  'enabled',
+  'sendToBackend',
+  'defaultTrigger',
+  'trigger',
+  'owner',
+  'runAs'
+];
+const LEGACY_FIELDS = ['conditions', 'actions'];
+
+const edgeKey = (edge) =>
+  `${edge.source}${edge.sourceHandle ? `:${edge.sourceHandle}` : ''} → ${edge.target}`;
+
+/**
+ * Compare two flow definitions
+ * Node positions are ignored; nodes are matched by id and edges by their
+ * endpoints.
+ *
+ * @returns {object} {
+ *   settings: [{ path, before, after }],
+ *   nodes: { added: [node], removed: [node], changed: [{ id, before, after, changes }] },
+ *   edges: { added: [key], removed: [key] }
+ * }
+ */
+export function diffFlowVersions(before = {}, after = {}) {
+  const hasGraph = Array.isArray(before.nodes) || Array.isArray(after.nodes);
+  const fields = hasGraph ? SETTING_FIELDS : [...SETTING_FIELDS, ...LEGACY_FIELDS];
+  const pick = (flow) => Object.fromEntries(fields.map((key) => [key, flow[key]]));
+
+  const beforeNodes = new Map((before.nodes || []).map((n) => [n.id, n]));
+  const afterNodes = new Map((after.nodes || []).map((n) => [n.id, n]));
+  const nodeContent = (node) => ({ type: node.type, data: node.data });
+
+  const changed = [];
+  afterNodes.forEach((node, id) => {
+    const old = beforeNodes.get(id);
+    if (!old) return;
+    const changes = diffValues(nodeContent(old), nodeContent(node));
+    if (changes.length > 0) changed.push({ id, before: old, after: node, changes });
+  });
+
+  const beforeEdges = new Set((before.edges || []).map(edgeKey));
+  const afterEdges = new Set((after.edges || []).map(edgeKey));
+
+  return {
+    settings: diffValues(pick(before), pick(after)),
+    nodes: {
+      added: [...afterNodes.values()].filter((n) => !beforeNodes.has(n.id)),
+      removed: [...beforeNodes.values()].filter((n) => !afterNodes.has(n.id)),
+      changed
+    },
+    edges: {
+      added: [...afterEdges].filter((key) => !beforeEdges.has(key)),
+      removed: [...beforeEdges].filter((key) => !afterEdges.has(key))
+    }
+  };
+}
+
+/**
+ * Whether a diff has no differences
+ */
+export function isEmptyDiff(diff) {
+  return (
+    diff.settings.length === 0 &&
+    diff.nodes.added.length === 0 &&
+    diff.nodes.removed.length === 0 &&
+    diff.nodes.changed.length === 0 &&
+    diff.edges.added.length === 0 &&
+    diff.edges.removed.length === 0
+  );
+}
+
+export default {
+  FLOW_VERSION_LIMIT,
+  stampFlowVersion,
+  pinnedVersions,
+  recordFlowVersions,
+  getFlowVersion,
+  diffFlowVersions,
+  isEmptyDiff
+};
@@ -1,23 +1,94 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import {
+  loadFlows,
+  executeFlow,
+  resumeFlow,
+  getExecutionHistory,
+  restoreExecutionHistory,
+  clearExecutionHistory as clearEngineHistory
+} from '../flows/FlowEngine';
+import {
+  loadFlowState,
+  saveFlowState,
+  saveFlowVersions,
+  saveExecutionHistory
+} from '../flows/FlowStorage';
+import { stampFlowVersion, recordFlowVersions, getFlowVersion } from '../flows/FlowVersions';
+import { createFlowBundle, applyFlowBundle } from '../flows/FlowBundle';
+import { stampFlowOwner } from '../flows/FlowPermissions';
+import { PERMISSIONS, roleHas } from '../utils/permissions';
+import {
+  getPendingTimers,
+  loadPendingTimers,
+  subscribeTimers,
+  cancelTimer,
+  syncScheduleTimers,
+  startScheduler
+} from '../flows/FlowScheduler';
+import { resolveTargetKeys, targetKeyForTask } from '../flows/FlowTargets';
+import {
+  configureTransport,
+  getOutbox,
+  subscribeOutbox,
+  retryDeliveries,
+  clearDeliveries,
+  startTransport
+} from '../flows/FlowTransport';
 
 /**
  * useFlows - Custom hook for managing flow automation state
  *
  * Handles:
  * - Flow library (available automation flows)
- * - Flow bindings (which flows are attached to which targets)
+ * - Flow bindings (which flows are attached to which targets, including
+ *   workspace-wide and pattern targets, see flows/FlowTargets.js)
  * - Flow mode (visual binding mode on/off)
  * - Selected flow target (for attaching/detaching flows)
+ * - Flow dispatch (executing bound flows through FlowEngine)
+ * - Execution history (results of recent flow runs)
+ * - Scheduler (schedule-triggered flows and delayed actions)
+ * - Backend delivery (outbox of flow events, see flows/FlowTransport.js)
+ * - Persistence of library, bindings and history (see flows/FlowStorage.js)
+ * - Import/export of flows as JSON bundles (see flows/FlowBundle.js)
+ * - Flow owners and run-as roles; bindings record who attached them (see
+ *   flows/FlowPermissions.js)
+ * - Flow versions: every save is a new version; rollback; bindings pinned
+ *   to a version (see flows/FlowVersions.js)
  *
  * Based on the original App.js flow management logic.
  */
-export function useFlows(initialFlowLibrary = []) {
-  // Flow library: array of available flow definitions
-  const [flowLibrary, setFlowLibrary] = useState(initialFlowLibrary);
+/**
+ * @param {Array} initialFlowLibrary - Flow definitions to start with
+ * @param {object} initialFlowBindings - Bindings keyed by target key
+ * @param {object} options
+ * @param {function} options.getExecutionContext - Returns the current
+ *   FlowEngine context; used when timers fire outside of an event
+ * @param {string} options.backendEndpoint - HTTP endpoint for flow events
+ * @param {boolean} options.persist - Load and save flows, bindings and
+ *   execution history (default true); the initial values are used until
+ *   saved data has loaded, and when there is none
+ * @param {object} options.user - { name, role } of the current member;
+ *   saved flows and new bindings are attributed to them, and attaching
+ *   needs ATTACH_FLOWS
+ */
+export function useFlows(initialFlowLibrary = [], initialFlowBindings = {}, options = {}) {
+  const { getExecutionContext, backendEndpoint, persist = true, user = null } = options;
+
+  // Flow library: array of available flow definitions, at their latest version
+  const [flowLibrary, setFlowLibrary] = useState(() =>
+    initialFlowLibrary.map((flow) => (flow.version ? flow : { ...flow, version: 1 }))
+  );
 
   // Flow bindings: maps target keys to attached flows
   // Example: { "task:T-101": [{ id: "binding-1", flowId: "flow-1", eventType: "task.dropped" }] }
-  const [flowBindings, setFlowBindings] = useState({});
+  // Keys may also be "workspace", "task:*", "tag:<tag>" or "column:<status>"
+  // A binding with flowVersion runs that version instead of the latest
+  const [flowBindings, setFlowBindings] = useState(initialFlowBindings);
+
+  // Version history by flow id, newest first
+  const [flowVersions, setFlowVersions] = useState(() =>
+    recordFlowVersions({}, initialFlowLibrary, initialFlowBindings)
+  );
 
   // Flow mode: whether the UI is in "flow binding mode"
   const [flowMode, setFlowMode] = useState(false);
@@ -26,11 +97,37 @@ export function useFlows(initialFlowLibrary = []) {
   // Example: { key: "task:T-101", label: "Task T-101", type: "task" }
   const [selectedFlowTarget, setSelectedFlowTarget] = useState(null);
 
+  // Execution history: mirror of FlowEngine's log, refreshed after each dispatch
+  const [executionHistory, setExecutionHistory] = useState(() => getExecutionHistory());
+
+  // Pending timers from FlowScheduler (persisted across reloads)
+  const pendingTimers = useSyncExternalStore(subscribeTimers, getPendingTimers);
+
+  // Backend outbox from FlowTransport (persisted across reloads)
+  const deliveries = useSyncExternalStore(subscribeOutbox, getOutbox);
+
+  // Validation issues by flow id; FlowEngine does not run flows with errors
+  const flowIssues = useMemo(() => loadFlows(flowLibrary), [flowLibrary]);
+
+  // Whether saved state has been loaded (or there is nothing to load);
+  // nothing is saved before, so the initial values never replace saved ones
+  const [storageLoaded, setStorageLoaded] = useState(!persist);
+
+  // Latest library, versions and context provider, read by timers when they fire
+  const flowLibraryRef = useRef(flowLibrary);
+  const flowVersionsRef = useRef(flowVersions);
+  const getContextRef = useRef(getExecutionContext);
+  useEffect(() => {
+    flowLibraryRef.current = flowLibrary;
+    flowVersionsRef.current = flowVersions;
+    getContextRef.current = getExecutionContext;
+  });
+
   /**
    * Generate a target key for a task
    */
   const flowTargetKeyForTask = useCallback((taskId) => {
-    return `task:${taskId}`;
+    return targetKeyForTask(taskId);
   }, []);
 
   /**
@@ -41,23 +138,63 @@ export function useFlows(initialFlowLibrary = []) {
   }, [flowBindings]);
 
   /**
-   * Save or update a flow in the library
+   * Put stamped flow versions into the library and the version history
    */
-  const saveFlow = useCallback((flowDef) => {
+  const commitFlowVersions = useCallback((stampedFlows) => {
     setFlowLibrary((prev) => {
-      const existingIndex = prev.findIndex((f) => f.id === flowDef.id);
+      const updated = [...prev];
+      stampedFlows.forEach((flow) => {
+        const existingIndex = updated.findIndex((f) => f.id === flow.id);
+        if (existingIndex !== -1) {
+          // Update existing flow
+          updated[existingIndex] = flow;
+        } else {
+          // Add new flow
+          updated.push(flow);
+        }
+      });
+      return updated;
+    });
+    setFlowVersions((prev) => recordFlowVersions(prev, stampedFlows, flowBindings));
+  }, [flowBindings]);
 
-      if (existingIndex !== -1) {
-        // Update existing flow
-        const updated = [...prev];
-        updated[existingIndex] = flowDef;
-        return updated;
-      } else {
-        // Add new flow
-        return [...prev, flowDef];
-      }
+  /**
+   * Save or update a flow in the library, as a new version
+   *
+   * @param {object} flowDef - Flow definition
+   * @param {object} meta - { author } recorded with the version
+   * @returns {object} The saved definition
+   */
+  const saveFlow = useCallback((flowDef, { author } = {}) => {
+    const previous = flowLibrary.find((f) => f.id === flowDef.id) || null;
+    const stamped = stampFlowVersion(stampFlowOwner(flowDef, previous, user || {}), previous, {
+      author
     });
-  }, []);
+    commitFlowVersions([stamped]);
+    return stamped;
+  }, [flowLibrary, commitFlowVersions, user]);
+
+  /**
+   * Restore an earlier version of a flow by saving it as a new version
+   *
+   * @param {string} flowId - Flow id
+   * @param {number} version - Version to restore
+   * @param {object} meta - { author } recorded with the new version
+   * @returns {object|null} The saved definition, or null when the version
+   *   is not kept
+   */
+  const rollbackFlow = useCallback((flowId, version, { author } = {}) => {
+    const restored = getFlowVersion(flowVersions, flowId, version);
+    const current = flowLibrary.find((f) => f.id === flowId);
+    if (!restored || !current) return null;
+
+    const stamped = stampFlowVersion(stampFlowOwner(restored, current, user || {}), current, {
+      author,
+      restoredFrom: version
+    });
+    commitFlowVersions([stamped]);
+    return stamped;
+  }, [flowLibrary, flowVersions, commitFlowVersions, user]);
 
   /**
    * Toggle flow mode on/off
@@ -83,12 +220,19 @@ export function useFlows(initialFlowLibrary = []) {
   }, []);
 
   /**
-   * Attach a flow to the currently selected target
+   * Attach a flow to the currently selected target, or to an explicit
+   * target key when one is given
+   * The binding records who attached it; the flow never runs with more
+   * than their role (see FlowPermissions).
    */
-  const attachFlow = useCallback((flowId, eventType = 'task.dropped') => {
-    if (!selectedFlowTarget || !selectedFlowTarget.key) return;
+  const attachFlow = useCallback((flowId, eventType = 'task.dropped', explicitTargetKey) => {
+    const targetKey = explicitTargetKey || selectedFlowTarget?.key;
+    if (!targetKey) return;
 
-    const targetKey = selectedFlowTarget.key;
+    if (user && !roleHas(user.role, PERMISSIONS.ATTACH_FLOWS)) {
+      console.warn(`[Flow] ${user.role} cannot attach flows`);
+      return;
+    }
 
     setFlowBindings((prev) => {
       const next = { ...prev };
@@ -98,13 +242,14 @@ export function useFlows(initialFlowLibrary = []) {
       arr.push({
         id: `binding-${Date.now()}-${Math.random().toString(16).slice(2)}`,
         flowId,
-        eventType
+        eventType,
+        ...(user ? { attachedBy: { name: user.name, role: user.role } } : {})
       });
 
       next[targetKey] = arr;
       return next;
     });
-  }, [selectedFlowTarget]);
+  }, [selectedFlowTarget, user]);
 
   /**
    * Detach a flow binding from the currently selected target
@@ -132,50 +277,316 @@ export function useFlows(initialFlowLibrary = []) {
     });
   }, [selectedFlowTarget]);
 
+  /**
+   * Pin a binding of the selected target to a flow version, or make it
+   * follow the latest version again (version null)
+   */
+  const pinBindingVersion = useCallback((bindingId, version) => {
+    if (!selectedFlowTarget || !selectedFlowTarget.key) return;
+
+    const targetKey = selectedFlowTarget.key;
+
+    setFlowBindings((prev) => {
+      if (!prev[targetKey]) return prev;
+      return {
+        ...prev,
+        [targetKey]: prev[targetKey].map((binding) => {
+          if (binding.id !== bindingId) return binding;
+          const { flowVersion: _previous, ...rest } = binding;
+          return version ? { ...rest, flowVersion: version } : rest;
+        })
+      };
+    });
+  }, [selectedFlowTarget]);
+
   /**
    * Fire flows for a specific event
-   * This should trigger execution of all matching flows
+   * Bindings are collected from every target the event reaches (the task
+   * itself, matching column/tag patterns, every task, the workspace), and
+   * each bound flow matching the event is handed to FlowEngine.executeFlow
+   * once, via its most specific binding, which is passed on as
+   * context.binding for the run-as role. Flows run concurrently; the
+   * execution history is refreshed when they start and when they settle.
+   * A `cause` on the payload (events from a command a flow ran) is passed on
+   * with it, so the flows join that flow's cascade.
    *
    * @param {string} eventType - Type of event (e.g., "task.dropped")
    * @param {object} payload - Event payload data
-   * @param {function} executionCallback - Optional callback to execute flows
+   * @param {object} context - Execution context for FlowEngine
+   *   ({ runCommand, currentSnapshot, addAiSystemMessage })
+   * @returns {Promise<Array>} Results of the executed flows
    */
-  const fireFlowsForEvent = useCallback((eventType, payload = {}, executionCallback) => {
-    if (!eventType) return;
+  const fireFlowsForEvent = useCallback(async (eventType, payload = {}, context = {}) => {
+    if (!eventType) return [];
 
     const safePayload = { ...payload, eventType };
 
-    // Determine target key from payload
+    // The event's own target, used by flows as {{targetKey}}
     const targetKey =
       safePayload.targetKey ||
       (safePayload.taskId ? flowTargetKeyForTask(safePayload.taskId) : null);
 
-    if (!targetKey) return;
+    const targetKeys = resolveTargetKeys(safePayload, context.currentSnapshot);
+    const runs = [];
+    const executedFlowIds = new Set();
+
+    targetKeys.forEach((bindingKey) => {
+      getFlowBindingsForTarget(bindingKey).forEach((binding) => {
+        // Filter by event type if specified in binding
+        if (binding.eventType && binding.eventType !== eventType) return;
+
+        const flowId = binding.flowId;
+        if (executedFlowIds.has(flowId)) return;
+
+        let flow = flowLibrary.find((f) => f.id === flowId);
+
+        if (!flow) {
+          console.warn('[Flow] Flow not found:', flowId);
+          return;
+        }
+
+        // Pinned bindings run their version; disabling the flow still applies
+        if (binding.flowVersion && binding.flowVersion !== flow.version && flow.enabled) {
+          const pinned = getFlowVersion(flowVersions, flowId, binding.flowVersion);
+          if (pinned) {
+            flow = pinned;
+          } else {
+            console.warn(`[Flow] Version ${binding.flowVersion} of ${flowId} not found, running latest`);
+          }
+        }
+
+        executedFlowIds.add(flowId);
+        runs.push(
+          executeFlow(flow, { ...safePayload, targetKey, bindingKey }, { ...context, binding })
+            .then((result) => ({ bindingId: binding.id, bindingKey, flowId, ...result }))
+        );
+      });
+    });
 
-    const bindings = getFlowBindingsForTarget(targetKey);
-    if (!bindings || bindings.length === 0) return;
+    if (runs.length === 0) return [];
 
-    // Execute each matching flow
-    bindings.forEach((binding) => {
-      // Filter by event type if specified in binding
-      if (binding.eventType && binding.eventType !== eventType) return;
+    // Show running executions right away
+    setExecutionHistory(getExecutionHistory());
 
-      const flowId = binding.flowId;
-      const flow = flowLibrary.find((f) => f.id === flowId);
+    const results = await Promise.all(runs);
+    setExecutionHistory(getExecutionHistory());
 
-      if (!flow) {
-        console.warn('[Flow] Flow not found:', flowId);
-        return;
-      }
+    return results;
+  }, [flowLibrary, flowVersions, flowTargetKeyForTask, getFlowBindingsForTarget]);
 
-      // Execute flow via callback if provided
-      if (typeof executionCallback === 'function') {
-        executionCallback(flow, safePayload);
-      } else {
-        console.log('[Flow] Would execute:', flow.name, 'for event:', eventType);
+  /**
+   * Run a due timer: resume a delayed flow, or run a scheduled flow and
+   * schedule its next occurrence
+   */
+  const handleTimerDue = useCallback(async (timer) => {
+    const flows = flowLibraryRef.current;
+    let flow = flows.find((f) => f.id === timer.flowId);
+    const context = getContextRef.current ? getContextRef.current() : {};
+
+    if (!flow) {
+      console.warn('[Flow] Timer for missing flow:', timer.flowId);
+      return;
+    }
+
+    // A delayed run resumes with the version it started with
+    if (timer.kind === 'delay' && timer.flowVersion && timer.flowVersion !== flow.version) {
+      flow = getFlowVersion(flowVersionsRef.current, flow.id, timer.flowVersion) || flow;
+    }
+
+    let run;
+    if (timer.kind === 'delay') {
+      run = resumeFlow(flow, timer, context);
+    } else {
+      run = executeFlow(flow, {
+        eventType: 'schedule',
+        schedule: timer.schedule,
+        scheduledFor: timer.dueAt,
+        timestamp: new Date().toISOString()
+      }, context);
+
+      const from = Math.max(Date.now(), Date.parse(timer.dueAt));
+      syncScheduleTimers(flows, context.currentSnapshot, from);
+    }
+
+    setExecutionHistory(getExecutionHistory());
+    await run;
+    setExecutionHistory(getExecutionHistory());
+  }, []);
+
+  // Load saved flows, bindings, execution history and timers
+  useEffect(() => {
+    if (!persist) return undefined;
+    let cancelled = false;
+
+    Promise.all([loadFlowState(), loadPendingTimers()]).then(([saved]) => {
+      if (cancelled) return;
+      if (saved) {
+        setFlowLibrary(saved.flows);
+        setFlowBindings(saved.bindings);
+        setFlowVersions(recordFlowVersions(saved.versions, saved.flows, saved.bindings));
+        restoreExecutionHistory(saved.executions);
+        setExecutionHistory(getExecutionHistory());
       }
+      setStorageLoaded(true);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [persist]);
+
+  // Save the library and bindings when they change
+  useEffect(() => {
+    if (!persist || !storageLoaded) return;
+    saveFlowState({ flows: flowLibrary, bindings: flowBindings });
+  }, [persist, storageLoaded, flowLibrary, flowBindings]);
+
+  // Save the version history when it changes
+  useEffect(() => {
+    if (!persist || !storageLoaded) return;
+    saveFlowVersions(flowVersions);
+  }, [persist, storageLoaded, flowVersions]);
+
+  // Save the execution history when it is refreshed
+  useEffect(() => {
+    if (!persist || !storageLoaded) return;
+    saveExecutionHistory(executionHistory);
+  }, [persist, storageLoaded, executionHistory]);
+
+  // Check timers while mounted, catching up on those missed while closed;
+  // waits for the saved library so timers of saved flows are not dropped
+  useEffect(() => {
+    if (!storageLoaded) return undefined;
+    return startScheduler(handleTimerDue);
+  }, [storageLoaded, handleTimerDue]);
+
+  // Keep schedule timers in line with the library
+  useEffect(() => {
+    if (!storageLoaded) return;
+    const context = getContextRef.current ? getContextRef.current() : {};
+    syncScheduleTimers(flowLibrary, context.currentSnapshot);
+  }, [storageLoaded, flowLibrary]);
+
+  // Deliver queued flow events to the configured endpoint
+  useEffect(() => {
+    configureTransport({ endpoint: backendEndpoint || undefined });
+    return startTransport();
+  }, [backendEndpoint]);
+
+  /**
+   * Retry failed backend deliveries (all, or the given execution ids)
+   */
+  const retryFailedDeliveries = useCallback((ids) => {
+    retryDeliveries(ids);
+  }, []);
+
+  /**
+   * Drop delivered events from the outbox
+   */
+  const clearDeliveredEvents = useCallback(() => {
+    clearDeliveries();
+  }, []);
+
+  /**
+   * Cancel a pending timer
+   * A delayed resumption is dropped; a scheduled run is skipped and the
+   * following occurrence is scheduled instead.
+   */
+  const cancelPendingTimer = useCallback((timerId) => {
+    const timer = getPendingTimers().find((t) => t.id === timerId);
+    if (!timer) return;
+
+    cancelTimer(timerId);
+
+    if (timer.kind === 'schedule') {
+      const context = getContextRef.current ? getContextRef.current() : {};
+      syncScheduleTimers(flowLibraryRef.current, context.currentSnapshot, Date.parse(timer.dueAt));
+    }
+  }, []);
+
+  /**
+   * Export flows as a bundle
+   * Without flow ids the whole library is exported with its bindings;
+   * otherwise only the given flows, without bindings.
+   *
+   * @param {string[]} [flowIds] - Flows to export
+   * @returns {object} Bundle (see flows/FlowBundle.js)
+   */
+  const exportFlows = useCallback((flowIds) => {
+    if (!flowIds) return createFlowBundle(flowLibrary, flowBindings);
+    return createFlowBundle(flowLibrary.filter((f) => flowIds.includes(f.id)));
+  }, [flowLibrary, flowBindings]);
+
+  /**
+   * Import a parsed bundle into the library and bindings
+   * Bindings are only imported when the user may attach flows.
+   *
+   * @param {object} bundle - Bundle from FlowBundle.parseFlowBundle
+   * @param {object} resolutions - 'keep' | 'replace' | 'rename' by
+   *   conflicting flow id
+   * @param {object} meta - { author } recorded with the imported versions
+   * @returns {object} Summary of what was imported, with skippedBindings
+   *   counting the bindings left out
+   */
+  const importFlows = useCallback((bundle, resolutions = {}, { author } = {}) => {
+    const result = applyFlowBundle(
+      bundle,
+      { flows: flowLibrary, bindings: flowBindings },
+      resolutions
+    );
+
+    // Added and replaced flows become a new version in this library, owned
+    // here rather than by whoever owned them in the source workspace
+    const currentById = new Map(flowLibrary.map((f) => [f.id, f]));
+    const flows = result.flows.map((flow) => {
+      const previous = currentById.get(flow.id) || null;
+      if (previous === flow) return flow;
+      const { owner: _owner, ...imported } = flow;
+      return stampFlowVersion(stampFlowOwner(imported, previous, user || {}), previous, { author });
     });
-  }, [flowLibrary, flowTargetKeyForTask, getFlowBindingsForTarget]);
+
+    // Imported bindings count as attached by the importer, and are left out
+    // when the importer may not attach flows (as in attachFlow)
+    const mayAttach = !user || roleHas(user.role, PERMISSIONS.ATTACH_FLOWS);
+    const existingIds = new Set(Object.values(flowBindings).flat().map((b) => b.id));
+    let skippedBindings = 0;
+    const bindings = Object.fromEntries(
+      Object.entries(result.bindings)
+        .map(([targetKey, list]) => [
+          targetKey,
+          list.flatMap((binding) => {
+            if (existingIds.has(binding.id)) return [binding];
+            if (!mayAttach) {
+              skippedBindings++;
+              return [];
+            }
+            const { attachedBy: _attachedBy, ...rest } = binding;
+            return [user ? { ...rest, attachedBy: { name: user.name, role: user.role } } : rest];
+          })
+        ])
+        .filter(([targetKey, list]) => list.length > 0 || flowBindings[targetKey])
+    );
+    if (skippedBindings > 0) {
+      console.warn(`[Flow] ${user.role} cannot attach flows; ${skippedBindings} imported bindings skipped`);
+    }
+
+    setFlowLibrary(flows);
+    setFlowBindings(bindings);
+    setFlowVersions((prev) => recordFlowVersions(prev, flows, bindings));
+    return {
+      ...result.summary,
+      bindings: result.summary.bindings - skippedBindings,
+      skippedBindings
+    };
+  }, [flowLibrary, flowBindings, user]);
+
+  /**
+   * Clear the flow execution history
+   */
+  const clearExecutionHistory = useCallback(() => {
+    clearEngineHistory();
+    setExecutionHistory([]);
+  }, []);
 
   return {
     // State
@@ -183,14 +594,27 @@ export function useFlows(initialFlowLibrary = []) {
     flowBindings,
     flowMode,
     selectedFlowTarget,
+    executionHistory,
+    pendingTimers,
+    deliveries,
+    flowIssues,
+    flowVersions,
 
     // Actions
     saveFlow,
+    rollbackFlow,
     toggleFlowMode,
     handleFlowTargetClick,
     attachFlow,
     detachFlow,
+    pinBindingVersion,
     fireFlowsForEvent,
+    clearExecutionHistory,
+    cancelPendingTimer,
+    retryFailedDeliveries,
+    clearDeliveredEvents,
+    exportFlows,
+    importFlows,
     flowTargetKeyForTask,
     getFlowBindingsForTarget
   };
@@ -1,4 +1,25 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import {
+  loadHistoryState,
+  saveHistoryState,
+  saveCommittedSnapshot
+} from '../utils/historyStorage';
+import {
+  createHistoryTree,
+  lineView,
+  describeBranches,
+  appendStep,
+  moveTo,
+  commitCurrent,
+  switchBranch as switchTreeBranch,
+  renameBranch as renameTreeBranch,
+  cherryPick as cherryPickStep,
+  mergeBranch as mergeTreeBranch,
+  restoreStep
+} from '../utils/historyTree';
+
+// Steps kept before older ones are compacted (see compactTree)
+export const HISTORY_LIMIT = 200;
 
 /**
  * useHistory - Custom hook for managing undo/redo history
@@ -6,17 +27,62 @@ import { useState, useCallback } from 'react';
  * Tracks snapshots of state with commit points for saving/sharing.
  * Supports: undo, redo, commit, jump to specific history index.
  *
+ * History is a tree (see utils/historyTree.js): editing after an undo starts
+ * a new branch instead of discarding the steps that were undone. `history`,
+ * `currentIndex` and `commitIndex` describe the current branch's line, so
+ * undo, redo and jump work as in a linear history. Branches can be switched
+ * to, renamed, merged into the current branch, or have single steps
+ * cherry-picked onto it.
+ *
+ * Navigation: undo, redo and jump move freely between the commit point and
+ * the latest step. Steps before the commit point are never rewound to; they
+ * can be previewed read-only (`previewSnapshot`), and restored, which
+ * records their workspace as a new step so the commit stays in history.
+ *
+ * Snapshots are immutable: each change copies only what it touches and
+ * shares everything else with the snapshot before it (see utils/produce.js),
+ * and the oldest steps before the commit point are dropped past
+ * HISTORY_LIMIT. The tree never holds more than that: without a commit, the
+ * oldest uncommitted steps are squashed into the ones after them instead, so
+ * undo reaches back at most HISTORY_LIMIT steps. It still reaches the
+ * commit point, but past the limit some undos skip several changes at once.
+ *
+ * The whole tree lives in one state object so every action is a functional
+ * update. Several changes applied in the same tick (e.g. a flow running
+ * commands while handling an event) stack on top of each other instead of
+ * overwriting one another.
+ *
+ * The tree and the last committed snapshot are saved locally and restored
+ * on startup (see utils/historyStorage.js). When the saved history fails its
+ * checksum, the workspace restarts from the last committed snapshot.
+ *
  * Based on the original App.js history management logic.
+ *
+ * @param {object} initialSnapshot - Snapshot to start from when nothing is saved
+ * @param {object} options
+ * @param {boolean} options.persist - Load and save the history (default true)
+ * @param {number} options.limit - Steps kept before compaction (default HISTORY_LIMIT)
  */
-export function useHistory(initialSnapshot) {
-  // History array contains all snapshots
-  const [history, setHistory] = useState(() => [initialSnapshot]);
+export function useHistory(initialSnapshot, options = {}) {
+  const { persist = true, limit = HISTORY_LIMIT } = options;
+
+  // Steps, branches, current branch and position, commit point
+  const [tree, setTree] = useState(() => createHistoryTree(initialSnapshot));
+
+  // Whether saved history has been loaded (or there is nothing to load),
+  // and where it came from: 'history', 'commit' (the saved history was
+  // unusable) or null (nothing saved)
+  const [storageLoaded, setStorageLoaded] = useState(!persist);
+  const [restoredFrom, setRestoredFrom] = useState(null);
 
-  // Current position in history
-  const [currentIndex, setCurrentIndex] = useState(0);
+  // Id of the step before the commit point being previewed, or null
+  const [previewId, setPreviewId] = useState(null);
 
-  // Last committed position (saved/shared baseline)
-  const [commitIndex, setCommitIndex] = useState(0);
+  // history: snapshots along the current branch, currentIndex: current
+  // position on it, commitIndex: last committed position (saved/shared
+  // baseline)
+  const { history, currentIndex, commitIndex } = useMemo(() => lineView(tree), [tree]);
+  const branches = useMemo(() => describeBranches(tree), [tree]);
 
   // Derived state
   const currentSnapshot = history[currentIndex];
@@ -24,92 +90,155 @@ export function useHistory(initialSnapshot) {
   const canUndo = currentIndex > commitIndex;
   const canRedo = currentIndex < history.length - 1;
 
+  // The preview ends by itself when its step leaves the current line
+  const previewPosition = previewId === null ? -1 : history.findIndex((snap) => snap.id === previewId);
+  const previewIndex = previewPosition >= 0 && previewPosition < commitIndex ? previewPosition : null;
+  const previewSnapshot = previewIndex === null ? null : history[previewIndex];
+
   /**
    * Apply a change to the current snapshot
-   * Creates a new snapshot with the mutated state
+   * Creates a new snapshot with the mutated state; after an undo, on a new
+   * branch
    *
    * @param {string} label - Description of the change
-   * @param {function} mutator - Function that mutates the snapshot clone
+   * @param {function} mutator - Function that mutates a draft of the snapshot
    */
   const applyChange = useCallback((label, mutator) => {
-    const base = currentSnapshot;
-
-    // Deep clone the current snapshot
-    const clone = JSON.parse(JSON.stringify(base));
-
-    // Apply mutations
-    if (typeof mutator === 'function') {
-      mutator(clone);
-    }
-
-    // Update metadata
-    const stepId = history.length;
-    clone.id = stepId;
-    clone.label = label;
-    clone.timestamp = new Date().toLocaleTimeString();
-
-    // Trim any forward history and append new snapshot
-    setHistory((prev) => {
-      const trimmed = prev.slice(0, currentIndex + 1);
-      return [...trimmed, clone];
-    });
-
-    // Move to the new snapshot
-    setCurrentIndex((prev) => prev + 1);
-  }, [currentSnapshot, currentIndex, history.length]);
+    setTree((prev) => appendStep(prev, label, mutator, limit));
+  }, [limit]);
 
   /**
    * Undo - Move back one step in history (if possible)
    */
   const undo = useCallback(() => {
-    if (!canUndo) return;
-    setCurrentIndex((prev) => prev - 1);
-  }, [canUndo]);
+    setPreviewId(null);
+    setTree((prev) => moveTo(prev, prev.currentIndex - 1));
+  }, []);
 
   /**
    * Redo - Move forward one step in history (if possible)
    */
   const redo = useCallback(() => {
-    if (!canRedo) return;
-    setCurrentIndex((prev) => prev + 1);
-  }, [canRedo]);
+    setPreviewId(null);
+    setTree((prev) => moveTo(prev, prev.currentIndex + 1));
+  }, []);
 
   /**
    * Commit - Mark current position as saved/shared baseline
    * Updates the snapshot to indicate it has been committed
    */
   const commit = useCallback(() => {
-    setHistory((prev) => {
-      const list = [...prev];
-      const snap = list[currentIndex];
-      if (!snap) return prev;
-
-      // Mark as committed
-      const updated = {
-        ...snap,
-        committed: true,
-        label: `${snap.label || 'Snapshot'} (committed)`
-      };
-
-      list[currentIndex] = updated;
-      return list;
-    });
-
-    setCommitIndex(currentIndex);
-  }, [currentIndex]);
+    setTree(commitCurrent);
+  }, []);
 
   /**
-   * Jump - Navigate to a specific history index
-   * Only allows jumping forward from commit point (no jumping back past commits)
+   * Jump - Navigate to a specific history index on the current branch
+   * Only allows jumping forward from commit point (no jumping back past
+   * commits); use preview and restore for earlier steps
    *
    * @param {number} index - Target history index
    */
   const jump = useCallback((index) => {
-    if (index < commitIndex || index < 0 || index >= history.length) {
-      return;
-    }
-    setCurrentIndex(index);
-  }, [commitIndex, history.length]);
+    setPreviewId(null);
+    setTree((prev) => moveTo(prev, index));
+  }, []);
+
+  /**
+   * Preview - Show a step before the commit point without moving to it
+   * The preview is read-only; the current position does not change.
+   *
+   * @param {number} index - History index before commitIndex
+   */
+  const preview = useCallback((index) => {
+    const snap = history[index];
+    setPreviewId(snap && index < commitIndex ? snap.id : null);
+  }, [history, commitIndex]);
+
+  /**
+   * End the preview and show the current step again
+   */
+  const endPreview = useCallback(() => {
+    setPreviewId(null);
+  }, []);
+
+  /**
+   * Restore - Record the workspace of an earlier step as a new step
+   * The steps in between, and the commit point, stay in history.
+   *
+   * @param {number} index - History index to restore
+   */
+  const restore = useCallback((index) => {
+    setPreviewId(null);
+    setTree((prev) => restoreStep(prev, index, limit));
+  }, [limit]);
+
+  /**
+   * Switch to another branch, at its latest step
+   * Branches that do not contain the commit point cannot be switched to.
+   *
+   * @param {string} branchId
+   */
+  const switchBranch = useCallback((branchId) => {
+    setPreviewId(null);
+    setTree((prev) => switchTreeBranch(prev, branchId));
+  }, []);
+
+  /**
+   * Rename a branch
+   */
+  const renameBranch = useCallback((branchId, name) => {
+    setTree((prev) => renameTreeBranch(prev, branchId, name));
+  }, []);
+
+  /**
+   * Replay one step of any branch as a new step on the current one
+   *
+   * @param {number} stepId - Id of the step's snapshot
+   */
+  const cherryPick = useCallback((stepId) => {
+    setTree((prev) => cherryPickStep(prev, stepId, limit));
+  }, [limit]);
+
+  /**
+   * Replay a branch's changes since it left the current line as one new step
+   *
+   * @param {string} branchId
+   */
+  const mergeBranch = useCallback((branchId) => {
+    setTree((prev) => mergeTreeBranch(prev, branchId, limit));
+  }, [limit]);
+
+  // Load the saved history
+  useEffect(() => {
+    if (!persist) return undefined;
+    let cancelled = false;
+
+    loadHistoryState().then((saved) => {
+      if (cancelled) return;
+      if (saved) {
+        setTree(saved.tree);
+        setRestoredFrom(saved.restoredFrom);
+      }
+      setStorageLoaded(true);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [persist]);
+
+  // Save the history when it changes
+  useEffect(() => {
+    if (!persist || !storageLoaded) return;
+    saveHistoryState(tree);
+  }, [persist, storageLoaded, tree]);
+
+  // Save the committed snapshot when a new commit is made
+  const committedSnapshot = tree.nodes[tree.commitId]?.snapshot;
+  useEffect(() => {
+    if (!persist || !storageLoaded) return;
+    saveCommittedSnapshot(committedSnapshot);
+  }, [persist, storageLoaded, committedSnapshot]);
 
   return {
     // State
@@ -120,12 +249,24 @@ export function useHistory(initialSnapshot) {
     uncommittedSteps,
     canUndo,
     canRedo,
+    branches,
+    previewIndex,
+    previewSnapshot,
+    storageLoaded,
+    restoredFrom,
 
     // Actions
     applyChange,
     undo,
     redo,
     commit,
-    jump
+    jump,
+    switchBranch,
+    renameBranch,
+    cherryPick,
+    mergeBranch,
+    preview,
+    endPreview,
+    restore
   };
 }
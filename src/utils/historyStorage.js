@@ -0,0 +1,350 @@
+/**
+ * Persistence of the workspace history (see hooks/useHistory.js)
+ *
+ * Data lives in the app's key-value storage (see storage.js) under:
+ * - "history.state":     { schemaVersion, nodes, branches, branchId,
+ *                          currentIndex, commitId, nextId, nextBranch,
+ *                          checksum, savedAt }; the history tree (see
+ *                          historyTree.js) with each step stored as a delta
+ *                          from the step it was made from (see packTree)
+ * - "history.committed": { schemaVersion, snapshot, checksum, savedAt }, the
+ *                          last committed snapshot, written on commit
+ *
+ * Each record carries a checksum of its content. A record that fails its
+ * checksum or does not describe a usable history is discarded on load; when
+ * the full history is unusable, the workspace restarts from the last
+ * committed snapshot.
+ *
+ * Older records held a linear history and are read as a single branch:
+ * version 1 stored every snapshot in full, version 2 as deltas.
+ */
+
+import { readValue, writeValue, removeValue } from './storage';
+import { createHistoryTree, treeFromLine, getBranch, lineTo } from './historyTree';
+
+export const HISTORY_SCHEMA_VERSION = 3;
+
+const STATE_KEY = 'history.state';
+const COMMITTED_KEY = 'history.committed';
+
+/**
+ * Checksum of a JSON-serialisable value (32-bit FNV-1a of its JSON, as hex)
+ * Detects damaged or hand-edited records; it is not a security measure.
+ */
+export function checksum(value) {
+  const text = JSON.stringify(value) ?? '';
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function isContainer(value) {
+  return Boolean(value) && typeof value === 'object';
+}
+
+function hasValue(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key) && object[key] !== undefined;
+}
+
+/**
+ * Delta turning `prev` into `next`, or undefined when they are the same
+ * object. Deltas are { v: value } to replace a value, { c: { key: delta },
+ * r: [removed keys], n: length (arrays) } to patch a container, or { i }
+ * for an array item that moved from index i. Containers are compared by
+ * reference, so deltas between snapshots that share unchanged parts (see
+ * utils/produce.js) only hold what changed.
+ */
+function diffValue(prev, next) {
+  if (prev === next) return undefined;
+  if (
+    !isContainer(prev) ||
+    !isContainer(next) ||
+    Array.isArray(prev) !== Array.isArray(next)
+  ) {
+    return { v: next };
+  }
+
+  // Items moved within an array (a task removed before them, a sort)
+  const moved = Array.isArray(next)
+    ? new Map(prev.map((item, index) => [item, index]).filter(([item]) => isContainer(item)))
+    : null;
+
+  const changes = {};
+  Object.keys(next).forEach((key) => {
+    if (!hasValue(next, key)) return;
+    let delta;
+    if (moved?.has(next[key]) && moved.get(next[key]) !== Number(key)) {
+      delta = { i: moved.get(next[key]) };
+    } else if (moved && prev[key]?.id !== next[key]?.id) {
+      // A different item took this place
+      delta = { v: next[key] };
+    } else {
+      delta = hasValue(prev, key) ? diffValue(prev[key], next[key]) : { v: next[key] };
+    }
+    if (delta) changes[key] = delta;
+  });
+  if (Array.isArray(next)) {
+    return { c: changes, r: [], n: next.length };
+  }
+  return { c: changes, r: Object.keys(prev).filter((key) => hasValue(prev, key) && !hasValue(next, key)) };
+}
+
+/**
+ * Apply a delta from diffValue(), sharing what it leaves unchanged
+ */
+function applyDelta(prev, delta) {
+  if (!delta) return prev;
+  if (!delta.c) return delta.v;
+
+  const next = Array.isArray(prev) ? prev.slice(0, delta.n) : { ...prev };
+  (delta.r || []).forEach((key) => {
+    delete next[key];
+  });
+  Object.entries(delta.c).forEach(([key, change]) => {
+    next[key] = change.i !== undefined ? prev[change.i] : applyDelta(prev[key], change);
+  });
+  return next;
+}
+
+/**
+ * Decode a version 2 linear history: the first snapshot, then a delta per
+ * later step
+ */
+function unpackLine({ base, deltas = [] }) {
+  const history = [base];
+  deltas.forEach((delta) => history.push(applyDelta(history[history.length - 1], delta)));
+  return history;
+}
+
+/**
+ * Encode the nodes of a history tree, parents first, each step as a delta
+ * from its parent
+ *
+ * @returns {Array} [{ id, parent, snapshot }] for first snapshots and
+ *   [{ id, parent, delta }] for steps
+ */
+export function packTree(nodes) {
+  const children = new Map();
+  const roots = [];
+  Object.keys(nodes).forEach((key) => {
+    const id = Number(key);
+    const { parent } = nodes[key];
+    if (parent === null || !nodes[parent]) roots.push(id);
+    else children.set(parent, [...(children.get(parent) || []), id]);
+  });
+
+  const packed = [];
+  const queue = [...roots];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const { snapshot, parent } = nodes[id];
+    if (roots.includes(id)) {
+      packed.push({ id, parent: null, snapshot });
+    } else {
+      packed.push({ id, parent, delta: diffValue(nodes[parent].snapshot, snapshot) || { c: {}, r: [] } });
+    }
+    queue.push(...(children.get(id) || []));
+  }
+  return packed;
+}
+
+/**
+ * Decode nodes from packTree(); unchanged parts of a step and its parent are
+ * shared again
+ */
+export function unpackTree(packed) {
+  const nodes = {};
+  packed.forEach(({ id, parent, snapshot, delta }) => {
+    nodes[id] = parent === null
+      ? { snapshot, parent: null }
+      : { snapshot: applyDelta(nodes[parent].snapshot, delta), parent };
+  });
+  return nodes;
+}
+
+function isSnapshot(snapshot) {
+  return Boolean(snapshot) && typeof snapshot === 'object' && Array.isArray(snapshot.tasks);
+}
+
+// What is wrong with a history tree, or null when usable
+function checkTree(tree) {
+  const { nodes, branches, branchId, currentIndex, commitId, nextId } = tree;
+  const ids = Object.keys(nodes).map(Number);
+  if (ids.length === 0 || !ids.every((id) => isSnapshot(nodes[id].snapshot))) {
+    return 'history is not a list of snapshots';
+  }
+  if (!Array.isArray(branches) || !branches.every((branch) => nodes[branch.head]) || !getBranch(tree, branchId)) {
+    return 'branches point to missing steps';
+  }
+  const line = lineTo(tree, getBranch(tree, branchId).head);
+  const commitIndex = line.indexOf(commitId);
+  if (
+    !Number.isInteger(currentIndex) ||
+    commitIndex === -1 ||
+    currentIndex < commitIndex ||
+    currentIndex >= line.length ||
+    !(nextId > Math.max(...ids))
+  ) {
+    return 'positions are out of range';
+  }
+  return null;
+}
+
+/**
+ * Read a saved history record
+ *
+ * @returns {object} { tree }, or { problem } saying what is wrong with it
+ */
+export function readHistoryRecord(record) {
+  if (!record || typeof record !== 'object') return { problem: 'missing' };
+  const version = Number(record.schemaVersion) || 1;
+  if (version > HISTORY_SCHEMA_VERSION) {
+    return {
+      problem: `schema version ${record.schemaVersion} is newer than supported version ${HISTORY_SCHEMA_VERSION}`
+    };
+  }
+
+  const { checksum: saved, schemaVersion: _version, savedAt: _savedAt, ...content } = record;
+  if (saved !== checksum(content)) return { problem: 'checksum mismatch' };
+
+  try {
+    let tree;
+    if (version < 3) {
+      const { currentIndex, commitIndex } = content;
+      const history = version === 1 ? content.history : unpackLine(content);
+      if (!Array.isArray(history) || history.length === 0 || !history.every(isSnapshot)) {
+        return { problem: 'history is not a list of snapshots' };
+      }
+      if (
+        !Number.isInteger(currentIndex) ||
+        !Number.isInteger(commitIndex) ||
+        commitIndex < 0 ||
+        commitIndex > currentIndex ||
+        currentIndex >= history.length
+      ) {
+        return { problem: 'positions are out of range' };
+      }
+      tree = treeFromLine(history, currentIndex, commitIndex);
+    } else {
+      const { nodes, ...rest } = content;
+      tree = { ...rest, nodes: unpackTree(nodes) };
+    }
+    const problem = checkTree(tree);
+    return problem ? { problem } : { tree };
+  } catch (e) {
+    return { problem: `unreadable (${e.message})` };
+  }
+}
+
+/**
+ * Check a saved committed snapshot record
+ *
+ * @returns {string|null} What is wrong with it, or null when usable
+ */
+export function validateCommittedRecord(record) {
+  if (!record || typeof record !== 'object') return 'missing';
+  if (Number(record.schemaVersion) > HISTORY_SCHEMA_VERSION) {
+    return `schema version ${record.schemaVersion} is newer than supported version ${HISTORY_SCHEMA_VERSION}`;
+  }
+  if (record.checksum !== checksum(record.snapshot)) return 'checksum mismatch';
+  if (!isSnapshot(record.snapshot)) return 'not a snapshot';
+  return null;
+}
+
+// Set when stored data is newer than this build, to avoid overwriting it
+let readOnly = false;
+
+// Writes run one after another, in call order
+let writeQueue = Promise.resolve();
+
+function enqueueWrite(key, value) {
+  writeQueue = writeQueue
+    .then(() => writeValue(key, value))
+    .catch((e) => console.error('[historyStorage] Failed to save', key, e));
+  return writeQueue;
+}
+
+/**
+ * Load the saved history
+ *
+ * @returns {Promise<object|null>} { tree, restoredFrom } where restoredFrom
+ *   is 'history', or 'commit' when only the last committed snapshot was
+ *   usable; null when nothing usable is stored
+ */
+export async function loadHistoryState() {
+  try {
+    const [state, committed] = await Promise.all([readValue(STATE_KEY), readValue(COMMITTED_KEY)]);
+    if (!state && !committed) return null;
+
+    const { problem, tree } = readHistoryRecord(state);
+    if (!problem) {
+      return { tree, restoredFrom: 'history' };
+    }
+
+    const committedProblem = validateCommittedRecord(committed);
+    if (/newer than supported/.test(problem) || /newer than supported/.test(committedProblem)) {
+      readOnly = true;
+    }
+    console.warn('[historyStorage] Saved history unusable:', problem);
+    if (committedProblem) {
+      if (committed) console.warn('[historyStorage] Last committed snapshot unusable:', committedProblem);
+      return null;
+    }
+    return { tree: createHistoryTree(committed.snapshot), restoredFrom: 'commit' };
+  } catch (e) {
+    console.error('[historyStorage] Failed to load history:', e);
+    return null;
+  }
+}
+
+/**
+ * Save the history tree
+ */
+export function saveHistoryState({ nodes, ...tree }) {
+  if (readOnly) return Promise.resolve();
+  const content = JSON.parse(JSON.stringify({ nodes: packTree(nodes), ...tree }));
+  return enqueueWrite(STATE_KEY, {
+    schemaVersion: HISTORY_SCHEMA_VERSION,
+    ...content,
+    checksum: checksum(content),
+    savedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Save the last committed snapshot, the fallback when the history is damaged
+ */
+export function saveCommittedSnapshot(snapshot) {
+  if (readOnly) return Promise.resolve();
+  const content = JSON.parse(JSON.stringify(snapshot));
+  return enqueueWrite(COMMITTED_KEY, {
+    schemaVersion: HISTORY_SCHEMA_VERSION,
+    snapshot: content,
+    checksum: checksum(content),
+    savedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Remove the saved history and committed snapshot
+ */
+export async function clearHistoryStorage() {
+  await writeQueue;
+  await Promise.all([removeValue(STATE_KEY), removeValue(COMMITTED_KEY)]);
+}
+
+export default {
+  HISTORY_SCHEMA_VERSION,
+  checksum,
+  packTree,
+  unpackTree,
+  readHistoryRecord,
+  validateCommittedRecord,
+  loadHistoryState,
+  saveHistoryState,
+  saveCommittedSnapshot,
+  clearHistoryStorage
+};
@@ -0,0 +1,410 @@
+/**
+ * Branching workspace history (see hooks/useHistory.js)
+ *
+ * Every step is a node holding its snapshot and the id of the step it was
+ * made from. Branches are named pointers to a head node; a branch's line is
+ * the path from the first snapshot to its head. Undo, redo and jump move
+ * along the current branch's line (`currentIndex`), exactly as in a linear
+ * history.
+ *
+ * Editing after an undo starts a new branch from the current step instead of
+ * discarding the steps after it. Steps of other branches can be
+ * cherry-picked, or a whole branch merged, onto the current step (see
+ * utils/snapshotPatch.js).
+ *
+ * The commit point is a node. Undo, redo and jump never go before it;
+ * earlier steps are brought back by restoring them as a new step. Only
+ * branches whose line contains it can be switched to; others are stale, but
+ * their steps can still be picked.
+ *
+ * Tree shape:
+ *   {
+ *     nodes: { [id]: { snapshot, parent } },
+ *     branches: [{ id, name, head }],
+ *     branchId, currentIndex, commitId,
+ *     nextId, nextBranch
+ *   }
+ * All functions are pure: they return a new tree, or the same tree when
+ * nothing changes.
+ */
+
+import { produce } from './produce';
+import { changesBetween, applyChanges } from './snapshotPatch';
+
+export const MAIN_BRANCH_ID = 'main';
+
+/**
+ * Tree holding a single snapshot on the main branch
+ */
+export function createHistoryTree(snapshot) {
+  const id = Number.isInteger(snapshot?.id) ? snapshot.id : 0;
+  return {
+    nodes: { [id]: { snapshot: { ...snapshot, id }, parent: null } },
+    branches: [{ id: MAIN_BRANCH_ID, name: 'Main', head: id }],
+    branchId: MAIN_BRANCH_ID,
+    currentIndex: 0,
+    commitId: id,
+    nextId: id + 1,
+    nextBranch: 2
+  };
+}
+
+/**
+ * Tree from a linear history, as kept before branches existed
+ */
+export function treeFromLine(history, currentIndex, commitIndex) {
+  const nodes = {};
+  let parent = null;
+  let nextId = 0;
+  const ids = history.map((snapshot) => {
+    // Ids must be unique; older histories could repeat them
+    const id = Number.isInteger(snapshot.id) && !nodes[snapshot.id] ? snapshot.id : Math.max(nextId, history.length);
+    nodes[id] = { snapshot: { ...snapshot, id }, parent };
+    parent = id;
+    nextId = Math.max(nextId, id + 1);
+    return id;
+  });
+  return {
+    nodes,
+    branches: [{ id: MAIN_BRANCH_ID, name: 'Main', head: ids[ids.length - 1] }],
+    branchId: MAIN_BRANCH_ID,
+    currentIndex,
+    commitId: ids[commitIndex],
+    nextId,
+    nextBranch: 2
+  };
+}
+
+/**
+ * Ids from the first snapshot to a node
+ */
+export function lineTo(tree, nodeId) {
+  const line = [];
+  for (let id = nodeId; id !== null && id !== undefined && tree.nodes[id]; id = tree.nodes[id].parent) {
+    line.push(id);
+  }
+  return line.reverse();
+}
+
+export function getBranch(tree, branchId) {
+  return tree.branches.find((branch) => branch.id === branchId) || null;
+}
+
+/**
+ * Ids along the current branch
+ */
+export function currentLine(tree) {
+  return lineTo(tree, getBranch(tree, tree.branchId).head);
+}
+
+/**
+ * Linear view of the current branch: { history, currentIndex, commitIndex }
+ */
+export function lineView(tree) {
+  const line = currentLine(tree);
+  return {
+    history: line.map((id) => tree.nodes[id].snapshot),
+    currentIndex: tree.currentIndex,
+    commitIndex: Math.max(0, line.indexOf(tree.commitId))
+  };
+}
+
+// Last id two lines have in common
+function forkPoint(line, other) {
+  let fork = null;
+  for (let i = 0; i < Math.min(line.length, other.length) && line[i] === other[i]; i++) {
+    fork = line[i];
+  }
+  return fork;
+}
+
+/**
+ * Branches as the history panel shows them
+ *
+ * @returns {Array} [{ id, name, head, current, stale, forkIndex, steps }]
+ *   where forkIndex is the index on the current line the branch leaves from
+ *   and steps are the branch's own snapshots after it
+ */
+export function describeBranches(tree) {
+  const line = currentLine(tree);
+  return tree.branches.map((branch) => {
+    const own = lineTo(tree, branch.head);
+    const fork = forkPoint(line, own);
+    const forkIndex = line.indexOf(fork);
+    return {
+      id: branch.id,
+      name: branch.name,
+      head: branch.head,
+      current: branch.id === tree.branchId,
+      stale: !own.includes(tree.commitId),
+      forkIndex,
+      steps: own.slice(own.indexOf(fork) + 1).map((id) => tree.nodes[id].snapshot)
+    };
+  });
+}
+
+/**
+ * Drop the oldest steps once the tree holds more than `limit`
+ * The first snapshot is dropped while it lies before the commit point and
+ * has a single step after it. When a fork stops that, stale branches go,
+ * oldest first, and dropping resumes. The commit point and the current step
+ * are always kept.
+ *
+ * A history that is never committed would still grow without bound, so
+ * after that the oldest uncommitted steps on the current line are squashed:
+ * a step before the current one, with a single step after it and not the
+ * head of a branch, is dropped and the step after it takes its place. Each
+ * snapshot is the whole workspace, so nothing is lost but the ability to
+ * undo to that step; undo goes from the step after it straight to the one
+ * before.
+ */
+export function compactTree(tree, limit) {
+  let { nodes, branches, currentIndex } = tree;
+  let count = Object.keys(nodes).length;
+  if (count <= limit) return tree;
+
+  const childrenOf = (id) => Object.keys(nodes).filter((key) => nodes[key].parent === Number(id));
+  let root = lineTo(tree, tree.commitId)[0];
+
+  const dropStaleBranch = () => {
+    const stale = branches.filter(
+      (branch) => branch.id !== tree.branchId && !lineTo({ nodes }, branch.head).includes(tree.commitId)
+    );
+    if (stale.length === 0) return false;
+    const oldest = stale.reduce((a, b) => (a.head < b.head ? a : b));
+    branches = branches.filter((branch) => branch.id !== oldest.id);
+    // Nodes no remaining branch reaches
+    const kept = new Set(branches.flatMap((branch) => lineTo({ nodes }, branch.head)));
+    nodes = Object.fromEntries(Object.entries(nodes).filter(([id]) => kept.has(Number(id))));
+    count = Object.keys(nodes).length;
+    return true;
+  };
+
+  while (count > limit && root !== tree.commitId) {
+    const children = childrenOf(root);
+    if (children.length !== 1) {
+      if (!dropStaleBranch()) break;
+      continue;
+    }
+    const child = Number(children[0]);
+    const { [root]: _dropped, ...rest } = nodes;
+    nodes = { ...rest, [child]: { ...rest[child], parent: null } };
+    root = child;
+    count--;
+    currentIndex--;
+  }
+
+  while (count > limit) {
+    const line = lineTo({ nodes }, getBranch(tree, tree.branchId).head);
+    const squashed = line
+      .slice(line.indexOf(tree.commitId) + 1, currentIndex)
+      .find((id) => childrenOf(id).length === 1 && !branches.some((branch) => branch.head === id));
+    if (squashed === undefined) break;
+    const child = Number(childrenOf(squashed)[0]);
+    const { [squashed]: dropped, ...rest } = nodes;
+    nodes = { ...rest, [child]: { ...rest[child], parent: dropped.parent } };
+    count--;
+    currentIndex--;
+  }
+
+  return { ...tree, nodes, branches, currentIndex };
+}
+
+/**
+ * Record a step on the current branch, or on a new branch when the current
+ * step is not the branch's head (after an undo)
+ *
+ * @param {object} tree
+ * @param {string} label - Description of the change
+ * @param {function} mutator - Mutates a draft of the current snapshot
+ * @param {number} limit - Steps kept before compaction
+ */
+export function appendStep(tree, label, mutator, limit = Infinity) {
+  const line = currentLine(tree);
+  const baseId = line[tree.currentIndex];
+  const id = tree.nextId;
+
+  const snapshot = produce(tree.nodes[baseId].snapshot, (draft) => {
+    if (typeof mutator === 'function') {
+      mutator(draft);
+    }
+    draft.id = id;
+    draft.label = label;
+    draft.timestamp = new Date().toLocaleTimeString();
+    delete draft.committed;
+  });
+
+  const atHead = tree.currentIndex === line.length - 1;
+  const branchId = atHead ? tree.branchId : `branch-${tree.nextBranch}`;
+  const branches = atHead
+    ? tree.branches.map((branch) => (branch.id === branchId ? { ...branch, head: id } : branch))
+    : [...tree.branches, { id: branchId, name: `Branch ${tree.nextBranch}`, head: id }];
+
+  return compactTree(
+    {
+      ...tree,
+      nodes: { ...tree.nodes, [id]: { snapshot, parent: baseId } },
+      branches,
+      branchId,
+      currentIndex: tree.currentIndex + 1,
+      nextId: id + 1,
+      nextBranch: atHead ? tree.nextBranch : tree.nextBranch + 1
+    },
+    limit
+  );
+}
+
+/**
+ * Move to a position on the current branch, not before the commit point
+ */
+export function moveTo(tree, index) {
+  const { history, commitIndex } = lineView(tree);
+  if (index < commitIndex || index < 0 || index >= history.length || index === tree.currentIndex) {
+    return tree;
+  }
+  return { ...tree, currentIndex: index };
+}
+
+/**
+ * Mark the current step as the commit point
+ */
+export function commitCurrent(tree) {
+  const id = currentLine(tree)[tree.currentIndex];
+  const node = tree.nodes[id];
+  if (!node) return tree;
+  return {
+    ...tree,
+    nodes: {
+      ...tree.nodes,
+      [id]: {
+        ...node,
+        snapshot: {
+          ...node.snapshot,
+          committed: true,
+          label: `${node.snapshot.label || 'Snapshot'} (committed)`
+        }
+      }
+    },
+    commitId: id
+  };
+}
+
+/**
+ * Switch to a branch, at its head; stale branches cannot be switched to
+ */
+export function switchBranch(tree, branchId) {
+  const branch = getBranch(tree, branchId);
+  if (!branch || branchId === tree.branchId) return tree;
+  const line = lineTo(tree, branch.head);
+  if (!line.includes(tree.commitId)) return tree;
+  return { ...tree, branchId, currentIndex: line.length - 1 };
+}
+
+export function renameBranch(tree, branchId, name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed || !getBranch(tree, branchId)) return tree;
+  return {
+    ...tree,
+    branches: tree.branches.map((branch) => (branch.id === branchId ? { ...branch, name: trimmed } : branch))
+  };
+}
+
+// Label of a replayed step, noting changes that no longer applied
+function replayLabel(label, skipped) {
+  return skipped > 0 ? `${label} (${skipped} ${skipped === 1 ? 'change' : 'changes'} skipped)` : label;
+}
+
+/**
+ * Replay one step, from any branch, as a new step on the current one
+ */
+export function cherryPick(tree, nodeId, limit = Infinity) {
+  const node = tree.nodes[nodeId];
+  if (!node || node.parent === null || !tree.nodes[node.parent]) return tree;
+  const ops = changesBetween(tree.nodes[node.parent].snapshot, node.snapshot);
+  if (ops.length === 0) return tree;
+
+  let skipped = 0;
+  const next = appendStep(tree, '', (draft) => {
+    skipped = applyChanges(draft, ops);
+  }, limit);
+  return relabel(next, replayLabel(`Cherry-pick: ${plainLabel(node.snapshot, 'step')}`, skipped));
+}
+
+/**
+ * Replay everything a branch changed since it left the current step's line
+ * as one new step on the current branch
+ */
+export function mergeBranch(tree, branchId, limit = Infinity) {
+  const branch = getBranch(tree, branchId);
+  if (!branch || branchId === tree.branchId) return tree;
+  const here = currentLine(tree).slice(0, tree.currentIndex + 1);
+  const fork = forkPoint(here, lineTo(tree, branch.head));
+  if (fork === null || fork === branch.head) return tree;
+  const ops = changesBetween(tree.nodes[fork].snapshot, tree.nodes[branch.head].snapshot);
+  if (ops.length === 0) return tree;
+
+  let skipped = 0;
+  const next = appendStep(tree, '', (draft) => {
+    skipped = applyChanges(draft, ops);
+  }, limit);
+  return relabel(next, replayLabel(`Merge ${branch.name}`, skipped));
+}
+
+// Snapshot fields describing the history step rather than the workspace
+const METADATA_FIELDS = ['id', 'label', 'timestamp', 'committed'];
+
+// Label of a snapshot without the commit marker
+function plainLabel(snapshot, fallback) {
+  return String(snapshot.label || fallback).replace(/ \(committed\)$/, '');
+}
+
+/**
+ * Bring back the workspace of an earlier step on the current branch as a new
+ * step, leaving the steps in between (and the commit point) in place
+ */
+export function restoreStep(tree, index, limit = Infinity) {
+  const line = currentLine(tree);
+  if (index < 0 || index >= line.length || index === tree.currentIndex) return tree;
+  const source = tree.nodes[line[index]].snapshot;
+  if (changesBetween(tree.nodes[line[tree.currentIndex]].snapshot, source).length === 0) return tree;
+
+  return appendStep(tree, `Restore #${index}: ${plainLabel(source, 'Snapshot')}`, (draft) => {
+    Object.keys(draft).forEach((key) => {
+      if (!METADATA_FIELDS.includes(key) && !(key in source)) delete draft[key];
+    });
+    // Restored values are shared with the earlier step, not copied
+    Object.keys(source).forEach((key) => {
+      if (!METADATA_FIELDS.includes(key)) draft[key] = source[key];
+    });
+  }, limit);
+}
+
+// Set the label of the current step, known only after replaying
+function relabel(tree, label) {
+  const id = currentLine(tree)[tree.currentIndex];
+  const node = tree.nodes[id];
+  return {
+    ...tree,
+    nodes: { ...tree.nodes, [id]: { ...node, snapshot: { ...node.snapshot, label } } }
+  };
+}
+
+export default {
+  MAIN_BRANCH_ID,
+  createHistoryTree,
+  treeFromLine,
+  lineTo,
+  getBranch,
+  currentLine,
+  lineView,
+  describeBranches,
+  compactTree,
+  appendStep,
+  moveTo,
+  commitCurrent,
+  switchBranch,
+  renameBranch,
+  cherryPick,
+  mergeBranch,
+  restoreStep
+};
@@ -0,0 +1,167 @@
+/**
+ * Copy-on-write updates of plain data
+ *
+ * produce(base, recipe) hands the recipe a draft of `base` to mutate as if it
+ * were a copy, and returns the result as a new value that shares every
+ * object and array the recipe did not change with `base`. `base` itself is
+ * never modified. Only plain objects and arrays are drafted; anything else
+ * (dates, maps, class instances) is shared as is and must not be mutated.
+ */
+
+const DRAFT_STATE = Symbol('draftState');
+
+function isDraftable(value) {
+  if (Array.isArray(value)) return true;
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Whether a value is a draft handed out by produce()
+ */
+export function isDraft(value) {
+  return Boolean(value) && Boolean(value[DRAFT_STATE]);
+}
+
+function latest(state) {
+  return state.copy || state.base;
+}
+
+function prepareCopy(state) {
+  if (!state.copy) {
+    state.copy = Array.isArray(state.base) ? state.base.slice() : { ...state.base };
+  }
+}
+
+function markModified(state) {
+  for (let current = state; current && !current.modified; current = current.parent) {
+    current.modified = true;
+  }
+}
+
+function createDraft(base, parent = null) {
+  const state = { base, copy: null, parent, modified: false, result: undefined, finalized: false };
+
+  const handler = {
+    get(target, prop) {
+      if (prop === DRAFT_STATE) return state;
+      const source = latest(state);
+      const value = source[prop];
+      if (!Object.prototype.hasOwnProperty.call(source, prop) || !isDraftable(value)) {
+        return value;
+      }
+      // Draft nested values on first read, so changes through them are seen
+      if (value === state.base[prop]) {
+        prepareCopy(state);
+        state.copy[prop] = createDraft(value, state);
+        return state.copy[prop];
+      }
+      return value;
+    },
+    set(target, prop, value) {
+      const source = latest(state);
+      if (!state.modified && Object.prototype.hasOwnProperty.call(source, prop)) {
+        const current = source[prop];
+        const unchanged = current === value ||
+          (isDraft(current) && current[DRAFT_STATE].base === value && !current[DRAFT_STATE].modified);
+        if (unchanged) return true;
+      }
+      prepareCopy(state);
+      markModified(state);
+      state.copy[prop] = value;
+      return true;
+    },
+    deleteProperty(target, prop) {
+      if (!Object.prototype.hasOwnProperty.call(latest(state), prop)) return true;
+      prepareCopy(state);
+      markModified(state);
+      delete state.copy[prop];
+      return true;
+    },
+    has(target, prop) {
+      return prop in latest(state);
+    },
+    ownKeys() {
+      return Reflect.ownKeys(latest(state));
+    },
+    getOwnPropertyDescriptor(target, prop) {
+      const source = latest(state);
+      const descriptor = Reflect.getOwnPropertyDescriptor(source, prop);
+      if (!descriptor) return undefined;
+      return {
+        writable: true,
+        configurable: !Array.isArray(source) || prop !== 'length',
+        enumerable: descriptor.enumerable,
+        value: handler.get(target, prop)
+      };
+    },
+    defineProperty() {
+      throw new Error('produce: defineProperty is not supported on drafts');
+    },
+    getPrototypeOf() {
+      return Object.getPrototypeOf(state.base);
+    },
+    setPrototypeOf() {
+      throw new Error('produce: setPrototypeOf is not supported on drafts');
+    }
+  };
+
+  // Arrays need an array target so Array.isArray() holds for the draft
+  return new Proxy(Array.isArray(base) ? [] : {}, handler);
+}
+
+/**
+ * Resolve drafts in a value into final values
+ */
+function finalize(value) {
+  if (isDraft(value)) {
+    const state = value[DRAFT_STATE];
+    if (!state.finalized) {
+      state.finalized = true;
+      state.result = state.modified ? finalizeChildren(state.copy, state.base) : state.base;
+    }
+    return state.result;
+  }
+  // New values assigned by the recipe may hold drafts
+  if (isDraftable(value)) return finalizeChildren(value);
+  return value;
+}
+
+// Values a copy still shares with its base were never drafted and are skipped
+function finalizeChildren(container, base = null) {
+  Object.keys(container).forEach((key) => {
+    const value = container[key];
+    if (base && value === base[key]) return;
+    if (isDraftable(value) || isDraft(value)) {
+      const final = finalize(value);
+      if (final !== value) container[key] = final;
+    }
+  });
+  return container;
+}
+
+/**
+ * Produce the next state of `base` by mutating a draft of it
+ *
+ * @param {object|Array} base - Current state; left untouched
+ * @param {function} recipe - Receives the draft to mutate; its return value
+ *   is ignored
+ * @returns {object|Array} Next state, sharing unchanged parts with base (base
+ *   itself when nothing changed)
+ */
+export function produce(base, recipe) {
+  if (!isDraftable(base)) {
+    throw new Error('produce: base must be a plain object or array');
+  }
+  const draft = createDraft(base);
+  if (typeof recipe === 'function') {
+    recipe(draft);
+  }
+  return finalize(draft);
+}
+
+export default {
+  produce,
+  isDraft
+};
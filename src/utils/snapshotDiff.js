@@ -0,0 +1,165 @@
+/**
+ * Structured differences between two workspace snapshots
+ *
+ * diffSnapshots(before, after) groups what changed by entity:
+ * - tasks:     added, removed, and changed field by field
+ * - brief:     the project brief as a line diff, and its lock
+ * - timeline:  items added, removed, and moved or resized (offsets)
+ * - docs:      added, removed, and edited field by field (summary as a
+ *              line diff)
+ * - workspace: every other top-level field (view, sprint, WIP limits, ...)
+ *
+ * History metadata (id, label, timestamp, committed) is ignored. Snapshots
+ * share unchanged parts (see utils/produce.js), so identical references are
+ * skipped without comparing their content.
+ */
+
+// Snapshot fields describing the history step rather than the workspace
+const METADATA_FIELDS = ['id', 'label', 'timestamp', 'committed'];
+
+// Top-level fields with their own section
+const SECTION_FIELDS = ['tasks', 'projectBrief', 'briefLocked', 'schedule', 'docs'];
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Fields whose values differ between two versions of an entity
+ *
+ * @returns {Array} [{ field, before, after }] in field order
+ */
+function diffFields(before = {}, after = {}, ignore = []) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .filter((field) => !ignore.includes(field) && !isEqual(before[field], after[field]))
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * Entities of two lists matched by id
+ *
+ * @returns {object} { added, removed, changed: [{ id, before, after, fields }] }
+ */
+function diffById(beforeList = [], afterList = [], ignore = []) {
+  if (beforeList === afterList) return { added: [], removed: [], changed: [] };
+
+  const beforeById = new Map(beforeList.map((item) => [item.id, item]));
+  const afterIds = new Set(afterList.map((item) => item.id));
+
+  const added = afterList.filter((item) => !beforeById.has(item.id));
+  const removed = beforeList.filter((item) => !afterIds.has(item.id));
+  const changed = afterList
+    .filter((item) => beforeById.has(item.id) && beforeById.get(item.id) !== item)
+    .map((item) => {
+      const previous = beforeById.get(item.id);
+      return { id: item.id, before: previous, after: item, fields: diffFields(previous, item, ignore) };
+    })
+    .filter((change) => change.fields.length > 0);
+
+  return { added, removed, changed };
+}
+
+/**
+ * Line diff of two texts, by longest common subsequence
+ *
+ * @returns {Array} [{ type: 'same' | 'added' | 'removed', text }]
+ */
+export function diffText(before = '', after = '') {
+  const a = String(before ?? '').split('\n');
+  const b = String(after ?? '').split('\n');
+  if (before === after) return a.map((text) => ({ type: 'same', text }));
+
+  // lengths[i][j]: longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+/**
+ * Differences between two snapshots
+ *
+ * @param {object} before - Older snapshot
+ * @param {object} after - Newer snapshot
+ * @returns {object} { tasks, brief, timeline, docs, workspace, count } where
+ *   count is the number of changed entities and fields
+ */
+export function diffSnapshots(before = {}, after = {}) {
+  const tasks = diffById(before.tasks, after.tasks);
+
+  const briefChanged = !isEqual(before.projectBrief, after.projectBrief);
+  const brief = {
+    changed: briefChanged,
+    lines: briefChanged ? diffText(before.projectBrief || '', after.projectBrief || '') : [],
+    locked: before.briefLocked === after.briefLocked
+      ? null
+      : { before: Boolean(before.briefLocked), after: Boolean(after.briefLocked) }
+  };
+
+  const timeline = diffById(before.schedule?.timeline, after.schedule?.timeline);
+  const scheduleFields = diffFields(before.schedule, after.schedule, ['timeline']);
+
+  const docs = diffById(before.docs, after.docs);
+  docs.changed.forEach((change) => {
+    const summary = change.fields.find((f) => f.field === 'summary');
+    if (summary) summary.lines = diffText(summary.before || '', summary.after || '');
+  });
+
+  const workspace = [
+    ...diffFields(before, after, [...METADATA_FIELDS, ...SECTION_FIELDS]),
+    ...scheduleFields.map((f) => ({ ...f, field: `schedule.${f.field}` }))
+  ];
+
+  const count =
+    tasks.added.length + tasks.removed.length + tasks.changed.length +
+    (brief.changed ? 1 : 0) + (brief.locked ? 1 : 0) +
+    timeline.added.length + timeline.removed.length + timeline.changed.length +
+    docs.added.length + docs.removed.length + docs.changed.length +
+    workspace.length;
+
+  return { tasks, brief, timeline, docs, workspace, count };
+}
+
+/**
+ * Value of a changed field as short display text
+ */
+export function formatDiffValue(value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) {
+    return value.every((item) => typeof item !== 'object')
+      ? value.join(', ') || '—'
+      : `${value.length} items`;
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export default {
+  diffText,
+  diffSnapshots,
+  formatDiffValue
+};
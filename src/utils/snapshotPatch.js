@@ -0,0 +1,156 @@
+/**
+ * Replayable changes between workspace snapshots
+ *
+ * changesBetween(before, after) describes a step as operations addressed by
+ * path, where lists of entities (tasks, docs, timeline items, ...) are
+ * addressed by id rather than position. applyChanges() replays them on a
+ * draft of another snapshot (see utils/produce.js), which is how history
+ * steps are cherry-picked and branches merged onto a different base.
+ *
+ * Operations:
+ * - { type: 'set', path, value }          set a value
+ * - { type: 'delete', path }              delete a field
+ * - { type: 'insert', path, value, after } add an entity to a list, after the
+ *                                          entity with id `after` (or first)
+ * - { type: 'remove', path, id }          remove an entity from a list
+ *
+ * Path segments are field names, or { id } for an entity in a list.
+ */
+
+// Snapshot fields describing the history step rather than the workspace
+const METADATA_FIELDS = ['id', 'label', 'timestamp', 'committed'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A list of entities: every item is an object with an id
+function isEntityList(value) {
+  return Array.isArray(value) && value.every((item) => isPlainObject(item) && item.id !== undefined);
+}
+
+function diffInto(ops, before, after, path) {
+  if (before === after) return;
+
+  if (isEntityList(before) && isEntityList(after) && before.length + after.length > 0) {
+    const beforeById = new Map(before.map((item) => [item.id, item]));
+    const afterIds = new Set(after.map((item) => item.id));
+    before
+      .filter((item) => !afterIds.has(item.id))
+      .forEach((item) => ops.push({ type: 'remove', path, id: item.id }));
+    after.forEach((item, index) => {
+      if (!beforeById.has(item.id)) {
+        ops.push({ type: 'insert', path, value: item, after: index > 0 ? after[index - 1].id : null });
+      } else {
+        diffInto(ops, beforeById.get(item.id), item, [...path, { id: item.id }]);
+      }
+    });
+    return;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    Object.keys(before).forEach((key) => {
+      if (!(key in after)) ops.push({ type: 'delete', path: [...path, key] });
+    });
+    Object.keys(after).forEach((key) => diffInto(ops, before[key], after[key], [...path, key]));
+    return;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    ops.push({ type: 'set', path, value: after });
+  }
+}
+
+/**
+ * Operations turning one snapshot into another, ignoring history metadata
+ *
+ * @returns {Array} Operations (see above)
+ */
+export function changesBetween(before = {}, after = {}) {
+  const ops = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  keys.forEach((key) => {
+    if (METADATA_FIELDS.includes(key)) return;
+    if (!(key in after)) ops.push({ type: 'delete', path: [key] });
+    else diffInto(ops, before[key], after[key], [key]);
+  });
+  return ops;
+}
+
+/**
+ * Follow a path on a draft
+ *
+ * @returns {*} The value at the path, or undefined when it does not exist
+ */
+function resolve(draft, path) {
+  let current = draft;
+  for (const segment of path) {
+    if (current === undefined || current === null) return undefined;
+    if (isPlainObject(segment)) {
+      current = Array.isArray(current) ? current.find((item) => item?.id === segment.id) : undefined;
+    } else {
+      current = current[segment];
+    }
+  }
+  return current;
+}
+
+/**
+ * Replay operations on a draft
+ * Changes to entities the draft no longer has are skipped; entities added
+ * that the draft already has replace it.
+ *
+ * @param {object} draft - Draft of the snapshot to change
+ * @param {Array} ops - Operations from changesBetween()
+ * @returns {number} Operations skipped
+ */
+export function applyChanges(draft, ops) {
+  let skipped = 0;
+
+  ops.forEach((op) => {
+    if (op.type === 'insert' || op.type === 'remove') {
+      let list = resolve(draft, op.path);
+      if (list === undefined && op.type === 'insert') {
+        const parent = resolve(draft, op.path.slice(0, -1));
+        const key = op.path[op.path.length - 1];
+        if (isPlainObject(parent) && !isPlainObject(key)) {
+          parent[key] = [];
+          list = parent[key];
+        }
+      }
+      if (!Array.isArray(list)) {
+        skipped++;
+        return;
+      }
+      const existing = list.findIndex((item) => item?.id === (op.type === 'insert' ? op.value.id : op.id));
+      if (op.type === 'remove') {
+        if (existing === -1) skipped++;
+        else list.splice(existing, 1);
+        return;
+      }
+      if (existing !== -1) {
+        list[existing] = op.value;
+        return;
+      }
+      const anchor = op.after === null ? -1 : list.findIndex((item) => item?.id === op.after);
+      list.splice(anchor === -1 && op.after !== null ? list.length : anchor + 1, 0, op.value);
+      return;
+    }
+
+    const parent = resolve(draft, op.path.slice(0, -1));
+    const key = op.path[op.path.length - 1];
+    if (!isPlainObject(parent) || isPlainObject(key)) {
+      skipped++;
+      return;
+    }
+    if (op.type === 'delete') delete parent[key];
+    else parent[key] = op.value;
+  });
+
+  return skipped;
+}
+
+export default {
+  changesBetween,
+  applyChanges
+};
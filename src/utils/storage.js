@@ -0,0 +1,132 @@
+/**
+ * Async key-value storage for app data
+ *
+ * Uses IndexedDB when the browser provides it and falls back to localStorage
+ * (then to memory) when it does not or fails to open. Values must be
+ * structured-cloneable and JSON-serialisable.
+ */
+
+const DB_NAME = 'tasklytics';
+const DB_VERSION = 1;
+const STORE_NAME = 'kv';
+const LOCAL_PREFIX = 'tasklytics-kv:';
+
+let dbPromise = null;
+const memoryStore = new Map();
+
+/**
+ * Open (once) the IndexedDB database; resolves to null when unavailable
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+          request.result.createObjectStore(STORE_NAME);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[storage] IndexedDB unavailable, using localStorage:', request.error);
+        resolve(null);
+      };
+      request.onblocked = () => resolve(null);
+    } catch (e) {
+      console.warn('[storage] IndexedDB unavailable, using localStorage:', e);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the object store
+ */
+function withStore(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function hasLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Which backend is in use: 'indexeddb', 'localStorage' or 'memory'
+ */
+export async function getStorageBackend() {
+  if (await openDatabase()) return 'indexeddb';
+  return hasLocalStorage() ? 'localStorage' : 'memory';
+}
+
+/**
+ * Read a value; resolves to undefined when absent
+ */
+export async function readValue(key) {
+  const db = await openDatabase();
+  if (db) return withStore(db, 'readonly', (store) => store.get(key));
+
+  if (hasLocalStorage()) {
+    const saved = localStorage.getItem(LOCAL_PREFIX + key);
+    return saved === null ? undefined : JSON.parse(saved);
+  }
+  return memoryStore.get(key);
+}
+
+/**
+ * Write a value
+ */
+export async function writeValue(key, value) {
+  const db = await openDatabase();
+  if (db) {
+    await withStore(db, 'readwrite', (store) => store.put(value, key));
+    return;
+  }
+
+  if (hasLocalStorage()) {
+    localStorage.setItem(LOCAL_PREFIX + key, JSON.stringify(value));
+    return;
+  }
+  memoryStore.set(key, value);
+}
+
+/**
+ * Delete a value
+ */
+export async function removeValue(key) {
+  const db = await openDatabase();
+  if (db) {
+    await withStore(db, 'readwrite', (store) => store.delete(key));
+    return;
+  }
+
+  if (hasLocalStorage()) {
+    localStorage.removeItem(LOCAL_PREFIX + key);
+    return;
+  }
+  memoryStore.delete(key);
+}
+
+export default {
+  getStorageBackend,
+  readValue,
+  writeValue,
+  removeValue
+};